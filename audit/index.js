@@ -0,0 +1,86 @@
+// backend/audit/index.js
+// Registro de auditoría de las hojas principales: cada alta, cambio o borrado
+// añade una fila a `audit_log` con quién lo hizo y qué campos cambiaron.
+// El autor se toma del contexto de la petición (ver runAsActor); fuera de una
+// petición (tareas programadas) se atribuye al sistema.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const AUDITED_SHEETS = ['users', 'products', 'nutrition_plans', 'appointments', 'orders'];
+
+// Ya están en la propia entrada (resource_id, created_at) o cambian en cada escritura
+const IGNORED_FIELDS = ['id', 'created_at', 'version', 'updated_at'];
+// Se anota que cambiaron, pero no su valor
+const REDACTED_FIELDS = ['password_hash'];
+const REDACTED_VALUE = '[oculto]';
+
+const SYSTEM_ACTOR = { id: 'system', username: '', role: 'system' };
+
+const actorContext = new AsyncLocalStorage();
+
+// Ejecuta `task` atribuyendo a `actor` las escrituras que haga (también las asíncronas)
+function runAsActor(actor, task) {
+    const { id = '', username = '', role = '' } = actor || {};
+    return actorContext.run({ id: String(id), username, role }, task);
+}
+
+function getCurrentActor() {
+    return actorContext.getStore() || SYSTEM_ACTOR;
+}
+
+// Las celdas se comparan como texto, igual que las devuelve la hoja
+function toCell(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+function getAuditAction(before, after) {
+    if (!before) return 'create';
+    if (!after) return 'purge';
+    if (!before.deleted_at && after.deleted_at) return 'delete';
+    if (before.deleted_at && !after.deleted_at) return 'restore';
+    return 'update';
+}
+
+// { campo: { before, after } } con los campos que difieren. En las altas no se
+// anotan los campos vacíos y en las eliminaciones definitivas se guarda la fila entera.
+function diffRecords(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const from = before ? toCell(before[field]) : null;
+        const to = after ? toCell(after[field]) : null;
+        if (from === to || (!before && to === '') || (!after && from === '')) continue;
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { before: from === null ? null : REDACTED_VALUE, after: to === null ? null : REDACTED_VALUE }
+            : { before: from, after: to };
+    }
+    return changes;
+}
+
+// Campos de la fila de `audit_log` para un cambio en `sheetName`, o null si no
+// hay nada que anotar (una actualización que no cambia ningún campo).
+function buildAuditEntry(sheetName, before, after, actor = getCurrentActor()) {
+    const action = getAuditAction(before, after);
+    const changes = diffRecords(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+    return {
+        action,
+        resource: sheetName,
+        resource_id: String((after || before).id),
+        actor_id: actor.id,
+        actor_username: actor.username,
+        actor_role: actor.role,
+        changes: JSON.stringify(changes),
+    };
+}
+
+module.exports = {
+    AUDITED_SHEETS,
+    SYSTEM_ACTOR,
+    runAsActor,
+    getCurrentActor,
+    diffRecords,
+    buildAuditEntry,
+};
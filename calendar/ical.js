@@ -0,0 +1,86 @@
+// backend/calendar/ical.js
+// Generación de calendarios iCalendar (RFC 5545) a partir de las citas.
+// Las citas se guardan en hora local de la consulta, así que se exportan como hora
+// "flotante" (sin zona horaria): el calendario del usuario las muestra tal cual.
+const { toMinutes } = require('../scheduling/availability');
+
+const PRODUCT_ID = '-//Nutricion//Citas//ES';
+
+// Estado de la cita -> STATUS del evento
+const EVENT_STATUSES = {
+    pending: 'TENTATIVE',
+    confirmed: 'CONFIRMED',
+    completed: 'CONFIRMED',
+    cancelled: 'CANCELLED',
+    no_show: 'CANCELLED',
+};
+
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Las líneas no pueden superar 75 octetos; las siguientes empiezan por un espacio
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// 'YYYY-MM-DD' + minutos desde medianoche -> 'YYYYMMDDTHHMMSS' (la duración puede pasar al día siguiente)
+function formatLocal(date, minutes) {
+    const value = new Date(`${date}T00:00:00Z`);
+    value.setUTCMinutes(minutes);
+    return value.toISOString().slice(0, 19).replace(/[-:]/g, '');
+}
+
+function formatUtc(isoDate) {
+    const value = isoDate ? new Date(isoDate) : new Date();
+    return (isNaN(value) ? new Date() : value).toISOString().slice(0, 19).replace(/[-:]/g, '') + 'Z';
+}
+
+// Evento de una cita. `summary` suele ser el nombre del plan; `durationMinutes` sale del plan.
+function appointmentToEvent(appointment, { summary, description = '', durationMinutes, uidDomain }) {
+    const start = toMinutes(appointment.appointment_time);
+    return [
+        'BEGIN:VEVENT',
+        `UID:${appointment.id}@${uidDomain}`,
+        `DTSTAMP:${formatUtc(appointment.updated_at || appointment.created_at)}`,
+        `DTSTART:${formatLocal(appointment.appointment_date, start)}`,
+        `DTEND:${formatLocal(appointment.appointment_date, start + (durationMinutes || 0))}`,
+        // Cada reprogramación o cambio de estado sube la versión de la fila
+        `SEQUENCE:${Math.max(parseInt(appointment.version) - 1 || 0, 0)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        `STATUS:${EVENT_STATUSES[appointment.status] || 'TENTATIVE'}`,
+        'END:VEVENT',
+    ];
+}
+
+function buildCalendar({ name, events }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flat(),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { appointmentToEvent, buildCalendar };
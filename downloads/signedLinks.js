@@ -0,0 +1,38 @@
+// backend/downloads/signedLinks.js
+// Enlaces de descarga firmados y de corta duración. El token es
+// `<payload en base64url>.<HMAC-SHA256 del payload>`; el payload lleva la compra
+// (order_item_id), el usuario y la caducidad (exp, en segundos).
+// No es un JWT a propósito: así un enlace de descarga nunca sirve como token de sesión.
+const crypto = require('crypto');
+
+function sign(encodedPayload, secret) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+function createDownloadToken({ order_item_id, user_id }, { secret, ttlMinutes, now = new Date() }) {
+    const exp = Math.floor(now.getTime() / 1000) + ttlMinutes * 60;
+    const encodedPayload = Buffer.from(JSON.stringify({ order_item_id, user_id, exp })).toString('base64url');
+    return { token: `${encodedPayload}.${sign(encodedPayload, secret)}`, expires_at: new Date(exp * 1000).toISOString() };
+}
+
+// Devuelve el payload si el token es auténtico y no ha caducado; si no, null.
+function verifyDownloadToken(token, { secret, now = new Date() }) {
+    const [encodedPayload, signature] = String(token || '').split('.');
+    if (!encodedPayload || !signature) return null;
+
+    const expected = sign(encodedPayload, secret);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (!payload || !payload.order_item_id || !(payload.exp * 1000 > now.getTime())) return null;
+    return payload;
+}
+
+module.exports = { createDownloadToken, verifyDownloadToken };
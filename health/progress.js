@@ -0,0 +1,69 @@
+// backend/health/progress.js
+// Perfil de salud y evolución de las mediciones de un cliente.
+
+// Métricas de la hoja `measurements`
+const MEASUREMENT_METRICS = ['weight_kg', 'body_fat_pct', 'muscle_mass_kg', 'waist_cm', 'hip_cm'];
+
+function round(value, decimals = 1) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Edad en años cumplidos a fecha de `today` (YYYY-MM-DD); null si no hay fecha de nacimiento
+function computeAge(birthDate, today) {
+    if (!birthDate) return null;
+    const [birthYear, birthMonth, birthDay] = birthDate.split('-').map(Number);
+    const [year, month, day] = today.split('-').map(Number);
+    const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+    return year - birthYear - (hadBirthday ? 0 : 1);
+}
+
+function computeBmi(weightKg, heightCm) {
+    if (!weightKg || !heightCm) return null;
+    return round(weightKg / ((heightCm / 100) ** 2));
+}
+
+function metricValue(measurement, metric) {
+    const value = measurement[metric];
+    return value === undefined || value === '' ? null : Number(value);
+}
+
+// Resumen de la evolución entre dos fechas (inclusivas; cualquiera puede faltar).
+// Para cada métrica con datos: primer y último valor con su fecha, cambio, mínimo, máximo
+// y número de mediciones. Con la altura del perfil se añade el IMC inicial y final.
+function summarizeProgress(measurements, { from, to, heightCm } = {}) {
+    const inRange = measurements
+        .filter(m => (!from || m.measured_on >= from) && (!to || m.measured_on <= to))
+        .sort((a, b) => a.measured_on.localeCompare(b.measured_on) || String(a.created_at).localeCompare(String(b.created_at)));
+
+    const metrics = {};
+    for (const metric of MEASUREMENT_METRICS) {
+        const points = inRange
+            .map(m => ({ date: m.measured_on, value: metricValue(m, metric) }))
+            .filter(point => point.value !== null);
+        if (points.length === 0) continue;
+
+        const values = points.map(point => point.value);
+        const first = points[0];
+        const last = points[points.length - 1];
+        metrics[metric] = {
+            first,
+            last,
+            change: round(last.value - first.value, 2),
+            min: Math.min(...values),
+            max: Math.max(...values),
+            count: points.length,
+        };
+    }
+
+    const weight = metrics.weight_kg;
+    return {
+        from: from || (inRange[0] ? inRange[0].measured_on : null),
+        to: to || (inRange.length > 0 ? inRange[inRange.length - 1].measured_on : null),
+        measurements: inRange.length,
+        metrics,
+        bmi: weight && heightCm ? { first: computeBmi(weight.first.value, heightCm), last: computeBmi(weight.last.value, heightCm) } : null,
+    };
+}
+
+module.exports = { MEASUREMENT_METRICS, computeAge, computeBmi, summarizeProgress };
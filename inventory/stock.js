@@ -0,0 +1,88 @@
+// backend/inventory/stock.js
+// Stock de los productos. Un producto con `stock_quantity` vacío no controla stock
+// (productos digitales, por ejemplo). `stock_reserved` son las unidades de pedidos
+// pendientes de pago: se reservan al crear el pedido, se descuentan de verdad al
+// pagarse y se liberan si se cancela (también cuando caduca sin pagarse). No accede a las
+// hojas; recibe lo que necesita.
+
+function toInteger(value) {
+    const number = parseInt(value);
+    return Number.isNaN(number) ? 0 : number;
+}
+
+function getStockLevel(product) {
+    const tracked = product.stock_quantity !== undefined && product.stock_quantity !== null && product.stock_quantity !== '';
+    const reserved = toInteger(product.stock_reserved);
+    if (!tracked) {
+        return { tracked: false, quantity: null, reserved, available: null };
+    }
+    const quantity = toInteger(product.stock_quantity);
+    return { tracked: true, quantity, reserved, available: Math.max(quantity - reserved, 0) };
+}
+
+// Suma las unidades pedidas de cada producto ([{ product_id, quantity }] -> Map)
+function sumQuantities(lines) {
+    const totals = new Map();
+    lines.forEach(line => {
+        const key = String(line.product_id);
+        totals.set(key, (totals.get(key) || 0) + toInteger(line.quantity));
+    });
+    return totals;
+}
+
+// Productos sin unidades suficientes para `lines`: [{ product_id, requested, available, message }]
+function getStockErrors(lines, products) {
+    const errors = [];
+    sumQuantities(lines).forEach((requested, productId) => {
+        const product = products.find(p => String(p.id) === productId);
+        const level = product ? getStockLevel(product) : { tracked: false };
+        if (level.tracked && requested > level.available) {
+            errors.push({
+                product_id: productId,
+                requested,
+                available: level.available,
+                message: level.available === 0 ? `${product.name} está agotado`
+                    : level.available === 1 ? `solo queda 1 unidad de ${product.name}`
+                    : `solo quedan ${level.available} unidades de ${product.name}`,
+            });
+        }
+    });
+    return errors;
+}
+
+// Campos que hay que escribir en cada producto al mover `lines` de stock:
+//   reserve  -> reserva las unidades
+//   commit   -> el pedido se ha pagado: salen del stock y de la reserva
+//   release  -> se libera la reserva de un pedido pendiente que se cancela
+//   restock  -> vuelven al stock las unidades de un pedido pagado que se cancela
+// Devuelve [{ id, fields }] solo para los productos que controlan stock.
+function planStockChanges(action, lines, products) {
+    const changes = [];
+    sumQuantities(lines).forEach((units, productId) => {
+        const product = products.find(p => String(p.id) === productId);
+        if (!product) return;
+        const level = getStockLevel(product);
+        if (!level.tracked && action !== 'release' && action !== 'commit') return;
+
+        const fields = {};
+        if (action === 'reserve') fields.stock_reserved = level.reserved + units;
+        if (action === 'commit' || action === 'release') fields.stock_reserved = Math.max(level.reserved - units, 0);
+        // Si se ha desactivado el control de stock entre medias, solo se ajusta la reserva
+        if (level.tracked && action === 'commit') fields.stock_quantity = Math.max(level.quantity - units, 0);
+        if (action === 'restock') fields.stock_quantity = level.quantity + units;
+        changes.push({ id: product.id, fields });
+    });
+    return changes;
+}
+
+// Un producto está bajo mínimos cuando le quedan `threshold` unidades disponibles o menos
+function isLowStock(product, defaultThreshold) {
+    const level = getStockLevel(product);
+    if (!level.tracked) return false;
+    const threshold = product.low_stock_threshold !== undefined && product.low_stock_threshold !== ''
+        ? toInteger(product.low_stock_threshold)
+        : defaultThreshold;
+    return level.available <= threshold;
+}
+
+module.exports = { getStockLevel, getStockErrors, planStockChanges, isLowStock };
@@ -0,0 +1,77 @@
+// backend/invoices/pdf.js
+// Generador mínimo de PDF: solo texto, con las fuentes estándar Helvetica y
+// Helvetica-Bold. Suficiente para las facturas sin depender de librerías externas.
+const PAGE_WIDTH = 595; // A4 en puntos
+const PAGE_HEIGHT = 842;
+
+// Las fuentes estándar usan WinAnsiEncoding: casi igual que latin1, salvo el euro (0x80)
+function encodeWinAnsi(text) {
+    const mapped = String(text)
+        .replace(/€/g, '\x80')
+        .replace(/[^\x00-\xff]/g, '?');
+    return Buffer.from(mapped, 'latin1');
+}
+
+function escapeText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+// pages: [[{ text, x, y, size = 10, bold = false }, ...], ...]
+// Coordenadas en puntos con el origen abajo a la izquierda.
+function createTextPdf(pages) {
+    const objects = [];
+    const addObject = body => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject(encodeWinAnsi('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+    const boldFontId = addObject(encodeWinAnsi('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'));
+
+    const pageIds = pages.map(items => {
+        const content = encodeWinAnsi(items.map(({ text, x, y, size = 10, bold = false }) =>
+            `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${escapeText(text)}) Tj ET`
+        ).join('\n'));
+        const contentId = addObject(Buffer.concat([
+            encodeWinAnsi(`<< /Length ${content.length} >>\nstream\n`),
+            content,
+            encodeWinAnsi('\nendstream'),
+        ]));
+        return addObject(encodeWinAnsi(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        ));
+    });
+
+    objects[catalogId - 1] = encodeWinAnsi(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    objects[pagesId - 1] = encodeWinAnsi(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+    const chunks = [encodeWinAnsi('%PDF-1.4\n')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+        const chunk = Buffer.concat([encodeWinAnsi(`${index + 1} 0 obj\n`), body, encodeWinAnsi('\nendobj\n')]);
+        const objectOffset = offset;
+        chunks.push(chunk);
+        offset += chunk.length;
+        return objectOffset;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(objectOffset => `${String(objectOffset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+    ].join('\n');
+    chunks.push(encodeWinAnsi(xref + '\n'));
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = { createTextPdf, PAGE_WIDTH, PAGE_HEIGHT };
@@ -0,0 +1,184 @@
+// backend/invoices/render.js
+// Factura de un pedido en HTML y en PDF. `buildInvoice` reúne los datos y calcula
+// el desglose por tipo impositivo; las funciones render* solo les dan formato.
+const { toMinor, formatMoney } = require('../pricing/money');
+const { createTextPdf, PAGE_HEIGHT } = require('./pdf');
+
+// `items` son las filas de order_items con tax_rate y tax_amount ya resueltos (y `name`
+// en las líneas que no son de un producto, como los paquetes de sesiones)
+function buildInvoice({ order, items, products, customer, issuer }) {
+    const lines = items.map(item => {
+        const product = products.find(p => String(p.id) === String(item.product_id));
+        const quantity = parseInt(item.quantity) || 0;
+        const unitPrice = toMinor(item.price_at_purchase) || 0;
+        const discount = toMinor(item.discount_amount) || 0;
+        const total = unitPrice * quantity - discount;
+        const tax = toMinor(item.tax_amount) || 0;
+        return {
+            description: product ? product.name : (item.name || item.product_id),
+            quantity,
+            unit_price_minor: unitPrice,
+            discount_minor: discount,
+            tax_rate: Number(item.tax_rate) || 0,
+            tax_minor: tax,
+            base_minor: total - tax,
+            total_minor: total,
+        };
+    });
+
+    const breakdown = new Map();
+    for (const line of lines) {
+        const entry = breakdown.get(line.tax_rate) || { rate: line.tax_rate, base_minor: 0, tax_minor: 0 };
+        entry.base_minor += line.base_minor;
+        entry.tax_minor += line.tax_minor;
+        breakdown.set(line.tax_rate, entry);
+    }
+
+    const sum = field => lines.reduce((total, line) => total + line[field], 0);
+    return {
+        number: order.invoice_number,
+        date: String(order.invoiced_at || order.created_at || '').slice(0, 10),
+        order_id: order.id,
+        coupon_code: order.coupon_code || '',
+        currency: order.currency || 'EUR',
+        issuer,
+        customer: { name: customer.full_name || customer.username, email: customer.email },
+        lines,
+        tax_breakdown: [...breakdown.values()].sort((a, b) => a.rate - b.rate),
+        base_minor: sum('base_minor'),
+        tax_minor: sum('tax_minor'),
+        discount_minor: sum('discount_minor'),
+        total_minor: sum('total_minor'),
+    };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderInvoiceHtml(invoice) {
+    const money = minor => escapeHtml(formatMoney(minor, invoice.currency));
+    const rows = invoice.lines.map(line => `
+            <tr>
+                <td>${escapeHtml(line.description)}</td>
+                <td class="num">${line.quantity}</td>
+                <td class="num">${money(line.unit_price_minor)}</td>
+                <td class="num">${line.discount_minor ? money(-line.discount_minor) : ''}</td>
+                <td class="num">${line.tax_rate} %</td>
+                <td class="num">${money(line.total_minor)}</td>
+            </tr>`).join('');
+    const taxRows = invoice.tax_breakdown.map(entry => `
+            <tr><td>Base imponible al ${entry.rate} %</td><td class="num">${money(entry.base_minor)}</td></tr>
+            <tr><td>Impuesto al ${entry.rate} %</td><td class="num">${money(entry.tax_minor)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="utf-8">
+    <title>Factura ${escapeHtml(invoice.number)}</title>
+    <style>
+        body { font-family: Helvetica, Arial, sans-serif; font-size: 14px; margin: 40px; color: #222; }
+        table { border-collapse: collapse; width: 100%; margin-top: 24px; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+        .num { text-align: right; }
+        .totals { width: 50%; margin-left: auto; }
+        .total td { font-weight: bold; border-top: 2px solid #222; }
+    </style>
+</head>
+<body>
+    <h1>Factura ${escapeHtml(invoice.number)}</h1>
+    <p>Fecha: ${escapeHtml(invoice.date)}<br>Pedido: ${escapeHtml(invoice.order_id)}</p>
+    <p><strong>${escapeHtml(invoice.issuer.name)}</strong><br>${escapeHtml(invoice.issuer.tax_id)}<br>${escapeHtml(invoice.issuer.address)}</p>
+    <p>Cliente: ${escapeHtml(invoice.customer.name)}<br>${escapeHtml(invoice.customer.email)}</p>
+    <table>
+        <thead>
+            <tr><th>Concepto</th><th class="num">Cantidad</th><th class="num">Precio</th><th class="num">Descuento</th><th class="num">Impuesto</th><th class="num">Importe</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+    <table class="totals">
+        <tbody>${taxRows}
+            ${invoice.discount_minor ? `<tr><td>Descuento${invoice.coupon_code ? ` (${escapeHtml(invoice.coupon_code)})` : ''}</td><td class="num">${money(-invoice.discount_minor)}</td></tr>` : ''}
+            <tr class="total"><td>Total</td><td class="num">${money(invoice.total_minor)}</td></tr>
+        </tbody>
+    </table>
+    <p>Precios con impuestos incluidos.</p>
+</body>
+</html>
+`;
+}
+
+const ROW_HEIGHT = 16;
+const TOP_MARGIN = 60;
+const BOTTOM_MARGIN = 60;
+
+function renderInvoicePdf(invoice) {
+    const money = minor => formatMoney(minor, invoice.currency);
+    const pages = [[]];
+    let y = PAGE_HEIGHT - TOP_MARGIN;
+
+    const text = (value, x, options = {}) => pages[pages.length - 1].push({ text: value, x, y, ...options });
+    const nextRow = (height = ROW_HEIGHT) => {
+        y -= height;
+        if (y < BOTTOM_MARGIN) {
+            pages.push([]);
+            y = PAGE_HEIGHT - TOP_MARGIN;
+        }
+    };
+
+    text(`Factura ${invoice.number}`, 50, { size: 18, bold: true });
+    nextRow(28);
+    text(`Fecha: ${invoice.date}`, 50);
+    nextRow();
+    text(`Pedido: ${invoice.order_id}`, 50);
+    nextRow(28);
+    text(invoice.issuer.name, 50, { bold: true });
+    text(`Cliente: ${invoice.customer.name}`, 320, { bold: true });
+    nextRow();
+    text(invoice.issuer.tax_id, 50);
+    text(invoice.customer.email, 320);
+    nextRow();
+    text(invoice.issuer.address, 50);
+    nextRow(32);
+
+    const columns = [['Concepto', 50], ['Cant.', 290], ['Precio', 330], ['Dto.', 400], ['Imp.', 450], ['Importe', 500]];
+    columns.forEach(([label, x]) => text(label, x, { bold: true }));
+    nextRow();
+    for (const line of invoice.lines) {
+        text(line.description.slice(0, 40), 50);
+        text(String(line.quantity), 290);
+        text(money(line.unit_price_minor), 330);
+        text(line.discount_minor ? money(-line.discount_minor) : '', 400);
+        text(`${line.tax_rate} %`, 450);
+        text(money(line.total_minor), 500);
+        nextRow();
+    }
+
+    nextRow();
+    for (const entry of invoice.tax_breakdown) {
+        text(`Base imponible al ${entry.rate} %`, 330);
+        text(money(entry.base_minor), 500);
+        nextRow();
+        text(`Impuesto al ${entry.rate} %`, 330);
+        text(money(entry.tax_minor), 500);
+        nextRow();
+    }
+    if (invoice.discount_minor) {
+        text(`Descuento${invoice.coupon_code ? ` (${invoice.coupon_code})` : ''}`, 330);
+        text(money(-invoice.discount_minor), 500);
+        nextRow();
+    }
+    text('Total', 330, { bold: true });
+    text(money(invoice.total_minor), 500, { bold: true });
+    nextRow(28);
+    text('Precios con impuestos incluidos.', 50, { size: 8 });
+
+    return createTextPdf(pages);
+}
+
+module.exports = { buildInvoice, renderInvoiceHtml, renderInvoicePdf };
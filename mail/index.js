@@ -0,0 +1,76 @@
+// backend/mail/index.js
+// Envío de emails con transporte intercambiable según MAIL_DRIVER (obligatorio, no hay
+// valor por defecto: los mensajes llevan tokens de verificación y de cambio de contraseña):
+//   console -> muestra el mensaje completo en la consola (solo desarrollo)
+//   file    -> guarda cada mensaje como JSON en MAIL_OUTBOX_DIR (solo desarrollo)
+//   memory  -> los guarda en memoria (`outbox`), para los tests
+// Un transporte real (SMTP, API de un proveedor...) se añade con registerTransport
+// y debe exponer `send({ to, subject, text, html })`.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Nutri-Web <no-reply@nutri-web.local>';
+
+function createConsoleTransport() {
+    return {
+        async send(message) {
+            console.log(`[mail] Para: ${message.to} | Asunto: ${message.subject}\n${message.text}`);
+            return { id: uuidv4() };
+        },
+    };
+}
+
+function createFileTransport({ dir = process.env.MAIL_OUTBOX_DIR || 'data/outbox' } = {}) {
+    const outboxDir = path.resolve(dir);
+    return {
+        async send(message) {
+            const id = uuidv4();
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`;
+            await fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify({ id, ...message }, null, 2));
+            return { id };
+        },
+    };
+}
+
+function createMemoryTransport() {
+    const outbox = [];
+    return {
+        outbox,
+        async send(message) {
+            const id = uuidv4();
+            outbox.push({ id, ...message });
+            return { id };
+        },
+    };
+}
+
+const transports = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    memory: createMemoryTransport,
+};
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+function createMailer(driver = process.env.MAIL_DRIVER, options = {}) {
+    if (!driver) {
+        throw new Error(`Falta MAIL_DRIVER (disponibles: ${Object.keys(transports).join(', ')}).`);
+    }
+    const factory = transports[driver];
+    if (!factory) {
+        throw new Error(`MAIL_DRIVER desconocido: '${driver}'. Usa ${Object.keys(transports).join(', ')}.`);
+    }
+    const transport = factory(options);
+
+    async function send({ to, subject, text, html }) {
+        return transport.send({ from: MAIL_FROM, to, subject, text, html: html || text });
+    }
+
+    return { name: driver, send, outbox: transport.outbox };
+}
+
+module.exports = { createMailer, registerTransport };
@@ -0,0 +1,23 @@
+// backend/mail/templates.js
+// Textos de los emails que envía la aplicación.
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+function emailVerification({ user, token }) {
+    const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Confirma tu email en Nutri-Web',
+        text: `Hola ${user.full_name || user.username},\n\nConfirma tu dirección de email entrando en:\n${link}\n\nSi no te has registrado en Nutri-Web, ignora este mensaje.`,
+    };
+}
+
+function passwordReset({ user, token, expiresInMinutes }) {
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    return {
+        to: user.email,
+        subject: 'Restablece tu contraseña de Nutri-Web',
+        text: `Hola ${user.full_name || user.username},\n\nPara elegir una contraseña nueva entra en:\n${link}\n\nEl enlace caduca en ${expiresInMinutes} minutos y solo se puede usar una vez. Si no lo has pedido tú, ignora este mensaje.`,
+    };
+}
+
+module.exports = { emailVerification, passwordReset };
@@ -0,0 +1,16 @@
+// backend/migrations/001_tracking_columns.js
+// Añade las columnas de control (bloqueo optimista y papelera) a las hojas creadas
+// antes de que existieran.
+const SHEETS = ['users', 'products', 'nutrition_plans', 'appointments', 'orders'];
+
+module.exports = {
+    id: '001_tracking_columns',
+    description: 'Añade version, updated_at y deleted_at a los recursos editables',
+    async up({ addColumn }) {
+        for (const sheetName of SHEETS) {
+            await addColumn(sheetName, 'version', { backfill: () => 1 });
+            await addColumn(sheetName, 'updated_at', { backfill: record => record.created_at || '' });
+            await addColumn(sheetName, 'deleted_at');
+        }
+    },
+};
@@ -0,0 +1,9 @@
+// backend/migrations/002_email_verification.js
+// Los usuarios existentes quedan sin verificar hasta que confirmen su email.
+module.exports = {
+    id: '002_email_verification',
+    description: 'Añade users.email_verified_at',
+    async up({ addColumn }) {
+        await addColumn('users', 'email_verified_at');
+    },
+};
@@ -0,0 +1,9 @@
+// backend/migrations/003_nutritionist_assignment.js
+// Los clientes existentes quedan sin nutricionista asignado.
+module.exports = {
+    id: '003_nutritionist_assignment',
+    description: 'Añade users.nutritionist_id',
+    async up({ addColumn }) {
+        await addColumn('users', 'nutritionist_id');
+    },
+};
@@ -0,0 +1,12 @@
+// backend/migrations/004_recurring_and_packages.js
+// Las citas existentes no pertenecen a ninguna serie ni paquete, y los planes
+// existentes se siguen vendiendo de sesión en sesión.
+module.exports = {
+    id: '004_recurring_and_packages',
+    description: 'Añade appointments.series_id, appointments.package_id y nutrition_plans.sessions_included',
+    async up({ addColumn }) {
+        await addColumn('appointments', 'series_id');
+        await addColumn('appointments', 'package_id');
+        await addColumn('nutrition_plans', 'sessions_included', { backfill: () => 1 });
+    },
+};
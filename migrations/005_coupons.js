@@ -0,0 +1,11 @@
+// backend/migrations/005_coupons.js
+// Los pedidos anteriores no tienen cupón ni descuento.
+module.exports = {
+    id: '005_coupons',
+    description: 'Añade orders.coupon_code, orders.discount_amount y order_items.discount_amount',
+    async up({ addColumn }) {
+        await addColumn('orders', 'coupon_code');
+        await addColumn('orders', 'discount_amount', { backfill: () => 0 });
+        await addColumn('order_items', 'discount_amount', { backfill: () => 0 });
+    },
+};
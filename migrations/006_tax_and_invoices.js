@@ -0,0 +1,15 @@
+// backend/migrations/006_tax_and_invoices.js
+// Los pedidos anteriores quedan en la moneda configurada y sin factura; su impuesto
+// se calcula con los tipos vigentes cuando se pide la factura.
+module.exports = {
+    id: '006_tax_and_invoices',
+    description: 'Añade moneda, impuestos y número de factura a orders y order_items',
+    async up({ addColumn }) {
+        await addColumn('orders', 'currency', { backfill: () => process.env.CURRENCY || 'EUR' });
+        await addColumn('orders', 'tax_amount');
+        await addColumn('orders', 'invoice_number');
+        await addColumn('orders', 'invoiced_at');
+        await addColumn('order_items', 'tax_rate');
+        await addColumn('order_items', 'tax_amount');
+    },
+};
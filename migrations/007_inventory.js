@@ -0,0 +1,14 @@
+// backend/migrations/007_inventory.js
+// Los productos existentes quedan sin control de stock y los pedidos anteriores no
+// reservaron nada.
+module.exports = {
+    id: '007_inventory',
+    description: 'Añade stock a products y el estado de la reserva a orders y order_items',
+    async up({ addColumn }) {
+        await addColumn('products', 'stock_quantity');
+        await addColumn('products', 'stock_reserved', { backfill: () => 0 });
+        await addColumn('products', 'low_stock_threshold');
+        await addColumn('orders', 'stock_status');
+        await addColumn('order_items', 'stock_tracked', { backfill: () => 'FALSE' });
+    },
+};
@@ -0,0 +1,12 @@
+// backend/migrations/008_order_lifecycle.js
+// El estado `completed` de los pedidos pasa a llamarse `fulfilled` y las líneas
+// anteriores no tienen nada reembolsado.
+module.exports = {
+    id: '008_order_lifecycle',
+    description: 'Renombra el estado completed de orders a fulfilled y añade los reembolsos a order_items',
+    async up({ addColumn, backfill }) {
+        await backfill('orders', 'status', record => (record.status === 'completed' ? 'fulfilled' : undefined));
+        await addColumn('order_items', 'refunded_quantity', { backfill: () => 0 });
+        await addColumn('order_items', 'refunded_amount', { backfill: () => 0 });
+    },
+};
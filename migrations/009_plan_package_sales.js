@@ -0,0 +1,11 @@
+// backend/migrations/009_plan_package_sales.js
+// Las líneas de pedido pueden comprar un plan (paquete de sesiones) en lugar de un
+// producto. Las líneas anteriores son todas de productos.
+module.exports = {
+    id: '009_plan_package_sales',
+    description: 'Añade plan_id y plan_package_id a order_items',
+    async up({ addColumn }) {
+        await addColumn('order_items', 'plan_id');
+        await addColumn('order_items', 'plan_package_id');
+    },
+};
@@ -0,0 +1,9 @@
+// backend/migrations/010_coupon_plans.js
+// Los cupones pueden limitarse a planes; los existentes no tienen ninguno.
+module.exports = {
+    id: '010_coupon_plans',
+    description: 'Añade coupons.plan_ids',
+    async up({ addColumn }) {
+        await addColumn('coupons', 'plan_ids', { backfill: () => '' });
+    },
+};
@@ -0,0 +1,74 @@
+// backend/migrations/helpers.js
+// Operaciones que pueden usar las migraciones. Todas son idempotentes: si el
+// cambio ya está aplicado no hacen nada, así una migración a medias se puede repetir.
+const { rowsToObjects, objectsToRows } = require('../storage/rows');
+
+function createMigrationContext(storage, log = console.log) {
+    async function readSheet(sheetName) {
+        const data = await storage.getSheetData(sheetName);
+        if (data.length === 0) {
+            throw new Error(`Hoja '${sheetName}' vacía o no encontrada.`);
+        }
+        return { headers: data[0], records: rowsToObjects(data) };
+    }
+
+    async function writeSheet(sheetName, headers, records) {
+        await storage.replaceSheetData(sheetName, objectsToRows(headers, records));
+    }
+
+    // Añade una columna al final. `backfill(record)` calcula el valor de las filas existentes.
+    async function addColumn(sheetName, column, { backfill } = {}) {
+        const { headers, records } = await readSheet(sheetName);
+        if (headers.includes(column)) {
+            log(`  - ${sheetName}.${column} ya existe`);
+            return;
+        }
+        records.forEach(record => {
+            record[column] = backfill ? backfill(record) : '';
+        });
+        await writeSheet(sheetName, [...headers, column], records);
+        log(`  + ${sheetName}.${column}`);
+    }
+
+    async function renameColumn(sheetName, from, to) {
+        const { headers, records } = await readSheet(sheetName);
+        if (!headers.includes(from)) {
+            log(`  - ${sheetName}.${from} no existe (¿ya renombrada a ${to}?)`);
+            return;
+        }
+        if (headers.includes(to)) {
+            throw new Error(`No se puede renombrar ${sheetName}.${from}: la columna ${to} ya existe.`);
+        }
+        records.forEach(record => {
+            record[to] = record[from];
+            delete record[from];
+        });
+        await writeSheet(sheetName, headers.map(header => (header === from ? to : header)), records);
+        log(`  ~ ${sheetName}.${from} -> ${to}`);
+    }
+
+    // Rellena una columna existente. `compute(record)` devuelve el nuevo valor, o
+    // undefined para dejar la fila como está.
+    async function backfill(sheetName, column, compute) {
+        const { headers, records } = await readSheet(sheetName);
+        if (!headers.includes(column)) {
+            throw new Error(`La hoja '${sheetName}' no tiene una columna "${column}".`);
+        }
+        let changed = 0;
+        records.forEach(record => {
+            const value = compute(record);
+            if (value !== undefined && String(value) !== String(record[column] ?? '')) {
+                record[column] = value;
+                changed++;
+            }
+        });
+        if (changed > 0) {
+            await writeSheet(sheetName, headers, records);
+        }
+        log(`  * ${sheetName}.${column}: ${changed} filas actualizadas`);
+    }
+
+    return { storage, log, readSheet, addColumn, renameColumn, backfill };
+}
+
+module.exports = { createMigrationContext };
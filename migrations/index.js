@@ -0,0 +1,102 @@
+// backend/migrations/index.js
+// Puesta en marcha de la hoja de cálculo y migraciones versionadas de su estructura.
+//
+// - bootstrap: crea las pestañas que falten (según los esquemas) con su cabecera.
+// - migrate:   aplica en orden las migraciones pendientes y las anota en la pestaña `meta`.
+//
+// Para añadir una migración, crea migrations/NNN_descripcion.js exportando
+// { id, description, up(context) } y añádela al final de MIGRATIONS. Nunca
+// modifiques una migración ya aplicada: crea otra nueva.
+const { SCHEMAS, getHeaders, serializeRow } = require('../schemas');
+const { rowsToObjects } = require('../storage/rows');
+const { createMigrationContext } = require('./helpers');
+
+const MIGRATIONS = [
+    require('./001_tracking_columns'),
+    require('./002_email_verification'),
+    require('./003_nutritionist_assignment'),
+    require('./004_recurring_and_packages'),
+    require('./005_coupons'),
+    require('./006_tax_and_invoices'),
+    require('./007_inventory'),
+    require('./008_order_lifecycle'),
+    require('./009_plan_package_sales'),
+    require('./010_coupon_plans'),
+];
+
+const META_SHEET = 'meta';
+
+async function bootstrap(storage, log = console.log) {
+    const existing = await storage.listSheets();
+    const created = [];
+
+    for (const sheetName of Object.keys(SCHEMAS)) {
+        if (!existing.includes(sheetName)) {
+            await storage.createSheet(sheetName, getHeaders(sheetName));
+            created.push(sheetName);
+            log(`+ Hoja '${sheetName}' creada`);
+            continue;
+        }
+
+        const [headers = []] = await storage.getSheetData(sheetName);
+        if (headers.length === 0) {
+            await storage.replaceSheetData(sheetName, [getHeaders(sheetName)]);
+            log(`+ Cabecera de '${sheetName}' escrita`);
+        } else {
+            const missing = getHeaders(sheetName).filter(header => !headers.includes(header));
+            if (missing.length > 0) {
+                log(`! A '${sheetName}' le faltan columnas (${missing.join(', ')}); ejecuta las migraciones.`);
+            }
+        }
+    }
+
+    if (created.length === 0) {
+        log('Todas las hojas existen.');
+    }
+    return { created };
+}
+
+async function getAppliedMigrations(storage) {
+    const existing = await storage.listSheets();
+    if (!existing.includes(META_SHEET)) return [];
+    return rowsToObjects(await storage.getSheetData(META_SHEET));
+}
+
+async function getStatus(storage) {
+    const applied = await getAppliedMigrations(storage);
+    const appliedIds = new Set(applied.map(migration => migration.id));
+    return MIGRATIONS.map(migration => ({
+        id: migration.id,
+        description: migration.description,
+        applied_at: (applied.find(a => a.id === migration.id) || {}).applied_at || null,
+        pending: !appliedIds.has(migration.id),
+    }));
+}
+
+async function migrate(storage, log = console.log) {
+    const existing = await storage.listSheets();
+    if (!existing.includes(META_SHEET)) {
+        await storage.createSheet(META_SHEET, getHeaders(META_SHEET));
+    }
+
+    const pending = (await getStatus(storage)).filter(migration => migration.pending);
+    if (pending.length === 0) {
+        log('No hay migraciones pendientes.');
+        return { applied: [] };
+    }
+
+    const context = createMigrationContext(storage, log);
+    for (const { id } of pending) {
+        const migration = MIGRATIONS.find(m => m.id === id);
+        log(`> ${migration.id}: ${migration.description}`);
+        await migration.up(context);
+        await storage.appendRow(META_SHEET, serializeRow(META_SHEET, {
+            id: migration.id,
+            description: migration.description,
+            applied_at: new Date().toISOString(),
+        }));
+    }
+    return { applied: pending.map(migration => migration.id) };
+}
+
+module.exports = { MIGRATIONS, bootstrap, migrate, getStatus };
@@ -0,0 +1,45 @@
+// backend/notifications/channels.js
+// Canales de notificación intercambiables según NOTIFICATION_CHANNEL:
+//   email (por defecto) -> se envía con el mailer (en desarrollo, MAIL_DRIVER=console o file)
+//   console             -> muestra el mensaje en la consola
+// Un canal nuevo (SMS, push...) se añade con registerChannel y debe exponer
+// `send({ user, subject, text })`; si el envío falla, debe lanzar un error.
+
+function createEmailChannel({ mailer }) {
+    return {
+        async send({ user, subject, text }) {
+            if (!user.email) {
+                throw new Error(`El usuario ${user.id} no tiene email.`);
+            }
+            return mailer.send({ to: user.email, subject, text });
+        },
+    };
+}
+
+function createConsoleChannel() {
+    return {
+        async send({ user, subject, text }) {
+            console.log(`[notificación] Para: ${user.username || user.id} | ${subject}\n${text}`);
+            return {};
+        },
+    };
+}
+
+const channels = {
+    email: createEmailChannel,
+    console: createConsoleChannel,
+};
+
+function registerChannel(name, factory) {
+    channels[name] = factory;
+}
+
+function createChannel(name = process.env.NOTIFICATION_CHANNEL || 'email', options = {}) {
+    const factory = channels[name];
+    if (!factory) {
+        throw new Error(`NOTIFICATION_CHANNEL desconocido: '${name}'. Usa ${Object.keys(channels).join(', ')}.`);
+    }
+    return { name, ...factory(options) };
+}
+
+module.exports = { createChannel, registerChannel };
@@ -0,0 +1,45 @@
+// backend/notifications/scheduler.js
+// Tareas periódicas dentro del propio servidor. Cada ejecución lanza las tareas
+// en orden y nunca se solapa con la anterior; el fallo de una no impide las demás.
+function createScheduler({ intervalMs, jobs, log = console }) {
+    let timer = null;
+    let running = null;
+
+    async function runJobs() {
+        const results = {};
+        for (const job of jobs) {
+            try {
+                results[job.name] = await job.run(new Date());
+            } catch (error) {
+                log.error(`Error en la tarea programada '${job.name}':`, error);
+                results[job.name] = { error: error.message };
+            }
+        }
+        return results;
+    }
+
+    // Si ya hay una ejecución en curso, se espera a esa en lugar de lanzar otra
+    function runOnce() {
+        if (!running) {
+            running = runJobs().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(runOnce, intervalMs);
+        timer.unref(); // No impide que el proceso termine
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+module.exports = { createScheduler };
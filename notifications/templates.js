@@ -0,0 +1,49 @@
+// backend/notifications/templates.js
+// Textos de las notificaciones a clientes (citas y pedidos).
+
+function greeting(user) {
+    return `Hola ${user.full_name || user.username},`;
+}
+
+function describeAppointment(appointment, plan) {
+    return `${plan ? plan.name : 'Cita'} el ${appointment.appointment_date} a las ${appointment.appointment_time}`;
+}
+
+function appointmentBooked({ user, appointments, plan }) {
+    const list = appointments.map(appointment => `- ${describeAppointment(appointment, plan)}`).join('\n');
+    return {
+        subject: appointments.length > 1 ? 'Hemos recibido tu reserva de sesiones' : 'Hemos recibido tu reserva',
+        text: `${greeting(user)}\n\nHemos recibido tu reserva:\n${list}\n\nTe avisaremos cuando tu nutricionista la confirme.`,
+    };
+}
+
+function appointmentConfirmed({ user, appointment, plan }) {
+    return {
+        subject: 'Tu cita está confirmada',
+        text: `${greeting(user)}\n\nTu cita está confirmada: ${describeAppointment(appointment, plan)}.`,
+    };
+}
+
+function appointmentCancelled({ user, appointment, plan }) {
+    return {
+        subject: 'Tu cita ha sido cancelada',
+        text: `${greeting(user)}\n\nSe ha cancelado tu cita: ${describeAppointment(appointment, plan)}.\n\nPuedes reservar otra cuando quieras.`,
+    };
+}
+
+function appointmentReminder({ user, appointment, plan }) {
+    return {
+        subject: `Recordatorio: tienes cita el ${appointment.appointment_date} a las ${appointment.appointment_time}`,
+        text: `${greeting(user)}\n\nTe recordamos tu cita: ${describeAppointment(appointment, plan)}.\n\nSi no puedes asistir, cancélala con antelación.`,
+    };
+}
+
+function orderConfirmation({ user, order, items }) {
+    const list = items.map(item => `- ${item.name} x${item.quantity}: ${item.price_at_purchase}`).join('\n');
+    return {
+        subject: 'Confirmación de tu pedido',
+        text: `${greeting(user)}\n\nGracias por tu compra. Resumen del pedido ${order.id}:\n${list}\n\nTotal: ${order.total_amount}`,
+    };
+}
+
+module.exports = { appointmentBooked, appointmentConfirmed, appointmentCancelled, appointmentReminder, orderConfirmation };
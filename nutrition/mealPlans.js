@@ -0,0 +1,120 @@
+// backend/nutrition/mealPlans.js
+// Planes de comidas: días -> comidas -> alimentos con su ración en gramos.
+// En la hoja se guardan planos (una fila de `meal_plan_items` por alimento); aquí se
+// valida el documento anidado que envía la API y se reconstruye con los totales.
+const { MEAL_TYPES } = require('../schemas');
+const { validateRecord } = require('../schemas/validate');
+
+// Nutrientes de `foods` (por 100 g) que se suman en los totales
+const NUTRIENTS = ['kcal', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'sugar_g', 'sodium_mg', 'calcium_mg', 'iron_mg', 'vitamin_c_mg'];
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function emptyTotals() {
+    return Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, 0]));
+}
+
+function addTotals(target, source) {
+    NUTRIENTS.forEach(nutrient => { target[nutrient] = round(target[nutrient] + source[nutrient]); });
+    return target;
+}
+
+// Nutrientes de una ración de `grams` gramos
+function portionNutrients(food, grams) {
+    return Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, round((Number(food[nutrient]) || 0) * grams / 100)]));
+}
+
+// Valida `days` ([{ day, meals: [{ meal, items: [{ food_id, grams, notes }] }] }]).
+// `foods` son los alimentos que se pueden usar. Devuelve { value, errors } donde `value`
+// son las filas de `meal_plan_items` (sin meal_plan_id).
+function validateDays(days, foods) {
+    if (!Array.isArray(days)) {
+        return { value: [], errors: [{ field: 'days', message: 'debe ser una lista de días' }] };
+    }
+
+    const rows = [];
+    const errors = [];
+    const seenDays = new Set();
+    days.forEach((dayInput, dayIndex) => {
+        const dayPrefix = `days[${dayIndex}].`;
+        const { value: { day }, errors: dayErrors } = validateRecord('meal_plan_items', dayInput, { fields: ['day'], prefix: dayPrefix });
+        errors.push(...dayErrors);
+        if (day !== undefined && seenDays.has(day)) {
+            errors.push({ field: `${dayPrefix}day`, message: 'día repetido' });
+        }
+        seenDays.add(day);
+
+        const meals = dayInput && dayInput.meals;
+        if (!Array.isArray(meals)) {
+            errors.push({ field: `${dayPrefix}meals`, message: 'debe ser una lista de comidas' });
+            return;
+        }
+        const seenMeals = new Set();
+        meals.forEach((mealInput, mealIndex) => {
+            const mealPrefix = `${dayPrefix}meals[${mealIndex}].`;
+            const { value: { meal }, errors: mealErrors } = validateRecord('meal_plan_items', mealInput, { fields: ['meal'], prefix: mealPrefix });
+            errors.push(...mealErrors);
+            if (meal !== undefined && seenMeals.has(meal)) {
+                errors.push({ field: `${mealPrefix}meal`, message: 'comida repetida en el mismo día' });
+            }
+            seenMeals.add(meal);
+
+            const items = mealInput && mealInput.items;
+            if (!Array.isArray(items) || items.length === 0) {
+                errors.push({ field: `${mealPrefix}items`, message: 'debe ser una lista con al menos un alimento' });
+                return;
+            }
+            items.forEach((itemInput, itemIndex) => {
+                const itemPrefix = `${mealPrefix}items[${itemIndex}].`;
+                const { value: item, errors: itemErrors } = validateRecord('meal_plan_items', itemInput, { fields: ['food_id', 'grams', 'notes'], prefix: itemPrefix });
+                errors.push(...itemErrors);
+                if (item.food_id && !foods.some(f => String(f.id) === String(item.food_id))) {
+                    errors.push({ field: `${itemPrefix}food_id`, message: 'no corresponde a ningún alimento activo' });
+                }
+                rows.push({ ...item, day, meal, position: itemIndex + 1 });
+            });
+        });
+    });
+
+    return { value: errors.length > 0 ? [] : rows, errors };
+}
+
+// Documento completo del plan con los nutrientes de cada alimento y los totales por
+// comida, por día y la media diaria. `foods` debe incluir también los alimentos dados
+// de baja para que los planes antiguos sigan mostrándose completos.
+function buildMealPlanDocument(plan, items, foods) {
+    const dayNumbers = [...new Set(items.map(item => Number(item.day)))].sort((a, b) => a - b);
+
+    const days = dayNumbers.map(day => {
+        const dayItems = items.filter(item => Number(item.day) === day);
+        const meals = MEAL_TYPES
+            .filter(meal => dayItems.some(item => item.meal === meal))
+            .map(meal => {
+                const mealItems = dayItems
+                    .filter(item => item.meal === meal)
+                    .sort((a, b) => Number(a.position) - Number(b.position))
+                    .map(item => {
+                        const food = foods.find(f => String(f.id) === String(item.food_id)) || {};
+                        const grams = Number(item.grams);
+                        return {
+                            food_id: item.food_id,
+                            food_name: food.name || '',
+                            grams,
+                            notes: item.notes || '',
+                            nutrients: portionNutrients(food, grams),
+                        };
+                    });
+                return { meal, items: mealItems, totals: mealItems.reduce((totals, item) => addTotals(totals, item.nutrients), emptyTotals()) };
+            });
+        return { day, meals, totals: meals.reduce((totals, meal) => addTotals(totals, meal.totals), emptyTotals()) };
+    });
+
+    const sum = days.reduce((totals, day) => addTotals(totals, day.totals), emptyTotals());
+    const dailyAverage = Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, days.length > 0 ? round(sum[nutrient] / days.length) : 0]));
+
+    return { ...plan, days, daily_average: dailyAverage };
+}
+
+module.exports = { NUTRIENTS, validateDays, buildMealPlanDocument };
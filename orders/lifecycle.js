@@ -0,0 +1,105 @@
+// backend/orders/lifecycle.js
+// Ciclo de vida de un pedido:
+//   pending_payment    -> paid | payment_failed | cancelled
+//   payment_failed     -> pending_payment (reintento) | paid | cancelled
+//   paid               -> fulfilled | partially_refunded | refunded
+//   fulfilled          -> partially_refunded | refunded
+//   partially_refunded -> partially_refunded | refunded
+// refunded y cancelled son estados finales. Un pedido pagado no se cancela: se reembolsa.
+const { toMinor } = require('../pricing/money');
+
+const ORDER_TRANSITIONS = {
+    pending_payment: ['paid', 'payment_failed', 'cancelled'],
+    payment_failed: ['pending_payment', 'paid', 'cancelled'],
+    paid: ['fulfilled', 'partially_refunded', 'refunded'],
+    fulfilled: ['partially_refunded', 'refunded'],
+    partially_refunded: ['partially_refunded', 'refunded'],
+    refunded: [],
+    cancelled: [],
+};
+
+// Pedidos que se pueden pagar (y que el cliente puede cancelar)
+const UNPAID_ORDER_STATUSES = ['pending_payment', 'payment_failed'];
+
+// Pedidos cobrados: dan derecho a factura y a las descargas de lo no reembolsado
+const PAID_ORDER_STATUSES = ['paid', 'fulfilled', 'partially_refunded'];
+
+function canTransition(fromStatus, toStatus) {
+    return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function toInteger(value) {
+    return parseInt(value) || 0;
+}
+
+// Importe cobrado por una línea (precio por cantidad menos su parte del descuento), en céntimos
+function lineTotalMinor(item) {
+    return toMinor(item.price_at_purchase) * toInteger(item.quantity) - (toMinor(item.discount_amount) || 0);
+}
+
+function remainingQuantity(item) {
+    return toInteger(item.quantity) - toInteger(item.refunded_quantity);
+}
+
+// Calcula un reembolso sobre las líneas `items` del pedido. `requested` es
+// [{ order_item_id, quantity }]; si no se indica, se reembolsa todo lo pendiente.
+// Cada unidad devuelve su parte proporcional de la línea; la última se lleva el resto
+// para que la suma cuadre con lo cobrado. Devuelve { lines, amount_minor, fully_refunded, errors }.
+function planRefund(items, requested) {
+    const errors = [];
+    const wanted = requested === undefined
+        ? items.filter(item => remainingQuantity(item) > 0).map(item => ({ order_item_id: item.id, quantity: remainingQuantity(item) }))
+        : requested;
+
+    const lines = [];
+    const seen = new Set();
+    wanted.forEach((entry, index) => {
+        const prefix = `items[${index}].`;
+        const item = items.find(i => String(i.id) === String(entry.order_item_id));
+        if (!item) {
+            errors.push({ field: `${prefix}order_item_id`, message: 'no pertenece a este pedido' });
+            return;
+        }
+        if (seen.has(String(item.id))) {
+            errors.push({ field: `${prefix}order_item_id`, message: 'línea repetida' });
+            return;
+        }
+        seen.add(String(item.id));
+
+        const remaining = remainingQuantity(item);
+        if (entry.quantity > remaining) {
+            errors.push({ field: `${prefix}quantity`, message: remaining === 0 ? 'la línea ya está reembolsada' : `solo quedan ${remaining} unidades por reembolsar` });
+            return;
+        }
+        const total = lineTotalMinor(item);
+        const amount = entry.quantity === remaining
+            ? total - (toMinor(item.refunded_amount) || 0)
+            : Math.round(total * entry.quantity / toInteger(item.quantity));
+        lines.push({ item, quantity: entry.quantity, amount_minor: amount });
+    });
+
+    if (errors.length === 0 && lines.length === 0) {
+        errors.push({ field: 'items', message: 'no queda nada por reembolsar en este pedido' });
+    }
+
+    const fullyRefunded = items.every(item => {
+        const line = lines.find(l => String(l.item.id) === String(item.id));
+        return remainingQuantity(item) - (line ? line.quantity : 0) === 0;
+    });
+
+    return {
+        lines: errors.length > 0 ? [] : lines,
+        amount_minor: lines.reduce((sum, line) => sum + line.amount_minor, 0),
+        fully_refunded: fullyRefunded,
+        errors,
+    };
+}
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    UNPAID_ORDER_STATUSES,
+    PAID_ORDER_STATUSES,
+    canTransition,
+    remainingQuantity,
+    planRefund,
+};
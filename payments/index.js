@@ -0,0 +1,89 @@
+// backend/payments/index.js
+// Pasarela de pago intercambiable según PAYMENT_PROVIDER (obligatoria, no hay valor por defecto):
+//   mock -> pasarela simulada, solo para desarrollo y tests: cualquiera puede marcar un
+//           pedido como pagado. Sus avisos (webhooks) van firmados con HMAC-SHA256 de
+//           PAYMENT_WEBHOOK_SECRET (obligatoria) en la cabecera X-Mock-Signature.
+// Un proveedor real se añade con registerProvider y debe exponer:
+//   createPayment({ order, amount, currency, description }) -> { payment_id, checkout_url }
+//                                        (`amount` en unidades mínimas: céntimos)
+//   parseWebhook({ headers, rawBody, body }) -> { payment_id, status: 'paid' | 'failed' }
+//   refundPayment({ payment_id, amount, currency }) -> { refund_id }   (`amount` en céntimos)
+// parseWebhook lanza InvalidWebhookError si el aviso no es auténtico o no se entiende.
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+class InvalidWebhookError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidWebhookError';
+        this.status = 400;
+    }
+}
+
+const WEBHOOK_STATUSES = ['paid', 'failed'];
+
+function createMockProvider({ secret = process.env.PAYMENT_WEBHOOK_SECRET, baseUrl = process.env.API_URL || '' } = {}) {
+    if (!secret) {
+        throw new Error('Falta PAYMENT_WEBHOOK_SECRET: sin ella cualquiera podría falsificar los avisos de pago.');
+    }
+
+    function sign(rawBody) {
+        return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    }
+
+    return {
+        async createPayment({ order }) {
+            const payment_id = `mock_${uuidv4()}`;
+            return { payment_id, checkout_url: `${baseUrl.replace(/\/$/, '')}/api/payments/mock/${payment_id}?order_id=${order.id}` };
+        },
+
+        parseWebhook({ headers, rawBody }) {
+            const signature = String(headers['x-mock-signature'] || '');
+            const expected = sign(rawBody || '');
+            if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+                throw new InvalidWebhookError('Firma del aviso de pago no válida.');
+            }
+            let payload;
+            try {
+                payload = JSON.parse(String(rawBody));
+            } catch (error) {
+                throw new InvalidWebhookError('El aviso de pago no es un JSON válido.');
+            }
+            if (!payload.payment_id || !WEBHOOK_STATUSES.includes(payload.status)) {
+                throw new InvalidWebhookError('El aviso de pago no indica payment_id y status (paid o failed).');
+            }
+            return { payment_id: payload.payment_id, status: payload.status };
+        },
+
+        async refundPayment({ payment_id }) {
+            return { refund_id: `mock_refund_${uuidv4()}`, payment_id };
+        },
+
+        // Solo en la pasarela simulada: genera un aviso firmado como lo enviaría un proveedor real
+        buildWebhook({ payment_id, status }) {
+            const rawBody = JSON.stringify({ payment_id, status });
+            return { headers: { 'x-mock-signature': sign(rawBody) }, rawBody };
+        },
+    };
+}
+
+const providers = {
+    mock: createMockProvider,
+};
+
+function registerProvider(name, factory) {
+    providers[name] = factory;
+}
+
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER, options = {}) {
+    if (!name) {
+        throw new Error(`Falta PAYMENT_PROVIDER (disponibles: ${Object.keys(providers).join(', ')}; mock es solo para desarrollo).`);
+    }
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`PAYMENT_PROVIDER desconocido: '${name}'. Usa ${Object.keys(providers).join(', ')}.`);
+    }
+    return { name, ...factory(options) };
+}
+
+module.exports = { createPaymentProvider, registerProvider, InvalidWebhookError, WEBHOOK_STATUSES };
@@ -0,0 +1,81 @@
+// backend/pricing/coupons.js
+// Cupones de descuento: comprobación de validez y reparto del descuento entre las
+// líneas de un pedido. No accede a las hojas; recibe todo lo que necesita.
+// Todos los importes van en céntimos (ver ./money.js).
+const { toMinor, percentOf } = require('./money');
+const { cellToBoolean } = require('../storage/rows');
+
+// Los códigos se comparan sin distinguir mayúsculas ni espacios alrededor
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// 'a, b ,c' -> ['a', 'b', 'c']
+function parseList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Un cupón sin productos, categorías ni planes vale para todo el pedido. Las categorías
+// son de productos: una línea de plan (paquete de sesiones) solo entra por plan_ids.
+function isEligible(coupon, line, product) {
+    const productIds = parseList(coupon.product_ids);
+    const categories = parseList(coupon.categories).map(category => category.toLowerCase());
+    const planIds = parseList(coupon.plan_ids);
+    if (productIds.length === 0 && categories.length === 0 && planIds.length === 0) return true;
+    if (line.plan_id) return planIds.includes(String(line.plan_id));
+    if (!product) return false;
+    return productIds.includes(String(product.id)) || categories.includes(String(product.category || '').toLowerCase());
+}
+
+// Motivo por el que no se puede usar el cupón, o null si se puede.
+// `usesTotal` y `usesByUser`: pedidos que ya lo han usado (en total y del usuario).
+function getCouponError(coupon, { now = new Date(), usesTotal, usesByUser }) {
+    if (!coupon || coupon.deleted_at || !cellToBoolean(coupon.is_active, true)) {
+        return 'el cupón no existe o no está activo';
+    }
+    if (coupon.valid_from && now < new Date(coupon.valid_from)) {
+        return 'el cupón todavía no es válido';
+    }
+    if (coupon.valid_until && now > new Date(coupon.valid_until)) {
+        return 'el cupón ha caducado';
+    }
+    if (coupon.max_uses && usesTotal >= parseInt(coupon.max_uses)) {
+        return 'el cupón ha alcanzado su número máximo de usos';
+    }
+    if (coupon.max_uses_per_user && usesByUser >= parseInt(coupon.max_uses_per_user)) {
+        return 'ya has usado este cupón el número máximo de veces';
+    }
+    return null;
+}
+
+// Reparte el descuento entre las líneas a las que se aplica el cupón.
+// lines: [{ product_id | plan_id, quantity, unit_price_minor }]
+// Devuelve { lines (con discount_minor), discount_minor } o { error } si no se aplica a ninguna.
+function applyCoupon(coupon, lines, products) {
+    const eligible = lines.map(line => isEligible(coupon, line, products.find(p => String(p.id) === String(line.product_id))));
+    const eligibleSubtotal = lines.reduce((sum, line, index) =>
+        (eligible[index] ? sum + line.unit_price_minor * line.quantity : sum), 0);
+    if (eligibleSubtotal <= 0) {
+        return { error: 'el cupón no se aplica a ningún producto ni plan del pedido' };
+    }
+
+    const discount = coupon.discount_type === 'percentage'
+        ? percentOf(eligibleSubtotal, Math.min(Number(coupon.discount_value) || 0, 100))
+        : Math.min(toMinor(coupon.discount_value) || 0, eligibleSubtotal);
+
+    // Proporcional al importe de cada línea; los céntimos sobrantes van a la última elegible
+    const lastEligible = eligible.lastIndexOf(true);
+    let assigned = 0;
+    const discountedLines = lines.map((line, index) => {
+        if (!eligible[index]) return { ...line, discount_minor: 0 };
+        const lineDiscount = index === lastEligible
+            ? discount - assigned
+            : Math.floor(discount * line.unit_price_minor * line.quantity / eligibleSubtotal);
+        assigned += lineDiscount;
+        return { ...line, discount_minor: lineDiscount };
+    });
+
+    return { lines: discountedLines, discount_minor: discount };
+}
+
+module.exports = { normalizeCode, getCouponError, applyCoupon };
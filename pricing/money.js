@@ -0,0 +1,44 @@
+// backend/pricing/money.js
+// Importes en unidades mínimas (céntimos) para no arrastrar errores de coma flotante.
+// En las hojas y en las respuestas se muestran como texto decimal con dos cifras ('12.50').
+const DECIMAL_REGEX = /^(-)?(\d*)(?:[.,](\d*))?$/;
+
+// '12.5' | 12.5 -> 1250. Redondea a la mitad hacia arriba a partir del tercer decimal.
+// Devuelve NaN si el valor no es un importe.
+function toMinor(value) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return NaN;
+        value = value.toFixed(3);
+    }
+    const match = DECIMAL_REGEX.exec(String(value ?? '').trim());
+    if (!match || (match[2] === '' && !match[3])) return NaN;
+
+    const [, sign, integerPart, decimals = ''] = match;
+    const padded = (decimals + '000').slice(0, 3);
+    const minor = parseInt(integerPart || '0', 10) * 100 + parseInt(padded.slice(0, 2), 10) + (parseInt(padded[2], 10) >= 5 ? 1 : 0);
+    return sign ? -minor : minor;
+}
+
+// 1250 -> '12.50'
+function fromMinor(minor) {
+    const sign = minor < 0 ? '-' : '';
+    const absolute = Math.abs(minor);
+    return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+}
+
+// 1250, 'EUR' -> '12,50 €' (solo para mostrar)
+function formatMoney(minor, currency) {
+    return new Intl.NumberFormat('es-ES', { style: 'currency', currency }).format(minor / 100);
+}
+
+// Porcentaje de un importe, redondeado al céntimo
+function percentOf(minor, rate) {
+    return Math.round(minor * rate / 100);
+}
+
+// Impuesto incluido en un importe con impuestos (los precios del catálogo lo incluyen)
+function includedTax(grossMinor, rate) {
+    return grossMinor - Math.round(grossMinor * 100 / (100 + rate));
+}
+
+module.exports = { toMinor, fromMinor, formatMoney, percentOf, includedTax };
@@ -0,0 +1,37 @@
+// backend/pricing/tax.js
+// Impuestos por categoría de producto (hoja `tax_rates`). Los precios del catálogo
+// incluyen el impuesto; aquí solo se desglosa. La regla con categoría vacía es la
+// general; si no existe, se aplica `defaultRate`.
+const { includedTax } = require('./money');
+
+function normalizeCategory(category) {
+    return String(category || '').trim().toLowerCase();
+}
+
+function findTaxRate(rates, category, defaultRate) {
+    const key = normalizeCategory(category);
+    const specific = key ? rates.find(rule => normalizeCategory(rule.category) === key) : null;
+    const general = rates.find(rule => normalizeCategory(rule.category) === '');
+    const rule = specific || general;
+    return rule ? Number(rule.rate) : defaultRate;
+}
+
+// Importe final e impuesto de cada línea y del pedido.
+// lines: [{ quantity, unit_price_minor, discount_minor, tax_rate }]
+function computeTotals(lines) {
+    let total = 0;
+    let tax = 0;
+    let discount = 0;
+    const computed = lines.map(line => {
+        const lineDiscount = line.discount_minor || 0;
+        const lineTotal = line.unit_price_minor * line.quantity - lineDiscount;
+        const lineTax = includedTax(lineTotal, line.tax_rate);
+        total += lineTotal;
+        tax += lineTax;
+        discount += lineDiscount;
+        return { ...line, discount_minor: lineDiscount, total_minor: lineTotal, tax_minor: lineTax };
+    });
+    return { lines: computed, total_minor: total, tax_minor: tax, discount_minor: discount };
+}
+
+module.exports = { findTaxRate, computeTotals, normalizeCategory };
@@ -0,0 +1,197 @@
+// backend/query/index.js
+// Capa común para los listados: paginación, orden, filtros por campo y búsqueda de texto.
+// Parámetros que entiende (en la query string):
+//   limit                    elementos por página (por defecto DEFAULT_LIMIT, máximo MAX_LIMIT)
+//   cursor                   el `next_cursor` de la página anterior
+//   sort                     campos separados por comas; con '-' delante, descendente (p. ej. -price,name)
+//   q                        texto a buscar (sin distinguir mayúsculas ni acentos)
+//   <campo>=a,b              el campo vale alguno de los valores (texto, enum, booleano)
+//   <campo>_min, <campo>_max rango para campos numéricos
+//   <campo>_from, <campo>_to rango (inclusivo) para fechas
+// Respuesta de applyListQuery: { data, pagination: { total, limit, next_cursor } }.
+const { getSchema } = require('../schemas');
+const { coerce } = require('../schemas/validate');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const RANGE_TYPES = {
+    number: ['_min', '_max'],
+    integer: ['_min', '_max'],
+    date: ['_from', '_to'],
+    datetime: ['_from', '_to'],
+    local_datetime: ['_from', '_to'],
+};
+
+function normalizeText(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function getColumn(sheetName, name) {
+    const column = getSchema(sheetName).columns.find(c => c.name === name);
+    if (!column) {
+        throw new Error(`La hoja '${sheetName}' no tiene la columna '${name}'.`);
+    }
+    return column;
+}
+
+// Las celdas vacías de filas antiguas toman el valor por defecto de la columna
+function cellValue(record, column) {
+    const value = record[column.name];
+    return (value === undefined || value === '') && column.default !== undefined ? column.default : value;
+}
+
+// Valor con el que se ordena y se compara el cursor
+function sortValue(record, column) {
+    const value = cellValue(record, column);
+    if (column.type === 'number' || column.type === 'integer') {
+        const number = Number(value);
+        return value === '' || value === undefined || !Number.isFinite(number) ? null : number;
+    }
+    return normalizeText(value);
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null) return -1;
+    if (b === null) return 1;
+    return a < b ? -1 : 1;
+}
+
+function compareKeys(a, b, sort) {
+    for (let i = 0; i < sort.length; i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return sort[i].direction === 'desc' ? -result : result;
+    }
+    // Desempate estable por id
+    return compareValues(a[sort.length], b[sort.length]);
+}
+
+function parseRangeBound(column, raw, field, errors) {
+    // Las fechas y horas admiten también una fecha sola (YYYY-MM-DD), que abarca el día entero
+    if (column.type !== 'date' && DATE_REGEX.test(String(raw))) {
+        const result = coerce({ type: 'date' }, raw);
+        if (result.error) errors.push({ field, message: result.error });
+        return result.error ? undefined : { value: result.value, dateOnly: true };
+    }
+    const result = coerce(column, raw);
+    if (result.error) {
+        errors.push({ field, message: result.error });
+        return undefined;
+    }
+    return { value: result.value, dateOnly: false };
+}
+
+// Valida los parámetros de listado de `query` para la hoja `sheetName`.
+//   filters      columnas que se pueden filtrar (el tipo de filtro sale del esquema)
+//   sortable     columnas por las que se puede ordenar
+//   search       columnas en las que busca `q`
+//   defaultSort  orden si no se indica `sort` (mismo formato que el parámetro)
+// Devuelve { value, errors } como validateRecord.
+function parseListQuery(sheetName, query, { filters = [], sortable = [], search = [], defaultSort = 'created_at' } = {}) {
+    const errors = [];
+    const value = { sheetName, filters: [], search, sort: [], limit: DEFAULT_LIMIT, cursor: null, q: '' };
+
+    if (query.limit !== undefined) {
+        const result = coerce({ type: 'integer', min: 1, max: MAX_LIMIT }, query.limit);
+        if (result.error) errors.push({ field: 'limit', message: result.error });
+        else value.limit = result.value;
+    }
+
+    const sortParam = query.sort !== undefined && query.sort !== '' ? String(query.sort) : defaultSort;
+    for (const part of sortParam.split(',').map(s => s.trim()).filter(Boolean)) {
+        const name = part.replace(/^-/, '');
+        if (!sortable.includes(name)) {
+            errors.push({ field: 'sort', message: `no se puede ordenar por '${name}'; usa: ${sortable.join(', ')}` });
+            continue;
+        }
+        value.sort.push({ column: getColumn(sheetName, name), direction: part.startsWith('-') ? 'desc' : 'asc' });
+    }
+
+    for (const name of filters) {
+        const column = getColumn(sheetName, name);
+        const range = RANGE_TYPES[column.type];
+        if (range) {
+            const [lowSuffix, highSuffix] = range;
+            const filter = { column, kind: 'range' };
+            for (const [suffix, bound] of [[lowSuffix, 'low'], [highSuffix, 'high']]) {
+                const raw = query[name + suffix];
+                if (raw === undefined || raw === '') continue;
+                filter[bound] = parseRangeBound(column, raw, name + suffix, errors);
+            }
+            if (filter.low || filter.high) value.filters.push(filter);
+            continue;
+        }
+
+        const raw = query[name];
+        if (raw === undefined || raw === '') continue;
+        const accepted = [];
+        for (const item of String(raw).split(',')) {
+            const result = coerce(column, item.trim());
+            if (result.error) errors.push({ field: name, message: result.error });
+            else accepted.push(normalizeText(result.value));
+        }
+        value.filters.push({ column, kind: 'equals', values: accepted });
+    }
+
+    if (query.q !== undefined && String(query.q).trim() !== '') {
+        if (search.length === 0) {
+            errors.push({ field: 'q', message: 'este listado no admite búsqueda de texto' });
+        } else {
+            value.q = normalizeText(String(query.q).trim());
+        }
+    }
+
+    if (query.cursor) {
+        try {
+            const key = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+            if (!Array.isArray(key) || key.length !== value.sort.length + 1) throw new Error('cursor');
+            value.cursor = key;
+        } catch (error) {
+            errors.push({ field: 'cursor', message: 'no es válido para este listado y orden' });
+        }
+    }
+
+    return { value, errors };
+}
+
+function matchesFilter(record, filter) {
+    const cell = cellValue(record, filter.column);
+    if (filter.kind === 'equals') {
+        return filter.values.includes(normalizeText(cell));
+    }
+    if (cell === undefined || cell === '') return false;
+    const isNumeric = filter.column.type === 'number' || filter.column.type === 'integer';
+    const toComparable = (value, dateOnly) => (isNumeric ? Number(value) : dateOnly ? String(value).slice(0, 10) : String(value));
+    const inBound = (bound, check) => !bound || check(compareValues(toComparable(cell, bound.dateOnly), toComparable(bound.value, bound.dateOnly)));
+    return inBound(filter.low, result => result >= 0) && inBound(filter.high, result => result <= 0);
+}
+
+// Filtra, ordena y pagina `records`. `mapItem` (opcional) transforma cada elemento de la página.
+function applyListQuery(records, listQuery, mapItem = record => record) {
+    const { filters, search, q, sort, limit, cursor } = listQuery;
+    const keyOf = record => [...sort.map(s => sortValue(record, s.column)), String(record.id)];
+
+    const matching = records
+        .filter(record => filters.every(filter => matchesFilter(record, filter)))
+        .filter(record => !q || search.some(name => normalizeText(record[name]).includes(q)))
+        .map(record => ({ record, key: keyOf(record) }))
+        .sort((a, b) => compareKeys(a.key, b.key, sort));
+
+    const start = cursor ? matching.findIndex(entry => compareKeys(entry.key, cursor, sort) > 0) : 0;
+    const page = start === -1 ? [] : matching.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < matching.length;
+
+    return {
+        data: page.map(entry => mapItem(entry.record)),
+        pagination: {
+            total: matching.length,
+            limit,
+            next_cursor: hasMore ? Buffer.from(JSON.stringify(page[page.length - 1].key)).toString('base64url') : null,
+        },
+    };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, parseListQuery, applyListQuery };
@@ -0,0 +1,52 @@
+// backend/scheduling/appointmentStatus.js
+// Ciclo de vida de una cita:
+//   pending   -> confirmed | cancelled
+//   confirmed -> completed | cancelled | no_show
+// completed, cancelled y no_show son estados finales.
+const APPOINTMENT_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['completed', 'cancelled', 'no_show'],
+    completed: [],
+    cancelled: [],
+    no_show: [],
+};
+
+// Estados en los que la cita sigue en la agenda y todavía se puede reprogramar
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+// Estados que solo tienen sentido una vez llegada la hora de la cita
+const POST_APPOINTMENT_STATUSES = ['completed', 'no_show'];
+
+// Las filas antiguas pueden no tener estado: se tratan como pendientes
+function currentStatus(appointment) {
+    return appointment.status || 'pending';
+}
+
+function canTransition(fromStatus, toStatus) {
+    return (APPOINTMENT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function isOpen(appointment) {
+    return OPEN_STATUSES.includes(currentStatus(appointment));
+}
+
+// Fecha y hora de inicio (hora local, igual que se guardan en la hoja)
+function getAppointmentStart(appointment) {
+    return new Date(`${appointment.appointment_date}T${appointment.appointment_time}:00`);
+}
+
+// true si faltan menos de `windowHours` horas para la cita (o ya ha pasado)
+function isWithinWindow(appointment, windowHours, now = new Date()) {
+    return getAppointmentStart(appointment) - now < windowHours * 60 * 60 * 1000;
+}
+
+module.exports = {
+    APPOINTMENT_TRANSITIONS,
+    OPEN_STATUSES,
+    POST_APPOINTMENT_STATUSES,
+    currentStatus,
+    canTransition,
+    isOpen,
+    getAppointmentStart,
+    isWithinWindow,
+};
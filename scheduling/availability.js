@@ -0,0 +1,146 @@
+// backend/scheduling/availability.js
+// Cálculo de disponibilidad para las citas. Todas las fechas y horas son "de pared"
+// (YYYY-MM-DD y HH:MM en la zona horaria de la consulta), igual que se guardan en
+// la hoja `appointments`; internamente se trabaja con minutos desde medianoche.
+
+// Horario por defecto si la hoja `working_hours` está vacía: lunes a viernes de 9:00 a 17:00
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5].map(weekday => ({ weekday, start_time: '09:00', end_time: '17:00' }));
+
+// Estados de cita que ya no ocupan hueco en la agenda
+const NON_BLOCKING_STATUSES = ['cancelled'];
+
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function fromMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// 0 = domingo ... 6 = sábado
+function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(date, days) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+}
+
+// Fecha y hora local actuales en el mismo formato que las citas
+function localNow(now = new Date()) {
+    const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    return { date, minutes: now.getHours() * 60 + now.getMinutes() };
+}
+
+function overlaps(startA, endA, startB, endB) {
+    return startA < endB && startB < endA;
+}
+
+// Tramos de horario laboral de un día, en minutos
+function getWorkingIntervals(workingHours, date) {
+    const weekday = weekdayOf(date);
+    return workingHours
+        .filter(rule => Number(rule.weekday) === weekday)
+        .map(rule => [toMinutes(rule.start_time), toMinutes(rule.end_time)]);
+}
+
+// Tramos ocupados de un día (citas activas y periodos bloqueados), en minutos.
+// `excludeAppointmentId` permite ignorar la propia cita al reprogramarla.
+function getBusyIntervals(date, { appointments, plans, blockedPeriods }, excludeAppointmentId) {
+    const busy = [];
+
+    for (const appointment of appointments) {
+        if (appointment.appointment_date !== date) continue;
+        if (NON_BLOCKING_STATUSES.includes(appointment.status)) continue;
+        if (excludeAppointmentId !== undefined && String(appointment.id) === String(excludeAppointmentId)) continue;
+        const start = toMinutes(appointment.appointment_time);
+        busy.push({ start, end: start + getPlanDuration(plans, appointment.plan_id), reason: 'appointment' });
+    }
+
+    // Un periodo bloqueado puede abarcar varios días: se recorta al día consultado
+    for (const period of blockedPeriods) {
+        const [startDate, startTime] = period.start_at.split('T');
+        const [endDate, endTime] = period.end_at.split('T');
+        if (date < startDate || date > endDate) continue;
+        const start = date === startDate ? toMinutes(startTime) : 0;
+        const end = date === endDate ? toMinutes(endTime) : 24 * 60;
+        busy.push({ start, end, reason: 'blocked' });
+    }
+
+    return busy;
+}
+
+function getPlanDuration(plans, planId) {
+    const plan = plans.find(p => String(p.id) === String(planId));
+    return plan ? parseInt(plan.duration_minutes) || 0 : 0;
+}
+
+// Comprueba si se puede reservar una cita. Devuelve null si el hueco está libre o
+// { code, message } con el motivo: 'past', 'outside_hours' o 'conflict'.
+function checkSlot({ date, time, duration, excludeAppointmentId }, context, now = new Date()) {
+    const start = toMinutes(time);
+    const end = start + duration;
+
+    const current = localNow(now);
+    if (date < current.date || (date === current.date && start < current.minutes)) {
+        return { code: 'past', message: 'No se pueden reservar citas en el pasado.' };
+    }
+
+    const fitsWorkingHours = getWorkingIntervals(context.workingHours, date)
+        .some(([workStart, workEnd]) => start >= workStart && end <= workEnd);
+    if (!fitsWorkingHours) {
+        return { code: 'outside_hours', message: 'La cita queda fuera del horario de atención.' };
+    }
+
+    const conflict = getBusyIntervals(date, context, excludeAppointmentId)
+        .find(interval => overlaps(start, end, interval.start, interval.end));
+    if (conflict) {
+        return {
+            code: 'conflict',
+            message: conflict.reason === 'blocked'
+                ? 'El horario solicitado está bloqueado.'
+                : 'El horario solicitado se solapa con otra cita.',
+        };
+    }
+
+    return null;
+}
+
+// Huecos libres entre `from` y `to` (ambos incluidos) para una cita de `duration` minutos.
+// Los inicios posibles van cada `step` minutos desde el comienzo de cada tramo laboral.
+function listFreeSlots({ from, to, duration, step }, context, now = new Date()) {
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const busy = getBusyIntervals(date, context);
+        const current = localNow(now);
+        const slots = [];
+
+        for (const [workStart, workEnd] of getWorkingIntervals(context.workingHours, date)) {
+            for (let start = workStart; start + duration <= workEnd; start += step) {
+                if (date < current.date || (date === current.date && start < current.minutes)) continue;
+                if (busy.some(interval => overlaps(start, start + duration, interval.start, interval.end))) continue;
+                slots.push({ start_time: fromMinutes(start), end_time: fromMinutes(start + duration) });
+            }
+        }
+
+        slots.sort((a, b) => a.start_time.localeCompare(b.start_time));
+        days.push({ date, slots });
+    }
+    return days;
+}
+
+module.exports = {
+    DEFAULT_WORKING_HOURS,
+    NON_BLOCKING_STATUSES,
+    toMinutes,
+    addDays,
+    localNow,
+    checkSlot,
+    listFreeSlots,
+    getPlanDuration,
+};
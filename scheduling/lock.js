@@ -0,0 +1,32 @@
+// backend/scheduling/lock.js
+// Cerrojo en proceso: ejecuta las tareas de una en una, en orden de llegada.
+// Evita que dos reservas simultáneas comprueben el mismo hueco antes de que
+// ninguna de las dos lo haya guardado.
+function createLock() {
+    let tail = Promise.resolve();
+
+    return function runExclusive(task) {
+        const result = tail.then(() => task());
+        tail = result.catch(() => {});
+        return result;
+    };
+}
+
+// Igual que createLock, pero con una cola por clave (p. ej. una por pedido): las tareas
+// de claves distintas no se esperan entre sí.
+function createKeyedLock() {
+    const tails = new Map();
+
+    return function runExclusive(key, task) {
+        const id = String(key);
+        const result = (tails.get(id) || Promise.resolve()).then(() => task());
+        const tail = result.catch(() => {});
+        tails.set(id, tail);
+        tail.then(() => {
+            if (tails.get(id) === tail) tails.delete(id);
+        });
+        return result;
+    };
+}
+
+module.exports = { createLock, createKeyedLock };
@@ -0,0 +1,38 @@
+// backend/scheduling/recurrence.js
+// Series de citas recurrentes: misma hora y plan, cada semana o cada dos semanas.
+const { addDays } = require('./availability');
+
+// Días entre una sesión y la siguiente
+const RECURRENCE_INTERVALS = {
+    weekly: 7,
+    biweekly: 14,
+};
+
+const MAX_SERIES_SESSIONS = 26;
+
+// Valida `recurrence` ({ frequency, count }) del cuerpo de la petición.
+// Devuelve { value, errors } igual que validateRecord.
+function validateRecurrence(input, prefix = 'recurrence.') {
+    const errors = [];
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        return { value: null, errors: [{ field: prefix.slice(0, -1), message: 'debe ser un objeto { frequency, count }' }] };
+    }
+
+    const { frequency } = input;
+    if (!RECURRENCE_INTERVALS[frequency]) {
+        errors.push({ field: `${prefix}frequency`, message: `debe ser uno de: ${Object.keys(RECURRENCE_INTERVALS).join(', ')}` });
+    }
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_SESSIONS) {
+        errors.push({ field: `${prefix}count`, message: `debe ser un número entero entre 2 y ${MAX_SERIES_SESSIONS}` });
+    }
+
+    return { value: errors.length > 0 ? null : { frequency, count }, errors };
+}
+
+// Fechas de todas las sesiones de la serie, empezando por `startDate`
+function getSeriesDates(startDate, { frequency, count }) {
+    return Array.from({ length: count }, (_, index) => addDays(startDate, index * RECURRENCE_INTERVALS[frequency]));
+}
+
+module.exports = { RECURRENCE_INTERVALS, MAX_SERIES_SESSIONS, validateRecurrence, getSeriesDates };
@@ -0,0 +1,452 @@
+// backend/schemas/index.js
+// Esquema declarativo de cada pestaña de la hoja: orden de columnas, tipo de cada
+// campo, obligatoriedad y valores permitidos. Se usa para serializar las filas al
+// escribir y para validar el cuerpo de las peticiones (ver ./validate.js).
+//
+// Propiedades de cada columna:
+//   name      nombre de la columna (cabecera de la hoja)
+//   type      string | email | number | integer | boolean | date | time | datetime | local_datetime | enum
+//   required  obligatorio al crear
+//   values    valores permitidos (solo type: 'enum')
+//   min, max  límites para number/integer; longitud para string
+//   default   valor al crear si no se indica
+//   system    lo gestiona el servidor; nunca se acepta desde el cuerpo de la petición
+
+const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled', 'no_show'];
+const ORDER_STATUSES = ['pending_payment', 'payment_failed', 'paid', 'fulfilled', 'partially_refunded', 'refunded', 'cancelled'];
+const USER_ROLES = ['admin', 'nutritionist', 'client'];
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const MEAL_TYPES = ['breakfast', 'mid_morning', 'lunch', 'snack', 'dinner'];
+const MEAL_PLAN_STATUSES = ['draft', 'published'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Columnas de control que comparten todos los recursos editables
+const TRACKING_COLUMNS = [
+    { name: 'created_at', type: 'datetime', system: true },
+    { name: 'version', type: 'integer', system: true },
+    { name: 'updated_at', type: 'datetime', system: true },
+    { name: 'deleted_at', type: 'datetime', system: true },
+];
+
+const SCHEMAS = {
+    users: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'username', type: 'string', required: true, min: 3, max: 50 },
+            { name: 'email', type: 'email', required: true },
+            { name: 'password_hash', type: 'string', system: true },
+            { name: 'full_name', type: 'string', max: 100, default: '' },
+            { name: 'role', type: 'enum', values: USER_ROLES, default: 'client' },
+            ...TRACKING_COLUMNS,
+            { name: 'email_verified_at', type: 'datetime', system: true },
+            { name: 'nutritionist_id', type: 'string', system: true }, // Nutricionista asignado (solo clientes)
+        ],
+    },
+    products: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'name', type: 'string', required: true, max: 200 },
+            { name: 'description', type: 'string', default: '' },
+            { name: 'price', type: 'number', required: true, min: 0 },
+            { name: 'file_url', type: 'string', default: '' },
+            { name: 'category', type: 'string', default: '' },
+            { name: 'image_url', type: 'string', default: '' },
+            { name: 'is_active', type: 'boolean', default: true },
+            ...TRACKING_COLUMNS,
+            { name: 'stock_quantity', type: 'integer', min: 0 }, // Vacío = sin control de stock
+            { name: 'stock_reserved', type: 'integer', system: true }, // Unidades de pedidos pendientes de pago
+            { name: 'low_stock_threshold', type: 'integer', min: 0 }, // Vacío = LOW_STOCK_THRESHOLD
+        ],
+    },
+    nutrition_plans: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'name', type: 'string', required: true, max: 200 },
+            { name: 'description', type: 'string', default: '' },
+            { name: 'price', type: 'number', required: true, min: 0 },
+            { name: 'duration_minutes', type: 'integer', required: true, min: 1 },
+            { name: 'is_active', type: 'boolean', default: true },
+            ...TRACKING_COLUMNS,
+            { name: 'sessions_included', type: 'integer', min: 1, default: 1 }, // Sesiones del paquete al venderse
+        ],
+    },
+    // Perfil de salud de un cliente (uno por usuario). La edad se calcula a partir de birth_date.
+    health_profiles: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', system: true },
+            { name: 'birth_date', type: 'date' },
+            { name: 'height_cm', type: 'number', min: 30, max: 272 },
+            { name: 'goals', type: 'string', max: 1000, default: '' },
+            { name: 'allergies', type: 'string', max: 1000, default: '' },
+            { name: 'dietary_restrictions', type: 'string', max: 1000, default: '' },
+            { name: 'medical_notes', type: 'string', max: 4000, default: '' },
+            ...TRACKING_COLUMNS,
+        ],
+    },
+    // Mediciones de un cliente a lo largo del tiempo; cada una trae al menos una métrica
+    measurements: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', system: true },
+            { name: 'measured_on', type: 'date', required: true },
+            { name: 'weight_kg', type: 'number', min: 1, max: 500 },
+            { name: 'body_fat_pct', type: 'number', min: 1, max: 75 },
+            { name: 'muscle_mass_kg', type: 'number', min: 1, max: 200 },
+            { name: 'waist_cm', type: 'number', min: 20, max: 300 },
+            { name: 'hip_cm', type: 'number', min: 20, max: 300 },
+            { name: 'notes', type: 'string', max: 1000, default: '' },
+            { name: 'recorded_by', type: 'string', system: true },
+            ...TRACKING_COLUMNS,
+        ],
+    },
+    // Catálogo de alimentos; los nutrientes son por cada 100 g
+    foods: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'name', type: 'string', required: true, max: 200 },
+            { name: 'category', type: 'string', max: 100, default: '' },
+            { name: 'kcal', type: 'number', required: true, min: 0, max: 900 },
+            { name: 'protein_g', type: 'number', required: true, min: 0, max: 100 },
+            { name: 'carbs_g', type: 'number', required: true, min: 0, max: 100 },
+            { name: 'fat_g', type: 'number', required: true, min: 0, max: 100 },
+            { name: 'fiber_g', type: 'number', min: 0, max: 100 },
+            { name: 'sugar_g', type: 'number', min: 0, max: 100 },
+            { name: 'sodium_mg', type: 'number', min: 0, max: 40000 },
+            { name: 'calcium_mg', type: 'number', min: 0, max: 5000 },
+            { name: 'iron_mg', type: 'number', min: 0, max: 500 },
+            { name: 'vitamin_c_mg', type: 'number', min: 0, max: 5000 },
+            { name: 'is_active', type: 'boolean', default: true },
+            ...TRACKING_COLUMNS,
+        ],
+    },
+    // Plan de comidas de un cliente. Los clientes solo ven los publicados.
+    meal_plans: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', required: true },
+            { name: 'title', type: 'string', required: true, max: 200 },
+            { name: 'start_date', type: 'date' },
+            { name: 'notes', type: 'string', max: 2000, default: '' },
+            { name: 'status', type: 'enum', values: MEAL_PLAN_STATUSES, default: 'draft' },
+            { name: 'created_by', type: 'string', system: true },
+            ...TRACKING_COLUMNS,
+        ],
+    },
+    // Contenido de los planes de comidas: una fila por alimento (día -> comida -> alimento)
+    meal_plan_items: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'meal_plan_id', type: 'string', system: true },
+            { name: 'day', type: 'integer', required: true, min: 1, max: 28 },
+            { name: 'meal', type: 'enum', values: MEAL_TYPES, required: true },
+            { name: 'position', type: 'integer', system: true }, // Orden dentro de la comida
+            { name: 'food_id', type: 'string', required: true },
+            { name: 'grams', type: 'number', required: true, min: 1, max: 2000 },
+            { name: 'notes', type: 'string', max: 200, default: '' },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    appointments: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', required: true },
+            { name: 'plan_id', type: 'string', required: true },
+            { name: 'appointment_date', type: 'date', required: true },
+            { name: 'appointment_time', type: 'time', required: true },
+            { name: 'status', type: 'enum', values: APPOINTMENT_STATUSES, default: 'pending' },
+            { name: 'notes', type: 'string', max: 1000, default: '' },
+            ...TRACKING_COLUMNS,
+            { name: 'series_id', type: 'string', system: true }, // Serie recurrente a la que pertenece
+            { name: 'package_id', type: 'string', default: '' }, // Paquete de sesiones del que descuenta
+        ],
+    },
+    // Paquetes de sesiones de un plan vendidos a un cliente. `sessions_remaining` baja
+    // cada vez que se completa una cita del paquete.
+    plan_packages: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', required: true },
+            { name: 'plan_id', type: 'string', required: true },
+            { name: 'sessions_total', type: 'integer', min: 1 },
+            { name: 'sessions_remaining', type: 'integer', system: true },
+            ...TRACKING_COLUMNS,
+        ],
+    },
+    // Historial de cambios de estado de las citas (quién, cuándo y por qué)
+    appointment_status_history: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'appointment_id', type: 'string', required: true },
+            { name: 'from_status', type: 'string', default: '' },
+            { name: 'to_status', type: 'enum', values: APPOINTMENT_STATUSES, required: true },
+            { name: 'changed_by', type: 'string', required: true },
+            { name: 'changed_by_role', type: 'string', default: '' },
+            { name: 'reason', type: 'string', max: 500, default: '' },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    orders: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', required: true },
+            { name: 'total_amount', type: 'number', required: true, min: 0 },
+            { name: 'status', type: 'enum', values: ORDER_STATUSES, default: 'pending_payment' },
+            { name: 'payment_id', type: 'string', default: '' },
+            ...TRACKING_COLUMNS,
+            { name: 'coupon_code', type: 'string', system: true },
+            { name: 'discount_amount', type: 'number', system: true }, // Descuento total ya restado de total_amount
+            { name: 'currency', type: 'string', system: true },
+            { name: 'tax_amount', type: 'number', system: true }, // Impuesto incluido en total_amount
+            { name: 'invoice_number', type: 'string', system: true }, // Se asigna al pagarse, correlativo por año
+            { name: 'invoiced_at', type: 'datetime', system: true },
+            { name: 'stock_status', type: 'string', system: true }, // reserved | committed | released; vacío si no controla stock
+        ],
+    },
+    // Carrito de cada usuario: una fila por producto
+    cart_items: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', required: true },
+            { name: 'product_id', type: 'string', required: true },
+            { name: 'quantity', type: 'integer', required: true, min: 1 },
+            { name: 'created_at', type: 'datetime', system: true },
+            { name: 'version', type: 'integer', system: true },
+            { name: 'updated_at', type: 'datetime', system: true },
+        ],
+    },
+    order_items: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'order_id', type: 'string', required: true },
+            { name: 'product_id', type: 'string' }, // Cada línea lleva product_id o plan_id
+            { name: 'quantity', type: 'integer', required: true, min: 1 },
+            { name: 'price_at_purchase', type: 'number', required: true, min: 0 },
+            { name: 'created_at', type: 'datetime', system: true },
+            { name: 'discount_amount', type: 'number', system: true }, // Parte del descuento del pedido que corresponde a la línea
+            { name: 'tax_rate', type: 'number', system: true }, // Porcentaje aplicado al comprar
+            { name: 'tax_amount', type: 'number', system: true },
+            { name: 'stock_tracked', type: 'boolean', system: true }, // La línea reservó stock al crear el pedido
+            { name: 'refunded_quantity', type: 'integer', system: true },
+            { name: 'refunded_amount', type: 'number', system: true },
+            { name: 'plan_id', type: 'string' }, // Compra de un paquete de sesiones del plan
+            { name: 'plan_package_id', type: 'string', system: true }, // Paquete creado al cobrarse la línea
+        ],
+    },
+    // Historial de cambios de estado de los pedidos. Solo se añaden filas, nunca se editan.
+    order_status_history: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'order_id', type: 'string', required: true },
+            { name: 'from_status', type: 'string', default: '' },
+            { name: 'to_status', type: 'enum', values: ORDER_STATUSES, required: true },
+            { name: 'changed_by', type: 'string', required: true },
+            { name: 'changed_by_role', type: 'string', default: '' },
+            { name: 'reason', type: 'string', max: 500, default: '' },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Reembolsos: una fila por línea reembolsada; las de un mismo reembolso comparten refund_id
+    order_refunds: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'refund_id', type: 'string', system: true },
+            { name: 'order_id', type: 'string', system: true },
+            { name: 'order_item_id', type: 'string', required: true },
+            { name: 'quantity', type: 'integer', required: true, min: 1 },
+            { name: 'amount', type: 'number', system: true },
+            { name: 'reason', type: 'string', max: 500, default: '' },
+            { name: 'provider_refund_id', type: 'string', system: true },
+            { name: 'restocked', type: 'boolean', system: true },
+            { name: 'created_by', type: 'string', system: true },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Registro de auditoría (solo se añaden filas). `changes` es un JSON
+    // { campo: { before, after } } con los campos que cambiaron.
+    audit_log: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'action', type: 'enum', values: AUDIT_ACTIONS, required: true },
+            { name: 'resource', type: 'string', required: true },
+            { name: 'resource_id', type: 'string', required: true },
+            { name: 'actor_id', type: 'string', default: '' },
+            { name: 'actor_username', type: 'string', default: '' },
+            { name: 'actor_role', type: 'string', default: '' },
+            { name: 'changes', type: 'string', default: '' },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Tipos impositivos por categoría de producto (porcentaje). La fila con categoría
+    // vacía es el tipo general.
+    tax_rates: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'category', type: 'string', max: 100, default: '' },
+            { name: 'rate', type: 'number', required: true, min: 0, max: 100 },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Cupones de descuento. `product_ids` y `categories` (listas separadas por comas)
+    // limitan a qué productos se aplica; si están vacías, vale para todo el pedido.
+    coupons: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'code', type: 'string', required: true, min: 3, max: 40 },
+            { name: 'description', type: 'string', max: 200, default: '' },
+            { name: 'discount_type', type: 'enum', values: DISCOUNT_TYPES, required: true },
+            { name: 'discount_value', type: 'number', required: true, min: 0 },
+            { name: 'valid_from', type: 'datetime' },
+            { name: 'valid_until', type: 'datetime' },
+            { name: 'max_uses', type: 'integer', min: 1 },
+            { name: 'max_uses_per_user', type: 'integer', min: 1 },
+            { name: 'product_ids', type: 'string', default: '' },
+            { name: 'categories', type: 'string', default: '' },
+            { name: 'is_active', type: 'boolean', default: true },
+            ...TRACKING_COLUMNS,
+            { name: 'plan_ids', type: 'string', default: '' }, // Planes (paquetes de sesiones) a los que se aplica
+        ],
+    },
+    // Horario de atención: uno o varios tramos por día de la semana (0 = domingo ... 6 = sábado)
+    working_hours: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'weekday', type: 'integer', required: true, min: 0, max: 6 },
+            { name: 'start_time', type: 'time', required: true },
+            { name: 'end_time', type: 'time', required: true },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Periodos sin citas (vacaciones, formaciones...), en hora local YYYY-MM-DDTHH:MM
+    blocked_periods: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'start_at', type: 'local_datetime', required: true },
+            { name: 'end_at', type: 'local_datetime', required: true },
+            { name: 'reason', type: 'string', max: 200, default: '' },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Cola de notificaciones (recordatorios y confirmaciones) y su estado de entrega.
+    // `dedupe_key` evita encolar dos veces el mismo aviso.
+    notifications: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', required: true },
+            { name: 'channel', type: 'string', required: true },
+            { name: 'type', type: 'string', required: true },
+            { name: 'reference_id', type: 'string', default: '' },
+            { name: 'dedupe_key', type: 'string', required: true },
+            { name: 'subject', type: 'string', default: '' },
+            { name: 'body', type: 'string', default: '' },
+            { name: 'status', type: 'enum', values: NOTIFICATION_STATUSES, default: 'pending' },
+            { name: 'attempts', type: 'integer', default: 0 },
+            { name: 'last_error', type: 'string', default: '' },
+            { name: 'send_after', type: 'datetime' },
+            { name: 'sent_at', type: 'datetime', system: true },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Token secreto (hasheado) de la URL del calendario iCal de cada usuario
+    calendar_feeds: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', required: true },
+            { name: 'token_hash', type: 'string', required: true },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Registro de descargas de productos digitales; cada compra (order_item) tiene un límite
+    downloads: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'order_item_id', type: 'string', system: true },
+            { name: 'order_id', type: 'string', system: true },
+            { name: 'product_id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', system: true },
+            { name: 'ip', type: 'string', system: true },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Refresh tokens emitidos; solo se guarda su hash (SHA-256)
+    refresh_tokens: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', system: true },
+            { name: 'token_hash', type: 'string', system: true },
+            { name: 'expires_at', type: 'datetime', system: true },
+            { name: 'revoked_at', type: 'datetime', system: true },
+            { name: 'replaced_by', type: 'string', system: true },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Tokens de un solo uso enviados por email (restablecer contraseña, verificar email);
+    // solo se guarda su hash (SHA-256)
+    user_tokens: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', system: true },
+            { name: 'purpose', type: 'enum', values: ['password_reset', 'email_verification'], system: true },
+            { name: 'token_hash', type: 'string', system: true },
+            { name: 'expires_at', type: 'datetime', system: true },
+            { name: 'used_at', type: 'datetime', system: true },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Lista de revocación de access tokens: por `jti` (logout) o, con `jti` vacío,
+    // todos los emitidos a `user_id` antes de `created_at` (cierre de sesión forzado)
+    token_revocations: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'user_id', type: 'string', system: true },
+            { name: 'jti', type: 'string', system: true },
+            { name: 'reason', type: 'string', system: true },
+            { name: 'created_at', type: 'datetime', system: true },
+        ],
+    },
+    // Registro de migraciones aplicadas (ver migrations/)
+    meta: {
+        columns: [
+            { name: 'id', type: 'string', system: true },
+            { name: 'description', type: 'string', system: true },
+            { name: 'applied_at', type: 'datetime', system: true },
+        ],
+    },
+};
+
+function getSchema(sheetName) {
+    const schema = SCHEMAS[sheetName];
+    if (!schema) {
+        throw new Error(`No hay esquema definido para la hoja '${sheetName}'.`);
+    }
+    return schema;
+}
+
+function getHeaders(sheetName) {
+    return getSchema(sheetName).columns.map(column => column.name);
+}
+
+// Convierte un objeto en una fila. Por defecto usa el orden de columnas del esquema;
+// si se pasa la cabecera real de la hoja, se respeta ese orden.
+function serializeRow(sheetName, record, headers = getHeaders(sheetName)) {
+    return headers.map(header => {
+        const value = record[header];
+        return value === undefined || value === null ? '' : value;
+    });
+}
+
+module.exports = {
+    SCHEMAS,
+    APPOINTMENT_STATUSES,
+    NOTIFICATION_STATUSES,
+    DISCOUNT_TYPES,
+    MEAL_TYPES,
+    MEAL_PLAN_STATUSES,
+    ORDER_STATUSES,
+    AUDIT_ACTIONS,
+    USER_ROLES,
+    getSchema,
+    getHeaders,
+    serializeRow,
+};
@@ -0,0 +1,122 @@
+// backend/schemas/validate.js
+// Validación del cuerpo de las peticiones a partir de los esquemas de ./index.js.
+const { getSchema } = require('./index');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Devuelve { value } con el valor ya convertido a su tipo, o { error } con el motivo.
+function coerce(column, raw) {
+    switch (column.type) {
+        case 'string':
+        case 'email': {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'debe ser un texto' };
+            const value = String(raw).trim();
+            if (column.type === 'email' && !EMAIL_REGEX.test(value)) return { error: 'debe ser un email válido' };
+            if (column.min !== undefined && value.length < column.min) return { error: `debe tener al menos ${column.min} caracteres` };
+            if (column.max !== undefined && value.length > column.max) return { error: `no puede superar ${column.max} caracteres` };
+            return { value };
+        }
+        case 'number':
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+            if (!Number.isFinite(value)) return { error: 'debe ser un número' };
+            if (column.type === 'integer' && !Number.isInteger(value)) return { error: 'debe ser un número entero' };
+            if (column.min !== undefined && value < column.min) return { error: `debe ser mayor o igual que ${column.min}` };
+            if (column.max !== undefined && value > column.max) return { error: `debe ser menor o igual que ${column.max}` };
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = String(raw).trim().toLowerCase();
+            if (text === 'true') return { value: true };
+            if (text === 'false') return { value: false };
+            return { error: 'debe ser true o false' };
+        }
+        case 'date': {
+            const value = String(raw);
+            const parsed = new Date(`${value}T00:00:00Z`);
+            if (!DATE_REGEX.test(value) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== value) {
+                return { error: 'debe ser una fecha válida con formato YYYY-MM-DD' };
+            }
+            return { value };
+        }
+        case 'time': {
+            const value = String(raw);
+            if (!TIME_REGEX.test(value)) return { error: 'debe ser una hora válida con formato HH:MM' };
+            return { value };
+        }
+        case 'local_datetime': {
+            const value = String(raw);
+            const [date, time] = value.split('T');
+            if (!date || !time || coerce({ type: 'date' }, date).error || coerce({ type: 'time' }, time).error) {
+                return { error: 'debe ser una fecha y hora con formato YYYY-MM-DDTHH:MM' };
+            }
+            return { value };
+        }
+        case 'datetime': {
+            const value = String(raw);
+            if (isNaN(new Date(value))) return { error: 'debe ser una fecha y hora ISO 8601 válida' };
+            return { value: new Date(value).toISOString() };
+        }
+        case 'enum': {
+            const value = String(raw);
+            if (!column.values.includes(value)) return { error: `debe ser uno de: ${column.values.join(', ')}` };
+            return { value };
+        }
+        default:
+            throw new Error(`Tipo de columna desconocido: ${column.type}`);
+    }
+}
+
+// Valida `input` contra el esquema de `sheetName`.
+//   fields   columnas a tener en cuenta (por defecto, todas las no gestionadas por el servidor)
+//   partial  true en actualizaciones: no se exigen los obligatorios ni se aplican valores por defecto
+//   prefix   prefijo para el nombre del campo en los errores (p. ej. 'items[0].')
+// Devuelve { value, errors }; `value` solo contiene los campos presentes (y los valores por defecto).
+function validateRecord(sheetName, input, { fields, partial = false, prefix = '' } = {}) {
+    const body = input || {};
+    const columns = getSchema(sheetName).columns.filter(column =>
+        !column.system && (!fields || fields.includes(column.name))
+    );
+
+    const value = {};
+    const errors = [];
+
+    for (const column of columns) {
+        const raw = body[column.name];
+        if (isEmpty(raw)) {
+            if (!partial && column.required) {
+                errors.push({ field: prefix + column.name, message: 'es obligatorio' });
+            } else if (!partial && column.default !== undefined) {
+                value[column.name] = column.default;
+            } else if (raw === '' && !column.required && (column.type === 'string' || column.type === 'email')) {
+                value[column.name] = ''; // Permite vaciar un campo de texto opcional
+            } else if (partial && raw !== undefined && column.required) {
+                errors.push({ field: prefix + column.name, message: 'no puede estar vacío' });
+            }
+            continue;
+        }
+
+        const result = coerce(column, raw);
+        if (result.error) {
+            errors.push({ field: prefix + column.name, message: result.error });
+        } else {
+            value[column.name] = result.value;
+        }
+    }
+
+    return { value, errors };
+}
+
+// Respuesta estándar para errores de validación
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({ error: 'Datos de entrada inválidos.', details: errors });
+}
+
+module.exports = { coerce, validateRecord, sendValidationErrors };
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// backend/scripts/sheets.js
+// Uso: node scripts/sheets.js <bootstrap|migrate|status|setup>
+//   bootstrap  crea las pestañas que falten con su cabecera
+//   migrate    aplica las migraciones pendientes
+//   status     lista las migraciones y si están aplicadas
+//   setup      bootstrap + migrate (entorno nuevo)
+// Usa el mismo almacenamiento que el servidor (STORAGE_DRIVER, STORAGE_FILE, GOOGLE_*).
+require('dotenv').config();
+
+const { createStorage } = require('../storage');
+const { bootstrap, migrate, getStatus } = require('../migrations');
+
+async function main(command) {
+    // Sin caché: cada paso tiene que ver lo que escribió el anterior.
+    process.env.STORAGE_CACHE_TTL_MS = '0';
+    const storage = createStorage();
+
+    switch (command) {
+        case 'bootstrap':
+            await bootstrap(storage);
+            break;
+        case 'migrate':
+            await migrate(storage);
+            break;
+        case 'setup':
+            await bootstrap(storage);
+            await migrate(storage);
+            break;
+        case 'status': {
+            const status = await getStatus(storage);
+            status.forEach(migration => {
+                console.log(`${migration.pending ? '[pendiente]' : '[aplicada] '} ${migration.id} - ${migration.description}${migration.applied_at ? ` (${migration.applied_at})` : ''}`);
+            });
+            break;
+        }
+        default:
+            console.error('Uso: node scripts/sheets.js <bootstrap|migrate|status|setup>');
+            process.exitCode = 1;
+    }
+}
+
+main(process.argv[2]).catch(error => {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+});
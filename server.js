@@ -2,195 +2,738 @@
 require('dotenv').config();
 
 const express = require('express');
-const { google } = require('googleapis');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcrypt'); // Importa bcrypt
 const jwt = require('jsonwebtoken'); // Importa jsonwebtoken
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const { createStorage } = require('./storage');
+const { rowsToObjects, cellToBoolean } = require('./storage/rows');
+const { getHeaders, serializeRow } = require('./schemas');
+const { coerce, validateRecord, sendValidationErrors } = require('./schemas/validate');
+const { parseListQuery, applyListQuery } = require('./query');
+const { MEASUREMENT_METRICS, computeAge, summarizeProgress } = require('./health/progress');
+const { validateDays, buildMealPlanDocument } = require('./nutrition/mealPlans');
+const { getStockLevel, getStockErrors, planStockChanges, isLowStock } = require('./inventory/stock');
+const orderLifecycle = require('./orders/lifecycle');
+const { AUDITED_SHEETS, SYSTEM_ACTOR, runAsActor, buildAuditEntry } = require('./audit');
+const { createMailer } = require('./mail');
+const mailTemplates = require('./mail/templates');
+const { createChannel } = require('./notifications/channels');
+const { createScheduler } = require('./notifications/scheduler');
+const notificationTemplates = require('./notifications/templates');
+const { createPaymentProvider, WEBHOOK_STATUSES } = require('./payments');
+const { normalizeCode, getCouponError, applyCoupon } = require('./pricing/coupons');
+const { toMinor, fromMinor, includedTax } = require('./pricing/money');
+const { findTaxRate, computeTotals } = require('./pricing/tax');
+const { buildInvoice, renderInvoiceHtml, renderInvoicePdf } = require('./invoices/render');
+const { createDownloadToken, verifyDownloadToken } = require('./downloads/signedLinks');
+const { DEFAULT_WORKING_HOURS, toMinutes, addDays, localNow, checkSlot, listFreeSlots } = require('./scheduling/availability');
+const { createLock, createKeyedLock } = require('./scheduling/lock');
+const appointmentStatus = require('./scheduling/appointmentStatus');
+const { validateRecurrence, getSeriesDates } = require('./scheduling/recurrence');
+const { appointmentToEvent, buildCalendar } = require('./calendar/ical');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-
-// --- Configuración de Google Sheets API ---
-const auth = new google.auth.GoogleAuth({
-    credentials: {
-        client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-        private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+// Se guarda el cuerpo original para poder verificar la firma de los avisos de pago
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+// Autor de las escrituras para la auditoría: anónimo hasta que authenticateToken valida el token
+app.use((req, res, next) => runAsActor(ANONYMOUS_ACTOR, next));
+
+// --- Almacenamiento (Google Sheets, memoria o fichero local según STORAGE_DRIVER) ---
+const storage = createStorage();
+app.locals.storage = storage;
+const JWT_SECRET = process.env.JWT_SECRET; // Obtén la clave secreta del .env
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48');
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true'; // Bloquea el login hasta verificar el email
+const PASSWORD_MIN_LENGTH = 8;
+const SLOT_INTERVAL_MINUTES = parseInt(process.env.SLOT_INTERVAL_MINUTES || '30'); // Separación entre inicios de huecos libres
+const MAX_AVAILABILITY_RANGE_DAYS = 31;
+const API_URL = process.env.API_URL; // URL pública de esta API (para los enlaces del calendario); por defecto, la de la petición
+const CALENDAR_UID_DOMAIN = new URL(process.env.APP_URL || 'http://localhost:3000').hostname;
+const CANCELLATION_WINDOW_HOURS = parseInt(process.env.CANCELLATION_WINDOW_HOURS || '24'); // Antelación mínima para que un cliente cancele o cambie su cita
+
+// --- Listados: filtros, orden y búsqueda que admite cada uno (ver query/index.js) ---
+const LIST_OPTIONS = {
+    users: {
+        filters: ['role', 'nutritionist_id', 'created_at'],
+        sortable: ['username', 'full_name', 'email', 'role', 'created_at'],
+        search: ['username', 'full_name', 'email'],
+        defaultSort: 'username',
     },
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-});
+    products: {
+        filters: ['category', 'price', 'is_active', 'created_at'],
+        sortable: ['name', 'price', 'category', 'created_at'],
+        search: ['name', 'description'],
+        defaultSort: 'name',
+    },
+    nutrition_plans: {
+        filters: ['price', 'duration_minutes', 'is_active'],
+        sortable: ['name', 'price', 'duration_minutes', 'created_at'],
+        search: ['name', 'description'],
+        defaultSort: 'name',
+    },
+    appointments: {
+        filters: ['status', 'user_id', 'plan_id', 'appointment_date'],
+        sortable: ['appointment_date', 'appointment_time', 'status', 'created_at'],
+        search: ['notes'],
+        defaultSort: 'appointment_date,appointment_time',
+    },
+    measurements: {
+        filters: ['measured_on'],
+        sortable: ['measured_on', 'created_at'],
+        search: ['notes'],
+        defaultSort: '-measured_on',
+    },
+    foods: {
+        filters: ['category', 'is_active', 'kcal', 'protein_g', 'carbs_g', 'fat_g'],
+        sortable: ['name', 'category', 'kcal', 'protein_g', 'carbs_g', 'fat_g'],
+        search: ['name', 'category'],
+        defaultSort: 'name',
+    },
+    meal_plans: {
+        filters: ['user_id', 'status', 'start_date', 'created_at'],
+        sortable: ['title', 'start_date', 'created_at'],
+        search: ['title', 'notes'],
+        defaultSort: '-created_at',
+    },
+    orders: {
+        filters: ['status', 'user_id', 'total_amount', 'created_at'],
+        sortable: ['created_at', 'total_amount', 'status'],
+        search: [],
+        defaultSort: '-created_at',
+    },
+    notifications: {
+        filters: ['user_id', 'status', 'type', 'channel', 'created_at'],
+        sortable: ['created_at', 'send_after', 'status', 'type'],
+        search: ['subject'],
+        defaultSort: '-created_at',
+    },
+    audit_log: {
+        filters: ['resource', 'resource_id', 'action', 'actor_id', 'actor_role', 'created_at'],
+        sortable: ['created_at', 'resource', 'action'],
+        search: ['actor_username', 'changes'],
+        defaultSort: '-created_at',
+    },
+};
+
+// --- Auditoría (ver audit/index.js) ---
+const ANONYMOUS_ACTOR = { id: '', role: 'anonymous' }; // Peticiones sin token (registro, recuperar contraseña...)
+
+// --- Email (transporte según MAIL_DRIVER; el servidor no arranca sin él) ---
+const mailer = createMailer();
+app.locals.mailer = mailer;
+
+// --- Pagos (pasarela según PAYMENT_PROVIDER; el servidor no arranca sin ella) ---
+const paymentProvider = createPaymentProvider();
+const CURRENCY = process.env.CURRENCY || 'EUR';
+const { PAID_ORDER_STATUSES, UNPAID_ORDER_STATUSES } = orderLifecycle;
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '5'); // Si el producto no indica el suyo
+// Minutos que un pedido sin pagar puede retener stock reservado antes de cancelarse
+const STOCK_RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES || '60');
+
+// --- Descargas de productos digitales ---
+const DOWNLOAD_LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET || JWT_SECRET;
+const DOWNLOAD_LINK_TTL_MINUTES = parseInt(process.env.DOWNLOAD_LINK_TTL_MINUTES || '15');
+const DOWNLOAD_LIMIT = parseInt(process.env.DOWNLOAD_LIMIT || '5'); // Descargas permitidas por compra
+
+// --- Impuestos y facturas ---
+const DEFAULT_TAX_RATE = Number(process.env.DEFAULT_TAX_RATE || '21'); // Si no hay tipo general en `tax_rates`
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'F';
+const INVOICE_ISSUER = {
+    name: process.env.INVOICE_ISSUER_NAME || 'Nutri-Web',
+    tax_id: process.env.INVOICE_ISSUER_TAX_ID || '',
+    address: process.env.INVOICE_ISSUER_ADDRESS || '',
+};
+
+// --- Notificaciones (canal según NOTIFICATION_CHANNEL; por defecto, email) ---
+const notificationChannel = createChannel(undefined, { mailer });
+const NOTIFICATIONS_INTERVAL_MS = parseInt(process.env.NOTIFICATIONS_INTERVAL_MS || '60000');
+const NOTIFICATION_MAX_ATTEMPTS = 3;
+// Horas de antelación de los recordatorios de cita, p. ej. "24,1"
+const APPOINTMENT_REMINDER_HOURS = (process.env.APPOINTMENT_REMINDER_HOURS || '24,1')
+    .split(',').map(Number).filter(hours => hours > 0).sort((a, b) => b - a);
+
+// --- Funciones Auxiliares de acceso a las hojas (delegan en el adaptador activo) ---
+async function getSheetData(sheetName) {
+    return storage.getSheetData(sheetName);
+}
 
-const sheets = google.sheets({ version: 'v4', auth });
-const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-const JWT_SECRET = process.env.JWT_SECRET; // Obtén la clave secreta del .env
+// Las escrituras en las hojas de AUDITED_SHEETS quedan además anotadas en `audit_log`.
+async function appendRow(sheetName, rowData) {
+    const result = await storage.appendRow(sheetName, rowData);
+    await recordAudit(sheetName, async () => appendedChanges(sheetName, [rowData]));
+    return result;
+}
 
-// --- Funciones Auxiliares para Google Sheets (las mismas que antes, no cambian) ---
-async function getSheetData(sheetName) {
+async function appendRows(sheetName, rows) {
+    const result = await storage.appendRows(sheetName, rows);
+    await recordAudit(sheetName, async () => appendedChanges(sheetName, rows));
+    return result;
+}
+
+async function updateRowById(sheetName, id, newFields, options = {}) {
+    if (!AUDITED_SHEETS.includes(sheetName)) return storage.updateRowById(sheetName, id, newFields, options);
+    const [before] = await findRowsByIds(sheetName, [id]);
+    const result = await storage.updateRowById(sheetName, id, newFields, options);
+    await recordAudit(sheetName, async () => [{ before, after: { ...before, ...newFields } }]);
+    return result;
+}
+
+async function deleteRowById(sheetName, id) {
+    return deleteRowsByIds(sheetName, [id], () => storage.deleteRowById(sheetName, id));
+}
+
+async function deleteRowsByIds(sheetName, ids, remove = () => storage.deleteRowsByIds(sheetName, ids)) {
+    if (!AUDITED_SHEETS.includes(sheetName)) return remove();
+    const removed = await findRowsByIds(sheetName, ids);
+    const result = await remove();
+    await recordAudit(sheetName, async () => removed.map(before => ({ before, after: null })));
+    return result;
+}
+
+async function findRowsByIds(sheetName, ids) {
+    const wanted = new Set(ids.map(String));
+    return rowsToObjects(await getSheetData(sheetName)).filter(record => wanted.has(String(record.id)));
+}
+
+// Las filas añadidas llegan ya ordenadas según la cabecera real de la hoja
+async function appendedChanges(sheetName, rows) {
+    const records = rowsToObjects([await getSheetHeaders(sheetName), ...rows]);
+    return records.map(after => ({ before: null, after }));
+}
+
+// `getChanges` devuelve [{ before, after }] (null en el lado que no existe). Un fallo
+// al anotar no deshace la escritura, que ya está hecha: solo se deja constancia en el log.
+async function recordAudit(sheetName, getChanges) {
+    if (!AUDITED_SHEETS.includes(sheetName)) return;
     try {
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: sheetName,
-        });
-        return response.data.values || [];
+        const entries = (await getChanges())
+            .map(({ before, after }) => buildAuditEntry(sheetName, before, after))
+            .filter(Boolean);
+        if (entries.length > 0) await createRecords('audit_log', entries);
     } catch (error) {
-        console.error(`Error al leer la hoja ${sheetName}:`, error.message);
-        throw new Error(`No se pudo leer la hoja ${sheetName}`);
+        console.error(`Error al registrar la auditoría de ${sheetName}:`, error);
     }
 }
 
-async function appendRow(sheetName, rowData) {
-    try {
-        const response = await sheets.spreadsheets.values.append({
-            spreadsheetId,
-            range: sheetName,
-            valueInputOption: 'RAW',
-            insertDataOption: 'INSERT_ROWS',
-            resource: {
-                values: [rowData],
-            },
-        });
-        return response.data;
-    } catch (error) {
-        console.error(`Error al añadir fila a ${sheetName}:`, error.message);
-        throw new Error(`No se pudo añadir la fila a ${sheetName}`);
+// Completa las columnas que gestiona el servidor (id, fechas, versión) según el esquema de la hoja.
+function buildRecord(sheetName, fields, now) {
+    const headers = getHeaders(sheetName);
+    const record = { ...fields };
+    if (headers.includes('id') && record.id === undefined) record.id = uuidv4();
+    if (headers.includes('created_at')) record.created_at = now;
+    if (headers.includes('version')) record.version = 1;
+    if (headers.includes('updated_at')) record.updated_at = now;
+    return record;
+}
+
+// Cabecera real de la hoja; las filas nuevas se escriben en ese orden para que una
+// columna añadida o movida por una migración no desplace los valores.
+async function getSheetHeaders(sheetName) {
+    const [headers] = await getSheetData(sheetName);
+    return headers && headers.length > 0 ? headers : getHeaders(sheetName);
+}
+
+// Crea un registro nuevo con las columnas definidas en el esquema.
+async function createRecord(sheetName, fields) {
+    const record = buildRecord(sheetName, fields, new Date().toISOString());
+    await appendRow(sheetName, serializeRow(sheetName, record, await getSheetHeaders(sheetName)));
+    return record;
+}
+
+// Igual que createRecord, pero con una única escritura para todos los registros.
+async function createRecords(sheetName, fieldsList) {
+    const now = new Date().toISOString();
+    const records = fieldsList.map(fields => buildRecord(sheetName, fields, now));
+    const headers = await getSheetHeaders(sheetName);
+    await appendRows(sheetName, records.map(record => serializeRow(sheetName, record, headers)));
+    return records;
+}
+
+
+// Versión de la fila que el cliente tiene al editar (bloqueo optimista). Se acepta
+// en la cabecera If-Match o en el campo `version` del cuerpo; si no llega, no se comprueba.
+function getExpectedVersion(req) {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch) return ifMatch.replace(/^W\//, '').replace(/"/g, '');
+    return (req.body || {}).version;
+}
+
+// --- Borrado lógico (papelera) ---
+// Los registros con `deleted_at` están en la papelera: las rutas normales no los
+// muestran y solo se pueden consultar o restaurar desde /api/admin/trash.
+function isNotDeleted(record) {
+    return !record.deleted_at;
+}
+
+// `is_active` llega de la hoja como texto; una celda vacía (filas antiguas) cuenta como activo
+function isActiveRecord(record) {
+    return cellToBoolean(record.is_active, true);
+}
+
+async function getActiveObjects(sheetName) {
+    return rowsToObjects(await getSheetData(sheetName)).filter(isNotDeleted);
+}
+
+async function softDeleteRowById(sheetName, id) {
+    const [headers = []] = await getSheetData(sheetName);
+    if (!headers.includes('deleted_at')) {
+        throw new Error(`La hoja '${sheetName}' no tiene una columna "deleted_at".`);
     }
+    return updateRowById(sheetName, id, { deleted_at: new Date().toISOString() });
+}
+
+// --- Tokens de sesión (access token JWT + refresh token rotativo) ---
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Emite un access token (JWT de vida corta) y un refresh token opaco que se guarda
+// hasheado en la hoja `refresh_tokens`.
+async function issueTokens(user) {
+    // `iat_ms`: momento de emisión con precisión de milisegundos (el `iat` estándar va en segundos)
+    const payload = { id: user.id, username: user.username, email: user.email, role: user.role, iat_ms: Date.now() };
+    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL, jwtid: uuidv4() });
+
+    const refresh_token = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { id: refreshTokenId } = await createRecord('refresh_tokens', {
+        user_id: user.id,
+        token_hash: hashToken(refresh_token),
+        expires_at: expiresAt,
+    });
+
+    return { token, refresh_token, refreshTokenId };
 }
 
-async function updateRowById(sheetName, id, newFields) {
-    const data = await getSheetData(sheetName);
-    if (data.length === 0) {
-        throw new Error(`Hoja '${sheetName}' vacía o no encontrada.`);
+// Revoca todos los refresh tokens vigentes de un usuario.
+async function revokeUserRefreshTokens(userId) {
+    const now = new Date().toISOString();
+    const active = rowsToObjects(await getSheetData('refresh_tokens'))
+        .filter(t => String(t.user_id) === String(userId) && !t.revoked_at);
+    for (const refreshToken of active) {
+        await updateRowById('refresh_tokens', refreshToken.id, { revoked_at: now });
     }
+    return active.length;
+}
+
+// Cierra todas las sesiones de un usuario: revoca sus refresh tokens y los access
+// tokens emitidos hasta ahora.
+async function revokeAllSessions(userId, reason) {
+    const revokedRefreshTokens = await revokeUserRefreshTokens(userId);
+    await createRecord('token_revocations', { user_id: userId, jti: '', reason });
+    return revokedRefreshTokens;
+}
+
+// Un access token está revocado si su jti está en la lista o si se cerraron todas
+// las sesiones del usuario después de emitirlo.
+async function isAccessTokenRevoked(payload) {
+    const revocations = rowsToObjects(await getSheetData('token_revocations'));
+    return revocations.some(r =>
+        (payload.jti && r.jti === payload.jti) ||
+        (!r.jti && String(r.user_id) === String(payload.id) && (payload.iat_ms || payload.iat * 1000) < Date.parse(r.created_at))
+    );
+}
 
-    const headers = data[0];
-    const rows = data.slice(1);
-    const idColumnIndex = headers.indexOf('id');
+// --- Tokens de un solo uso enviados por email ---
+// Devuelve el token en claro para incluirlo en el enlace; en la hoja solo queda su hash.
+async function createUserToken(userId, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await createRecord('user_tokens', {
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + ttlMs).toISOString(),
+    });
+    return token;
+}
 
-    if (idColumnIndex === -1) {
-        throw new Error(`La hoja '${sheetName}' no tiene una columna "id".`);
+// Marca el token como usado y devuelve su registro, o null si no es válido, ya se usó o caducó.
+async function consumeUserToken(token, purpose) {
+    const tokenHash = hashToken(String(token));
+    const stored = rowsToObjects(await getSheetData('user_tokens'))
+        .find(t => t.token_hash === tokenHash && t.purpose === purpose);
+    if (!stored || stored.used_at || Date.parse(stored.expires_at) <= Date.now()) {
+        return null;
     }
+    await updateRowById('user_tokens', stored.id, { used_at: new Date().toISOString() });
+    return stored;
+}
 
-    const rowIndexInRowsArray = rows.findIndex(row => String(row[idColumnIndex]) === String(id));
+async function sendVerificationEmail(user) {
+    const token = await createUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await mailer.send(mailTemplates.emailVerification({ user, token }));
+}
 
-    if (rowIndexInRowsArray === -1) {
-        throw new Error(`Registro con ID ${id} no encontrado en la hoja '${sheetName}'.`);
+function validatePassword(password, field = 'password') {
+    if (!password) return [{ field, message: 'es obligatorio' }];
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return [{ field, message: `debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres` }];
     }
+    return [];
+}
 
-    const actualRowInSheet = rowIndexInRowsArray + 2;
+// --- Middleware de Autenticación JWT ---
+async function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Formato: Bearer TOKEN
 
-    const existingRow = rows[rowIndexInRowsArray];
-    const updatedRow = [...existingRow];
+    if (token == null) return res.status(401).json({ error: 'Token no proporcionado.' });
 
-    for (const key in newFields) {
-        const headerIndex = headers.indexOf(key);
-        if (headerIndex !== -1) {
-            updatedRow[headerIndex] = newFields[key];
-        }
+    let user;
+    try {
+        user = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return res.status(403).json({ error: 'Token inválido o expirado.' });
     }
 
-    const range = `${sheetName}!A${actualRowInSheet}`;
-
     try {
-        const response = await sheets.spreadsheets.values.update({
-            spreadsheetId,
-            range,
-            valueInputOption: 'RAW',
-            resource: {
-                values: [updatedRow],
-            },
-        });
-        return response.data;
+        if (await isAccessTokenRevoked(user)) {
+            return res.status(401).json({ error: 'La sesión ha sido cerrada. Vuelve a iniciar sesión.' });
+        }
     } catch (error) {
-        console.error(`Error al actualizar fila en ${sheetName} (ID: ${id}):`, error.message);
-        throw new Error(`No se pudo actualizar la fila en ${sheetName}.`);
+        console.error('Error al comprobar la revocación del token:', error);
+        return res.status(500).json({ error: 'Error interno del servidor al validar el token.' });
     }
+
+    req.user = user; // Guarda la información del usuario en la solicitud
+    runAsActor(user, next); // Las escrituras de la petición se auditan a su nombre
 }
 
-async function deleteRowById(sheetName, id) {
-    const data = await getSheetData(sheetName);
-    if (data.length === 0) {
-        throw new Error(`Hoja '${sheetName}' vacía o no encontrada.`);
+// Para rutas públicas que muestran más datos al personal: si llega un token, se valida
+// como en authenticateToken; si no, se sigue sin `req.user`.
+function optionalAuthenticateToken(req, res, next) {
+    if (!req.headers['authorization']) return next();
+    return authenticateToken(req, res, next);
+}
+
+// --- Middleware de Autorización por Roles ---
+function authorizeRoles(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !req.user.role || !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'No tienes permisos para realizar esta acción.' });
+        }
+        next();
+    };
+}
+
+// --- Acceso a datos de clientes (admin, el propio cliente o su nutricionista asignado) ---
+async function getAssignedClientIds(nutritionistId) {
+    return (await getActiveObjects('users'))
+        .filter(u => String(u.nutritionist_id) === String(nutritionistId))
+        .map(u => String(u.id));
+}
+
+async function canAccessClient(user, clientId) {
+    if (user.role === 'admin') return true;
+    if (String(user.id) === String(clientId)) return true;
+    if (user.role === 'nutritionist') {
+        return (await getAssignedClientIds(user.id)).includes(String(clientId));
     }
+    return false;
+}
+
+// --- Agenda (horario de atención, periodos bloqueados y citas existentes) ---
+// Las reservas y reprogramaciones se hacen de una en una para que dos peticiones
+// simultáneas no puedan quedarse con el mismo hueco.
+const runBookingExclusive = createLock();
 
-    const headers = data[0];
-    const rows = data.slice(1);
-    const idColumnIndex = headers.indexOf('id');
+async function getWorkingHours() {
+    const rules = rowsToObjects(await getSheetData('working_hours'));
+    return rules.length > 0 ? rules : DEFAULT_WORKING_HOURS;
+}
+
+// Todo lo necesario para calcular huecos. Se incluyen los planes borrados para que
+// las citas ya reservadas con ellos sigan ocupando su duración.
+async function getSchedulingContext() {
+    return {
+        workingHours: await getWorkingHours(),
+        blockedPeriods: rowsToObjects(await getSheetData('blocked_periods')),
+        appointments: await getActiveObjects('appointments'),
+        plans: rowsToObjects(await getSheetData('nutrition_plans')),
+    };
+}
 
-    if (idColumnIndex === -1) {
-        throw new Error(`La hoja '${sheetName}' no tiene una columna "id".`);
+// Respuesta para un hueco no disponible: solape -> 409, pasado o fuera de horario -> 400
+function sendSlotError(res, slotError) {
+    if (slotError.code === 'conflict') {
+        return res.status(409).json({ error: slotError.message });
     }
+    return sendValidationErrors(res, [{ field: 'appointment_time', message: slotError.message }]);
+}
 
-    const rowIndexInRowsArray = rows.findIndex(row => String(row[idColumnIndex]) === String(id));
+// --- Ciclo de vida de las citas ---
+async function recordAppointmentStatus(appointmentId, fromStatus, toStatus, user, reason = '') {
+    return createRecord('appointment_status_history', {
+        appointment_id: appointmentId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: user.id,
+        changed_by_role: user.role,
+        reason,
+    });
+}
 
-    if (rowIndexInRowsArray === -1) {
-        throw new Error(`Registro con ID ${id} no encontrado en la hoja '${sheetName}'.`);
+// Motivo por el que `user` no puede pasar la cita a `toStatus`, o null si puede
+function getStatusChangeError(appointment, toStatus, user, now = new Date()) {
+    const fromStatus = appointmentStatus.currentStatus(appointment);
+    if (!appointmentStatus.canTransition(fromStatus, toStatus)) {
+        return `No se puede pasar una cita de '${fromStatus}' a '${toStatus}'.`;
+    }
+    if (appointmentStatus.POST_APPOINTMENT_STATUSES.includes(toStatus) && appointmentStatus.getAppointmentStart(appointment) > now) {
+        return 'La cita todavía no ha empezado.';
     }
+    if (toStatus === 'cancelled' && user.role === 'client' && appointmentStatus.isWithinWindow(appointment, CANCELLATION_WINDOW_HOURS, now)) {
+        return `Las citas solo se pueden cancelar con al menos ${CANCELLATION_WINDOW_HOURS} horas de antelación.`;
+    }
+    return null;
+}
 
-    const actualRowInSheet = rowIndexInRowsArray + 2;
+const STATUS_CHANGE_MESSAGES = {
+    confirmed: 'Cita confirmada con éxito.',
+    cancelled: 'Cita cancelada con éxito.',
+    completed: 'Cita completada con éxito.',
+    no_show: 'Cita marcada como no presentada.',
+};
 
+// Manejador común de /confirm, /cancel, /complete y /no-show. Acepta un `reason` opcional.
+async function handleAppointmentStatusChange(req, res, toStatus) {
     try {
-        const response = await sheets.spreadsheets.batchUpdate({
-            spreadsheetId,
-            resource: {
-                requests: [{
-                    deleteDimension: {
-                        range: {
-                            sheetIndex: data.indexOf(headers), // Este índice podría ser problemático si hay muchas hojas y la API no devuelve el índice correcto. Podrías hardcodear el índice de la hoja si sabes que no cambiará o buscarlo de forma más robusta.
-                            dimension: 'ROWS',
-                            startIndex: actualRowInSheet - 1,
-                            endIndex: actualRowInSheet
-                        }
-                    }
-                }]
-            }
-        });
-        return response.data;
+        const { id } = req.params;
+        const { value: { reason = '' }, errors } = validateRecord('appointment_status_history', req.body, { fields: ['reason'], partial: true });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const appointment = (await getActiveObjects('appointments')).find(a => String(a.id) === String(id));
+        if (!appointment) {
+            return res.status(404).json({ error: 'Cita no encontrada.' });
+        }
+        if (!(await canAccessClient(req.user, appointment.user_id))) {
+            return res.status(403).json({ error: 'No tienes permiso para modificar esta cita.' });
+        }
+
+        const statusError = getStatusChangeError(appointment, toStatus, req.user);
+        if (statusError) {
+            return res.status(409).json({ error: statusError });
+        }
+
+        const { version } = await updateRowById('appointments', id, { status: toStatus }, { expectedVersion: getExpectedVersion(req) });
+        await recordAppointmentStatus(id, appointmentStatus.currentStatus(appointment), toStatus, req.user, reason);
+        if (toStatus === 'completed' && appointment.package_id) {
+            await runBookingExclusive(() => consumePackageSession(appointment.package_id));
+        }
+        await notifyAppointmentStatus(appointment, toStatus);
+        res.json({ message: STATUS_CHANGE_MESSAGES[toStatus], status: toStatus, version });
     } catch (error) {
-        console.error(`Error al eliminar fila en ${sheetName} (ID: ${id}):`, error.message);
-        throw new Error(`No se pudo eliminar la fila en ${sheetName}.`);
+        console.error(`Error al cambiar el estado de la cita a ${toStatus}:`, error);
+        // Solo los errores con código propio (conflicto de versión) llevan un mensaje para el cliente
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Error interno del servidor al cambiar el estado de la cita.' });
+    }
+}
+
+// --- Paquetes de sesiones ---
+// Sesiones que aún se pueden reservar: el saldo menos las citas abiertas que ya lo usan
+function getBookableSessions(planPackage, appointments) {
+    const openAppointments = appointments.filter(a =>
+        String(a.package_id) === String(planPackage.id) && appointmentStatus.isOpen(a)
+    );
+    return (parseInt(planPackage.sessions_remaining) || 0) - openAppointments.length;
+}
+
+// Descuenta una sesión del paquete al completar una de sus citas
+async function consumePackageSession(packageId) {
+    const planPackage = (await getActiveObjects('plan_packages')).find(p => String(p.id) === String(packageId));
+    if (!planPackage) return;
+    const remaining = Math.max((parseInt(planPackage.sessions_remaining) || 0) - 1, 0);
+    await updateRowById('plan_packages', packageId, { sessions_remaining: remaining }, { expectedVersion: planPackage.version });
+}
+
+// Citas que puede ver un usuario: las suyas (cliente), las de sus clientes (nutricionista) o todas (admin)
+async function getVisibleAppointments(user) {
+    const appointments = await getActiveObjects('appointments');
+    if (user.role === 'client') {
+        return appointments.filter(a => String(a.user_id) === String(user.id));
     }
+    if (user.role === 'nutritionist') {
+        const clientIds = await getAssignedClientIds(user.id);
+        return appointments.filter(a => clientIds.includes(String(a.user_id)));
+    }
+    return appointments;
 }
 
-function rowsToObjects(sheetData) {
-    if (!sheetData || sheetData.length === 0) return [];
-    const headers = sheetData[0];
-    return sheetData.slice(1).map(row => {
-        const obj = {};
-        headers.forEach((header, index) => {
-            obj[header] = row[index];
+// --- Calendario iCal ---
+// Los eventos toman el nombre y la duración del plan; en los calendarios del personal
+// se añade el nombre del cliente.
+async function buildAppointmentsCalendar(name, appointments, viewer) {
+    const plans = rowsToObjects(await getSheetData('nutrition_plans'));
+    const users = rowsToObjects(await getSheetData('users'));
+
+    const events = appointments.map(appointment => {
+        const plan = plans.find(p => String(p.id) === String(appointment.plan_id));
+        const client = users.find(u => String(u.id) === String(appointment.user_id));
+        const planName = plan ? plan.name : 'Cita';
+        const summary = viewer.role !== 'client' && client ? `${planName} - ${client.full_name || client.username}` : planName;
+        return appointmentToEvent(appointment, {
+            summary,
+            description: appointment.notes,
+            durationMinutes: plan ? parseInt(plan.duration_minutes) || 0 : 0,
+            uidDomain: CALENDAR_UID_DOMAIN,
         });
-        return obj;
     });
+    return buildCalendar({ name, events });
 }
 
-// --- Middleware de Autenticación JWT ---
-function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Formato: Bearer TOKEN
+function sendCalendar(res, calendar, filename) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(calendar);
+}
 
-    if (token == null) return res.status(401).json({ error: 'Token no proporcionado.' });
+// --- Notificaciones ---
+// Las rutas y las tareas programadas solo encolan avisos en la hoja `notifications`;
+// la tarea `deliver` los envía por el canal configurado y anota el resultado.
+
+// entries: [{ user_id, type, reference_id, dedupe_key, subject, text, send_after }]
+// Ignora los que ya estaban encolados con la misma dedupe_key.
+async function enqueueNotifications(entries) {
+    const existingKeys = new Set(rowsToObjects(await getSheetData('notifications')).map(n => n.dedupe_key));
+    const fresh = entries.filter(entry => !existingKeys.has(entry.dedupe_key));
+    if (fresh.length === 0) return [];
+    const now = new Date().toISOString();
+    return createRecords('notifications', fresh.map(({ text, send_after, ...entry }) => ({
+        ...entry,
+        channel: notificationChannel.name,
+        body: text,
+        status: 'pending',
+        attempts: 0,
+        send_after: send_after || now,
+    })));
+}
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) return res.status(403).json({ error: 'Token inválido o expirado.' });
-        req.user = user; // Guarda la información del usuario en la solicitud
-        next();
-    });
+// Las confirmaciones no deben hacer fallar la operación que las origina
+async function notify(entries) {
+    try {
+        await enqueueNotifications(entries);
+    } catch (error) {
+        console.error('Error al encolar notificaciones:', error);
+    }
 }
 
-// --- Middleware de Autorización por Roles ---
-function authorizeRoles(...roles) {
-    return (req, res, next) => {
-        if (!req.user || !req.user.role || !roles.includes(req.user.role)) {
-            return res.status(403).json({ error: 'No tienes permisos para realizar esta acción.' });
+async function findUserAndPlan(userId, planId) {
+    const user = (await getActiveObjects('users')).find(u => String(u.id) === String(userId));
+    const plan = rowsToObjects(await getSheetData('nutrition_plans')).find(p => String(p.id) === String(planId));
+    return { user, plan };
+}
+
+// Avisos de cambio de estado que recibe el cliente
+const STATUS_NOTIFICATION_TEMPLATES = {
+    confirmed: notificationTemplates.appointmentConfirmed,
+    cancelled: notificationTemplates.appointmentCancelled,
+};
+
+async function notifyAppointmentStatus(appointment, toStatus) {
+    const template = STATUS_NOTIFICATION_TEMPLATES[toStatus];
+    if (!template) return;
+    const { user, plan } = await findUserAndPlan(appointment.user_id, appointment.plan_id);
+    if (!user) return;
+    await notify([{
+        user_id: user.id,
+        type: `appointment_${toStatus}`,
+        reference_id: appointment.id,
+        dedupe_key: `appointment_${toStatus}:${appointment.id}`,
+        ...template({ user, appointment, plan }),
+    }]);
+}
+
+// Encola los recordatorios de las citas abiertas. Cada recordatorio tiene su ventana:
+// desde `hours` antes de la cita hasta que empieza la del siguiente recordatorio, así
+// una cita reservada con poca antelación solo recibe el más cercano. La dedupe_key
+// incluye la fecha y hora para que una cita reprogramada vuelva a avisar.
+async function scanAppointmentReminders(now) {
+    const appointments = (await getActiveObjects('appointments')).filter(appointmentStatus.isOpen);
+    const users = await getActiveObjects('users');
+    const plans = rowsToObjects(await getSheetData('nutrition_plans'));
+    const entries = [];
+
+    for (const appointment of appointments) {
+        const start = appointmentStatus.getAppointmentStart(appointment);
+        const user = users.find(u => String(u.id) === String(appointment.user_id));
+        if (!user || isNaN(start) || start <= now) continue;
+
+        APPOINTMENT_REMINDER_HOURS.forEach((hours, index) => {
+            const nextHours = APPOINTMENT_REMINDER_HOURS[index + 1] || 0;
+            const opensAt = start - hours * 60 * 60 * 1000;
+            const closesAt = start - nextHours * 60 * 60 * 1000;
+            if (now < opensAt || now >= closesAt) return;
+
+            const plan = plans.find(p => String(p.id) === String(appointment.plan_id));
+            entries.push({
+                user_id: user.id,
+                type: 'appointment_reminder',
+                reference_id: appointment.id,
+                dedupe_key: `appointment_reminder:${appointment.id}:${hours}h:${appointment.appointment_date}T${appointment.appointment_time}`,
+                ...notificationTemplates.appointmentReminder({ user, appointment, plan }),
+            });
+        });
+    }
+
+    const queued = await enqueueNotifications(entries);
+    return { queued: queued.length };
+}
+
+// Envía las notificaciones pendientes. Tras NOTIFICATION_MAX_ATTEMPTS fallos quedan como 'failed'.
+async function deliverPendingNotifications(now) {
+    const pending = rowsToObjects(await getSheetData('notifications'))
+        .filter(n => n.status === 'pending' && new Date(n.send_after) <= now);
+    const users = await getActiveObjects('users');
+    let sent = 0;
+    let failed = 0;
+
+    for (const notification of pending) {
+        const attempts = (parseInt(notification.attempts) || 0) + 1;
+        try {
+            const user = users.find(u => String(u.id) === String(notification.user_id));
+            if (!user) {
+                throw new Error('El usuario no existe o está eliminado.');
+            }
+            await notificationChannel.send({ user, subject: notification.subject, text: notification.body });
+            await updateRowById('notifications', notification.id, { status: 'sent', attempts, sent_at: new Date().toISOString(), last_error: '' });
+            sent++;
+        } catch (error) {
+            failed++;
+            // Si tampoco se puede anotar el fallo, se sigue con el resto: la fila sigue
+            // pendiente y se reintentará en el siguiente ciclo
+            const status = attempts >= NOTIFICATION_MAX_ATTEMPTS ? 'failed' : 'pending';
+            try {
+                await updateRowById('notifications', notification.id, { status, attempts, last_error: error.message });
+            } catch (updateError) {
+                console.error(`Error al anotar el fallo de la notificación ${notification.id}:`, updateError);
+            }
         }
-        next();
-    };
+    }
+    return { sent, failed };
 }
 
+const notificationScheduler = createScheduler({
+    intervalMs: NOTIFICATIONS_INTERVAL_MS,
+    jobs: [
+        { name: 'appointment_reminders', run: scanAppointmentReminders },
+        { name: 'deliver', run: deliverPendingNotifications },
+        { name: 'expire_stock_reservations', run: expireStaleReservations },
+    ],
+});
+app.locals.notificationScheduler = notificationScheduler;
+
 
 // --- Rutas de API REST ---
 
@@ -202,10 +745,15 @@ app.get('/', (req, res) => {
 // --- API para `Auth` (Registro y Login) ---
 app.post('/api/auth/register', async (req, res) => {
     try {
-        const { username, email, password, full_name, role = 'client' } = req.body;
-        if (!username || !email || !password) {
-            return res.status(400).json({ error: 'Faltan campos obligatorios: username, email, password.' });
+        // El rol no se puede elegir al registrarse: siempre es `client` (solo un admin puede cambiarlo)
+        const { password } = req.body || {};
+        const { value, errors } = validateRecord('users', req.body, { fields: ['username', 'email', 'full_name'] });
+        errors.push(...validatePassword(password));
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
+        const { username, email, full_name } = value;
+        const role = 'client';
 
         const users = await getSheetData('users');
         const usersAsObjects = rowsToObjects(users);
@@ -217,24 +765,26 @@ app.post('/api/auth/register', async (req, res) => {
             return res.status(409).json({ error: 'El nombre de usuario ya está en uso.' });
         }
 
-        const newId = usersAsObjects.length > 0 ? Math.max(...usersAsObjects.map(u => parseInt(u.id) || 0)) + 1 : 1;
         const password_hash = await bcrypt.hash(password, 10); // Hashea la contraseña
 
-        const newUserData = [
-            newId,
-            username,
-            email,
-            password_hash,
-            full_name || '',
-            role,
-            new Date().toISOString()
-        ];
-        await appendRow('users', newUserData);
+        const { id: newId } = await createRecord('users', { username, email, password_hash, full_name, role });
+
+        // Si el email no se puede enviar, el usuario puede pedir otro desde /api/auth/resend-verification
+        try {
+            await sendVerificationEmail({ id: newId, username, email, full_name });
+        } catch (mailError) {
+            console.error('Error al enviar el email de verificación:', mailError);
+        }
+
+        // Si hay que verificar el email no se abre sesión: el login la dará tras verificarlo
+        if (REQUIRE_EMAIL_VERIFICATION) {
+            return res.status(201).json({ message: 'Usuario registrado con éxito. Verifica tu email para iniciar sesión.', user: { id: newId, username, email, role } });
+        }
 
-        // Generar JWT para el nuevo usuario (opcional, podrías solo registrar y pedirle que haga login)
-        const token = jwt.sign({ id: newId, username, email, role }, JWT_SECRET, { expiresIn: '1h' });
+        // Generar tokens para el nuevo usuario (opcional, podrías solo registrar y pedirle que haga login)
+        const { token, refresh_token } = await issueTokens({ id: newId, username, email, role });
 
-        res.status(201).json({ message: 'Usuario registrado con éxito', token, user: { id: newId, username, email, role } });
+        res.status(201).json({ message: 'Usuario registrado con éxito', token, refresh_token, user: { id: newId, username, email, role } });
     } catch (error) {
         console.error('Error al registrar usuario:', error);
         res.status(500).json({ error: 'Error interno del servidor al registrar usuario.' });
@@ -243,14 +793,14 @@ app.post('/api/auth/register', async (req, res) => {
 
 app.post('/api/auth/login', async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password } = req.body || {};
         if (!email || !password) {
-            return res.status(400).json({ error: 'Faltan campos obligatorios: email, password.' });
+            return sendValidationErrors(res, ['email', 'password']
+                .filter(field => !{ email, password }[field])
+                .map(field => ({ field, message: 'es obligatorio' })));
         }
 
-        const users = await getSheetData('users');
-        const usersAsObjects = rowsToObjects(users);
-        const user = usersAsObjects.find(u => u.email === email);
+        const user = (await getActiveObjects('users')).find(u => u.email === email);
 
         if (!user) {
             return res.status(400).json({ error: 'Credenciales inválidas.' });
@@ -262,552 +812,2981 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(400).json({ error: 'Credenciales inválidas.' });
         }
 
-        // Generar JWT
-        const token = jwt.sign({ id: user.id, username: user.username, email: user.email, role: user.role }, JWT_SECRET, { expiresIn: '1h' });
+        if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+            return res.status(403).json({ error: 'Debes verificar tu email antes de iniciar sesión.' });
+        }
+
+        // Generar JWT y refresh token
+        const { token, refresh_token } = await issueTokens(user);
 
-        res.json({ message: 'Inicio de sesión exitoso', token, user: { id: user.id, username: user.username, email: user.email, role: user.role } });
+        res.json({ message: 'Inicio de sesión exitoso', token, refresh_token, user: { id: user.id, username: user.username, email: user.email, role: user.role } });
     } catch (error) {
         console.error('Error al iniciar sesión:', error);
         res.status(500).json({ error: 'Error interno del servidor al iniciar sesión.' });
     }
 });
 
+// Renueva la sesión: cambia un refresh token válido por un par de tokens nuevo.
+// El refresh token usado queda revocado (rotación); si alguien presenta uno ya
+// revocado se asume que ha sido robado y se revocan todas las sesiones del usuario.
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refresh_token } = req.body || {};
+        if (!refresh_token) {
+            return sendValidationErrors(res, [{ field: 'refresh_token', message: 'es obligatorio' }]);
+        }
+
+        const tokenHash = hashToken(String(refresh_token));
+        const stored = rowsToObjects(await getSheetData('refresh_tokens')).find(t => t.token_hash === tokenHash);
+        if (!stored) {
+            return res.status(401).json({ error: 'Refresh token inválido.' });
+        }
+        if (stored.revoked_at) {
+            await revokeUserRefreshTokens(stored.user_id);
+            return res.status(401).json({ error: 'Refresh token revocado. Vuelve a iniciar sesión.' });
+        }
+        if (Date.parse(stored.expires_at) <= Date.now()) {
+            return res.status(401).json({ error: 'Refresh token expirado. Vuelve a iniciar sesión.' });
+        }
+
+        const user = (await getActiveObjects('users')).find(u => String(u.id) === String(stored.user_id));
+        if (!user) {
+            return res.status(401).json({ error: 'Usuario no encontrado.' });
+        }
+        if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+            return res.status(403).json({ error: 'Debes verificar tu email antes de iniciar sesión.' });
+        }
+
+        const { token, refresh_token: newRefreshToken, refreshTokenId } = await issueTokens(user);
+        await updateRowById('refresh_tokens', stored.id, { revoked_at: new Date().toISOString(), replaced_by: refreshTokenId });
+
+        res.json({ message: 'Sesión renovada', token, refresh_token: newRefreshToken });
+    } catch (error) {
+        console.error('Error al renovar la sesión:', error);
+        res.status(500).json({ error: 'Error interno del servidor al renovar la sesión.' });
+    }
+});
+
+// Cierra la sesión actual: revoca el access token usado y el refresh token indicado.
+// Con `all: true` cierra todas las sesiones del usuario.
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+    try {
+        const { refresh_token, all = false } = req.body || {};
+
+        if (all) {
+            await revokeAllSessions(req.user.id, 'logout_all');
+        } else {
+            if (refresh_token) {
+                const tokenHash = hashToken(String(refresh_token));
+                const stored = rowsToObjects(await getSheetData('refresh_tokens'))
+                    .find(t => t.token_hash === tokenHash && String(t.user_id) === String(req.user.id));
+                if (stored && !stored.revoked_at) {
+                    await updateRowById('refresh_tokens', stored.id, { revoked_at: new Date().toISOString() });
+                }
+            }
+            if (req.user.jti) {
+                await createRecord('token_revocations', { user_id: req.user.id, jti: req.user.jti, reason: 'logout' });
+            }
+        }
+
+        res.json({ message: 'Sesión cerrada con éxito.' });
+    } catch (error) {
+        console.error('Error al cerrar sesión:', error);
+        res.status(500).json({ error: 'Error interno del servidor al cerrar sesión.' });
+    }
+});
+
+// Solicitar el restablecimiento de contraseña. La respuesta es siempre la misma para
+// no revelar qué emails están registrados.
+app.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body || {};
+        if (!email) {
+            return sendValidationErrors(res, [{ field: 'email', message: 'es obligatorio' }]);
+        }
+
+        const user = (await getActiveObjects('users')).find(u => u.email === String(email).trim());
+        if (user) {
+            const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+            await mailer.send(mailTemplates.passwordReset({ user, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }));
+        }
+
+        res.json({ message: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña.' });
+    } catch (error) {
+        console.error('Error al solicitar el restablecimiento de contraseña:', error);
+        res.status(500).json({ error: 'Error interno del servidor al solicitar el restablecimiento de contraseña.' });
+    }
+});
+
+// Restablecer la contraseña con el token recibido por email. Cierra todas las sesiones abiertas.
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+        const errors = validatePassword(password);
+        if (!token) {
+            errors.unshift({ field: 'token', message: 'es obligatorio' });
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const stored = await consumeUserToken(token, 'password_reset');
+        if (!stored) {
+            return res.status(400).json({ error: 'El enlace para restablecer la contraseña no es válido o ha caducado.' });
+        }
+
+        const password_hash = await bcrypt.hash(password, 10);
+        await updateRowById('users', stored.user_id, { password_hash });
+        await revokeAllSessions(stored.user_id, 'password_reset');
+
+        res.json({ message: 'Contraseña restablecida con éxito. Inicia sesión con la nueva contraseña.' });
+    } catch (error) {
+        console.error('Error al restablecer la contraseña:', error);
+        res.status(500).json({ error: 'Error interno del servidor al restablecer la contraseña.' });
+    }
+});
+
+// Confirmar el email con el token recibido al registrarse
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body || {};
+        if (!token) {
+            return sendValidationErrors(res, [{ field: 'token', message: 'es obligatorio' }]);
+        }
+
+        const stored = await consumeUserToken(token, 'email_verification');
+        if (!stored) {
+            return res.status(400).json({ error: 'El enlace de verificación no es válido o ha caducado.' });
+        }
+
+        await updateRowById('users', stored.user_id, { email_verified_at: new Date().toISOString() });
+        res.json({ message: 'Email verificado con éxito.' });
+    } catch (error) {
+        console.error('Error al verificar el email:', error);
+        res.status(500).json({ error: 'Error interno del servidor al verificar el email.' });
+    }
+});
+
+// Reenviar el email de verificación al usuario autenticado
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const user = (await getActiveObjects('users')).find(u => String(u.id) === String(req.user.id));
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        if (user.email_verified_at) {
+            return res.status(409).json({ error: 'El email ya está verificado.' });
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ message: 'Email de verificación enviado.' });
+    } catch (error) {
+        console.error('Error al reenviar el email de verificación:', error);
+        res.status(500).json({ error: 'Error interno del servidor al reenviar el email de verificación.' });
+    }
+});
+
 // --- Rutas Protegidas ---
 
 // Ejemplo: Solo administradores pueden ver todos los usuarios (aparte de registrarse y su propio perfil)
 app.get('/api/users', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const users = await getSheetData('users');
+        const { value: listQuery, errors } = parseListQuery('users', req.query, LIST_OPTIONS.users);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
         // Quita el hash de contraseña antes de enviar
-        const safeUsers = rowsToObjects(users).map(({ password_hash, ...rest }) => rest);
-        res.json(safeUsers);
+        res.json(applyListQuery(await getActiveObjects('users'), listQuery, ({ password_hash, ...rest }) => rest));
     } catch (error) {
         console.error('Error al obtener usuarios:', error);
         res.status(500).json({ error: 'Error interno del servidor al obtener usuarios.' });
     }
 });
 
-// Los usuarios pueden ver su propio perfil
-app.get('/api/users/me', authenticateToken, async (req, res) => {
+// Los usuarios pueden ver su propio perfil
+app.get('/api/users/me', authenticateToken, async (req, res) => {
+    try {
+        const user = (await getActiveObjects('users')).find(u => String(u.id) === String(req.user.id));
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        // Quita el hash de contraseña
+        const { password_hash, ...safeUser } = user;
+        res.json(safeUser);
+    } catch (error) {
+        console.error('Error al obtener perfil del usuario:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+// Actualiza los datos de perfil de un usuario (lo usan PUT /api/users/me y PUT /api/users/:id).
+// `fields` son los campos que el llamante puede modificar.
+async function updateUserProfile(req, res, id, fields) {
+    const { value: updatedFields, errors } = validateRecord('users', req.body, { fields, partial: true });
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const users = rowsToObjects(await getSheetData('users'));
+    const currentUser = users.find(u => String(u.id) === String(id) && isNotDeleted(u));
+    if (!currentUser) {
+        return res.status(404).json({ error: 'Usuario no encontrado.' });
+    }
+    if (updatedFields.email !== undefined && users.some(u => u.email === updatedFields.email && String(u.id) !== String(id))) {
+        return res.status(409).json({ error: 'El email ya está registrado.' });
+    }
+    if (updatedFields.username !== undefined && users.some(u => u.username === updatedFields.username && String(u.id) !== String(id))) {
+        return res.status(409).json({ error: 'El nombre de usuario ya está en uso.' });
+    }
+
+    // Un email nuevo tiene que volver a verificarse
+    const emailChanged = updatedFields.email !== undefined && updatedFields.email !== currentUser.email;
+    if (emailChanged) {
+        updatedFields.email_verified_at = '';
+    }
+
+    const { version } = await updateRowById('users', id, updatedFields, { expectedVersion: getExpectedVersion(req) });
+    if (emailChanged) {
+        await sendVerificationEmail({ ...currentUser, ...updatedFields });
+    }
+    res.json({ message: 'Usuario actualizado con éxito.', version });
+}
+
+// Cada usuario puede actualizar su propio perfil (sin cambiar su rol)
+app.put('/api/users/me', authenticateToken, async (req, res) => {
+    try {
+        await updateUserProfile(req, res, req.user.id, ['username', 'email', 'full_name']);
+    } catch (error) {
+        console.error('Error al actualizar perfil del usuario:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar el perfil.' });
+    }
+});
+
+// Cambiar la propia contraseña confirmando la actual. Cierra el resto de sesiones
+// y devuelve un par de tokens nuevo para seguir conectado.
+app.put('/api/users/me/password', authenticateToken, async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body || {};
+        const errors = validatePassword(new_password, 'new_password');
+        if (!current_password) {
+            errors.unshift({ field: 'current_password', message: 'es obligatorio' });
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const user = (await getActiveObjects('users')).find(u => String(u.id) === String(req.user.id));
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        if (!(await bcrypt.compare(current_password, user.password_hash))) {
+            return res.status(400).json({ error: 'La contraseña actual no es correcta.' });
+        }
+
+        const password_hash = await bcrypt.hash(new_password, 10);
+        await updateRowById('users', user.id, { password_hash });
+        await revokeAllSessions(user.id, 'password_change');
+        const { token, refresh_token } = await issueTokens(user);
+
+        res.json({ message: 'Contraseña actualizada con éxito.', token, refresh_token });
+    } catch (error) {
+        console.error('Error al cambiar la contraseña:', error);
+        res.status(500).json({ error: 'Error interno del servidor al cambiar la contraseña.' });
+    }
+});
+
+// Cada usuario puede eliminar su propia cuenta confirmando su contraseña
+app.delete('/api/users/me', authenticateToken, async (req, res) => {
+    try {
+        const { password } = req.body || {};
+        if (!password) {
+            return sendValidationErrors(res, [{ field: 'password', message: 'es obligatorio' }]);
+        }
+
+        const user = (await getActiveObjects('users')).find(u => String(u.id) === String(req.user.id));
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        if (!(await bcrypt.compare(password, user.password_hash))) {
+            return res.status(400).json({ error: 'La contraseña no es correcta.' });
+        }
+
+        await softDeleteRowById('users', user.id);
+        await revokeAllSessions(user.id, 'account_deleted');
+        res.json({ message: 'Cuenta eliminada con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar la cuenta:', error);
+        res.status(500).json({ error: 'Error interno del servidor al eliminar la cuenta.' });
+    }
+});
+
+// Solo administradores pueden actualizar el perfil (y el rol) de cualquier usuario
+app.put('/api/users/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        await updateUserProfile(req, res, req.params.id, ['username', 'email', 'full_name', 'role']);
+    } catch (error) {
+        console.error('Error al actualizar usuario:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar usuario.' });
+    }
+});
+
+// Solo administradores pueden eliminar usuarios
+app.delete('/api/users/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        await softDeleteRowById('users', id);
+        // Un usuario en la papelera no puede seguir usando sus sesiones abiertas
+        await revokeAllSessions(id, 'user_deleted');
+        res.json({ message: 'Usuario eliminado con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar usuario:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar usuario.' });
+    }
+});
+
+// Solo administradores pueden forzar el cierre de todas las sesiones de un usuario
+app.post('/api/users/:id/revoke-sessions', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const user = rowsToObjects(await getSheetData('users')).find(u => String(u.id) === String(id));
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+
+        const revokedRefreshTokens = await revokeAllSessions(id, `admin:${req.user.id}`);
+        res.json({ message: 'Sesiones del usuario cerradas con éxito.', revoked_refresh_tokens: revokedRefreshTokens });
+    } catch (error) {
+        console.error('Error al cerrar las sesiones del usuario:', error);
+        res.status(500).json({ error: 'Error interno del servidor al cerrar las sesiones del usuario.' });
+    }
+});
+
+// Ver el perfil de un usuario: administradores cualquiera, nutricionistas solo sus clientes asignados
+app.get('/api/users/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!(await canAccessClient(req.user, id))) {
+            return res.status(403).json({ error: 'No tienes permiso para ver este usuario.' });
+        }
+
+        const user = (await getActiveObjects('users')).find(u => String(u.id) === String(id));
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        const { password_hash, ...safeUser } = user;
+        res.json(safeUser);
+    } catch (error) {
+        console.error('Error al obtener usuario por ID:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+// Solo administradores pueden asignar (o quitar, con `nutritionist_id: null`) el nutricionista de un cliente
+app.put('/api/users/:id/nutritionist', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nutritionist_id } = req.body || {};
+        if (nutritionist_id === undefined) {
+            return sendValidationErrors(res, [{ field: 'nutritionist_id', message: 'es obligatorio (null para desasignar)' }]);
+        }
+
+        const users = await getActiveObjects('users');
+        const client = users.find(u => String(u.id) === String(id));
+        if (!client) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        if (client.role !== 'client') {
+            return sendValidationErrors(res, [{ field: 'id', message: 'solo se puede asignar un nutricionista a un cliente' }]);
+        }
+        if (nutritionist_id !== null && !users.some(u => String(u.id) === String(nutritionist_id) && u.role === 'nutritionist')) {
+            return sendValidationErrors(res, [{ field: 'nutritionist_id', message: 'no corresponde a ningún nutricionista' }]);
+        }
+
+        const { version } = await updateRowById('users', id, { nutritionist_id: nutritionist_id === null ? '' : String(nutritionist_id) }, { expectedVersion: getExpectedVersion(req) });
+        res.json({ message: nutritionist_id === null ? 'Nutricionista desasignado con éxito.' : 'Nutricionista asignado con éxito.', version });
+    } catch (error) {
+        console.error('Error al asignar nutricionista:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al asignar nutricionista.' });
+    }
+});
+
+// Clientes asignados a un nutricionista (el propio nutricionista o un administrador)
+app.get('/api/nutritionists/:id/clients', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        const nutritionistId = req.params.id === 'me' ? req.user.id : req.params.id;
+        if (req.user.role === 'nutritionist' && String(nutritionistId) !== String(req.user.id)) {
+            return res.status(403).json({ error: 'Solo puedes ver tus propios clientes.' });
+        }
+
+        const clients = (await getActiveObjects('users'))
+            .filter(u => String(u.nutritionist_id) === String(nutritionistId))
+            .map(({ password_hash, ...rest }) => rest);
+        res.json(clients);
+    } catch (error) {
+        console.error('Error al obtener clientes del nutricionista:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener clientes del nutricionista.' });
+    }
+});
+
+// --- Salud del cliente: perfil y mediciones ---
+// Son datos clínicos: solo los ven y editan el propio cliente y los administradores.
+// `:id` admite 'me'. Si no hay acceso o el usuario no es un cliente, responde y devuelve null.
+async function resolveHealthClient(req, res) {
+    const clientId = req.params.id === 'me' ? req.user.id : req.params.id;
+    if (req.user.role !== 'admin' && String(clientId) !== String(req.user.id)) {
+        res.status(403).json({ error: 'Solo el propio cliente y los administradores pueden acceder a sus datos de salud.' });
+        return null;
+    }
+    const client = (await getActiveObjects('users')).find(u => String(u.id) === String(clientId));
+    if (!client) {
+        res.status(404).json({ error: 'Usuario no encontrado.' });
+        return null;
+    }
+    if (client.role !== 'client') {
+        res.status(400).json({ error: 'Solo los clientes tienen perfil de salud.' });
+        return null;
+    }
+    return client;
+}
+
+async function getHealthProfile(clientId) {
+    return (await getActiveObjects('health_profiles')).find(p => String(p.user_id) === String(clientId));
+}
+
+function withAge(profile) {
+    return { ...profile, age: computeAge(profile.birth_date, localNow().date) };
+}
+
+async function getMeasurement(clientId, measurementId) {
+    return (await getActiveObjects('measurements'))
+        .find(m => String(m.id) === String(measurementId) && String(m.user_id) === String(clientId));
+}
+
+function validateHealthProfile(body, partial) {
+    const result = validateRecord('health_profiles', body, { partial });
+    if (result.value.birth_date && result.value.birth_date > localNow().date) {
+        result.errors.push({ field: 'birth_date', message: 'no puede ser una fecha futura' });
+    }
+    return result;
+}
+
+// Una medición necesita al menos una métrica; en una edición, que no se queden todas vacías
+function validateMeasurement(body, existing) {
+    const result = validateRecord('measurements', body, { partial: Boolean(existing) });
+    const merged = { ...existing, ...result.value };
+    if (!MEASUREMENT_METRICS.some(metric => merged[metric] !== undefined && merged[metric] !== '')) {
+        result.errors.push({ field: 'weight_kg', message: `indica al menos una medida: ${MEASUREMENT_METRICS.join(', ')}` });
+    }
+    if (result.value.measured_on && result.value.measured_on > localNow().date) {
+        result.errors.push({ field: 'measured_on', message: 'no puede ser una fecha futura' });
+    }
+    return result;
+}
+
+app.get('/api/users/:id/health-profile', authenticateToken, async (req, res) => {
+    try {
+        const client = await resolveHealthClient(req, res);
+        if (!client) return;
+
+        const profile = await getHealthProfile(client.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'El cliente todavía no tiene perfil de salud.' });
+        }
+        res.json(withAge(profile));
+    } catch (error) {
+        console.error('Error al obtener el perfil de salud:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener el perfil de salud.' });
+    }
+});
+
+// Crea el perfil si no existe; si existe, actualiza solo los campos enviados
+app.put('/api/users/:id/health-profile', authenticateToken, async (req, res) => {
+    try {
+        const client = await resolveHealthClient(req, res);
+        if (!client) return;
+
+        const profile = await getHealthProfile(client.id);
+        const { value: fields, errors } = validateHealthProfile(req.body, Boolean(profile));
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        if (!profile) {
+            const { id: newId } = await createRecord('health_profiles', { ...fields, user_id: client.id });
+            return res.status(201).json({ message: 'Perfil de salud creado con éxito.', id: newId, version: 1 });
+        }
+        const { version } = await updateRowById('health_profiles', profile.id, fields, { expectedVersion: getExpectedVersion(req) });
+        res.json({ message: 'Perfil de salud actualizado con éxito.', version });
+    } catch (error) {
+        console.error('Error al guardar el perfil de salud:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al guardar el perfil de salud.' });
+    }
+});
+
+// Mediciones del cliente; admite los parámetros de listado (measured_on_from, measured_on_to, sort...)
+app.get('/api/users/:id/measurements', authenticateToken, async (req, res) => {
+    try {
+        const client = await resolveHealthClient(req, res);
+        if (!client) return;
+
+        const { value: listQuery, errors } = parseListQuery('measurements', req.query, LIST_OPTIONS.measurements);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const measurements = (await getActiveObjects('measurements')).filter(m => String(m.user_id) === String(client.id));
+        res.json(applyListQuery(measurements, listQuery));
+    } catch (error) {
+        console.error('Error al obtener las mediciones:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener las mediciones.' });
+    }
+});
+
+app.post('/api/users/:id/measurements', authenticateToken, async (req, res) => {
+    try {
+        const client = await resolveHealthClient(req, res);
+        if (!client) return;
+
+        const { value: fields, errors } = validateMeasurement(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const { id: newId } = await createRecord('measurements', { ...fields, user_id: client.id, recorded_by: req.user.id });
+        res.status(201).json({ message: 'Medición registrada con éxito.', id: newId });
+    } catch (error) {
+        console.error('Error al registrar la medición:', error);
+        res.status(500).json({ error: 'Error interno del servidor al registrar la medición.' });
+    }
+});
+
+app.put('/api/users/:id/measurements/:measurementId', authenticateToken, async (req, res) => {
+    try {
+        const client = await resolveHealthClient(req, res);
+        if (!client) return;
+
+        const measurement = await getMeasurement(client.id, req.params.measurementId);
+        if (!measurement) {
+            return res.status(404).json({ error: 'Medición no encontrada.' });
+        }
+        const { value: fields, errors } = validateMeasurement(req.body, measurement);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const { version } = await updateRowById('measurements', measurement.id, fields, { expectedVersion: getExpectedVersion(req) });
+        res.json({ message: 'Medición actualizada con éxito.', version });
+    } catch (error) {
+        console.error('Error al actualizar la medición:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar la medición.' });
+    }
+});
+
+app.delete('/api/users/:id/measurements/:measurementId', authenticateToken, async (req, res) => {
+    try {
+        const client = await resolveHealthClient(req, res);
+        if (!client) return;
+
+        const measurement = await getMeasurement(client.id, req.params.measurementId);
+        if (!measurement) {
+            return res.status(404).json({ error: 'Medición no encontrada.' });
+        }
+        await softDeleteRowById('measurements', measurement.id);
+        res.json({ message: 'Medición eliminada con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar la medición:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar la medición.' });
+    }
+});
+
+// Evolución entre dos fechas: ?from=YYYY-MM-DD&to=YYYY-MM-DD (ambas opcionales)
+app.get('/api/users/:id/progress', authenticateToken, async (req, res) => {
+    try {
+        const client = await resolveHealthClient(req, res);
+        if (!client) return;
+
+        const errors = [];
+        for (const field of ['from', 'to']) {
+            const result = req.query[field] ? coerce({ type: 'date' }, req.query[field]) : {};
+            if (result.error) errors.push({ field, message: result.error });
+        }
+        if (errors.length === 0 && req.query.from && req.query.to && req.query.from > req.query.to) {
+            errors.push({ field: 'to', message: 'debe ser posterior o igual a from' });
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const profile = await getHealthProfile(client.id);
+        const measurements = (await getActiveObjects('measurements')).filter(m => String(m.user_id) === String(client.id));
+        res.json(summarizeProgress(measurements, {
+            from: req.query.from,
+            to: req.query.to,
+            heightCm: profile && profile.height_cm ? Number(profile.height_cm) : null,
+        }));
+    } catch (error) {
+        console.error('Error al obtener la evolución del cliente:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener la evolución del cliente.' });
+    }
+});
+
+
+// --- API para `products` (Protegidas para Creación/Actualización/Eliminación) ---
+// El catálogo público no incluye `file_url` (el archivo solo se obtiene con un enlace de
+// descarga) ni el detalle del inventario, solo las unidades disponibles.
+function toPublicProduct({ file_url, stock_quantity, stock_reserved, low_stock_threshold, ...product }) {
+    return {
+        ...product,
+        has_download: Boolean(file_url),
+        stock_available: getStockLevel({ stock_quantity, stock_reserved }).available,
+    };
+}
+
+// Cualquiera puede ver los productos activos; los administradores ven también los inactivos y `file_url`
+app.get('/api/products', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const isAdmin = req.user && req.user.role === 'admin';
+        const query = isAdmin ? req.query : { ...req.query, is_active: 'true' };
+        const { value: listQuery, errors } = parseListQuery('products', query, LIST_OPTIONS.products);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        res.json(applyListQuery(await getActiveObjects('products'), listQuery, isAdmin ? undefined : toPublicProduct));
+    } catch (error) {
+        console.error('Error al obtener productos:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener productos.' });
+    }
+});
+app.get('/api/products/:id', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const isAdmin = req.user && req.user.role === 'admin';
+        const product = (await getActiveObjects('products')).find(p => String(p.id) === String(id));
+        if (!product || (!isAdmin && !isActiveRecord(product))) {
+            return res.status(404).json({ error: 'Producto no encontrado.' });
+        }
+        res.json(isAdmin ? product : toPublicProduct(product));
+    } catch (error) {
+        console.error('Error al obtener producto por ID:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+// Solo administradores pueden añadir/actualizar/eliminar productos
+app.post('/api/products', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { value: productFields, errors } = validateRecord('products', req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const { name } = productFields;
+
+        const products = await getSheetData('products');
+        const productsAsObjects = rowsToObjects(products);
+
+        if (productsAsObjects.some(p => p.name === name)) {
+            return res.status(409).json({ error: 'Ya existe un producto con este nombre.' });
+        }
+
+        const { id: newId } = await createRecord('products', productFields);
+        res.status(201).json({ message: 'Producto añadido con éxito', product: { id: newId, name } });
+    } catch (error) {
+        console.error('Error al añadir producto:', error);
+        res.status(500).json({ error: 'Error interno del servidor al añadir producto.' });
+    }
+});
+app.put('/api/products/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { value: updatedFields, errors } = validateRecord('products', req.body, { partial: true });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        // `stock_quantity: null` desactiva el control de stock del producto
+        if ((req.body || {}).stock_quantity === null) {
+            updatedFields.stock_quantity = '';
+        }
+
+        // El stock no puede quedar por debajo de lo ya reservado por pedidos pendientes
+        const result = await runStockExclusive(async () => {
+            if (updatedFields.stock_quantity !== undefined && updatedFields.stock_quantity !== '') {
+                const product = (await getActiveObjects('products')).find(p => String(p.id) === String(id));
+                const reserved = product ? getStockLevel(product).reserved : 0;
+                if (updatedFields.stock_quantity < reserved) {
+                    return { errors: [{ field: 'stock_quantity', message: `no puede ser menor que las ${reserved} unidades reservadas por pedidos pendientes` }] };
+                }
+            }
+            return updateRowById('products', id, updatedFields, { expectedVersion: getExpectedVersion(req) });
+        });
+        if (result.errors) {
+            return sendValidationErrors(res, result.errors);
+        }
+        res.json({ message: 'Producto actualizado con éxito.', version: result.version });
+    } catch (error) {
+        console.error('Error al actualizar producto:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar producto.' });
+    }
+});
+app.delete('/api/products/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        await softDeleteRowById('products', id);
+        res.json({ message: 'Producto eliminado con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar producto:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar producto.' });
+    }
+});
+
+// Productos con stock bajo mínimos (disponibles <= low_stock_threshold o LOW_STOCK_THRESHOLD)
+app.get('/api/admin/products/low-stock', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const products = (await getActiveObjects('products'))
+            .filter(product => isLowStock(product, LOW_STOCK_THRESHOLD))
+            .map(product => {
+                const level = getStockLevel(product);
+                return {
+                    id: product.id,
+                    name: product.name,
+                    is_active: isActiveRecord(product),
+                    stock_quantity: level.quantity,
+                    stock_reserved: level.reserved,
+                    stock_available: level.available,
+                    low_stock_threshold: product.low_stock_threshold !== '' && product.low_stock_threshold !== undefined ? Number(product.low_stock_threshold) : LOW_STOCK_THRESHOLD,
+                };
+            })
+            .sort((a, b) => a.stock_available - b.stock_available);
+        res.json(products);
+    } catch (error) {
+        console.error('Error al obtener productos con poco stock:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener productos con poco stock.' });
+    }
+});
+
+// --- Descargas de productos digitales ---
+// Compras del usuario (líneas de pedidos pagados) de productos con archivo, con las descargas gastadas
+async function getPurchases(userId, productId) {
+    const orders = (await getActiveObjects('orders'))
+        .filter(o => String(o.user_id) === String(userId) && PAID_ORDER_STATUSES.includes(o.status));
+    const products = (await getActiveObjects('products')).filter(p => p.file_url);
+    const downloads = rowsToObjects(await getSheetData('downloads'));
+
+    return rowsToObjects(await getSheetData('order_items'))
+        .filter(item => productId === undefined || String(item.product_id) === String(productId))
+        .map(item => ({
+            item,
+            order: orders.find(o => String(o.id) === String(item.order_id)),
+            product: products.find(p => String(p.id) === String(item.product_id)),
+        }))
+        .filter(({ item, order, product }) => order && product && orderLifecycle.remainingQuantity(item) > 0)
+        .map(purchase => {
+            const used = downloads.filter(d => String(d.order_item_id) === String(purchase.item.id)).length;
+            return { ...purchase, downloads_used: used, downloads_remaining: Math.max(DOWNLOAD_LIMIT - used, 0) };
+        });
+}
+
+// Comprobar el límite y registrar la descarga de una en una para no superar el límite con descargas simultáneas
+const runDownloadExclusive = createLock();
+
+// Nombre del archivo según la URL; si no se puede leer de ella, el nombre del producto
+function getDownloadFilename(product) {
+    try {
+        return decodeURIComponent(new URL(product.file_url).pathname.split('/').pop() || '') || product.name;
+    } catch (error) {
+        return product.name;
+    }
+}
+
+// Productos comprados por el usuario con archivo descargable
+app.get('/api/downloads', authenticateToken, async (req, res) => {
+    try {
+        const purchases = await getPurchases(req.user.id);
+        res.json(purchases.map(({ item, order, product, downloads_used, downloads_remaining }) => ({
+            order_item_id: item.id,
+            order_id: order.id,
+            product_id: product.id,
+            product_name: product.name,
+            purchased_at: order.created_at,
+            downloads_used,
+            downloads_remaining,
+        })));
+    } catch (error) {
+        console.error('Error al obtener las descargas:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener las descargas.' });
+    }
+});
+
+// Genera un enlace de descarga de corta duración para un producto comprado
+app.post('/api/products/:id/download-link', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const product = (await getActiveObjects('products')).find(p => String(p.id) === String(id));
+        if (!product) {
+            return res.status(404).json({ error: 'Producto no encontrado.' });
+        }
+        if (!product.file_url) {
+            return res.status(404).json({ error: 'Este producto no tiene archivo descargable.' });
+        }
+
+        const purchases = await getPurchases(req.user.id, product.id);
+        if (purchases.length === 0) {
+            return res.status(403).json({ error: 'Necesitas un pedido pagado con este producto para descargarlo.' });
+        }
+        const purchase = purchases.find(p => p.downloads_remaining > 0);
+        if (!purchase) {
+            return res.status(403).json({ error: `Has agotado las ${DOWNLOAD_LIMIT} descargas de este producto.` });
+        }
+
+        const { token, expires_at } = createDownloadToken(
+            { order_item_id: purchase.item.id, user_id: req.user.id },
+            { secret: DOWNLOAD_LINK_SECRET, ttlMinutes: DOWNLOAD_LINK_TTL_MINUTES }
+        );
+        const baseUrl = (API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+        res.status(201).json({
+            url: `${baseUrl}/api/downloads/${token}`,
+            expires_at,
+            downloads_remaining: purchase.downloads_remaining,
+        });
+    } catch (error) {
+        console.error('Error al generar el enlace de descarga:', error);
+        res.status(500).json({ error: 'Error interno del servidor al generar el enlace de descarga.' });
+    }
+});
+
+// Descarga pública (la autenticación es el propio token firmado). El archivo se sirve a través
+// de la API para que su ubicación real no llegue al cliente.
+app.get('/api/downloads/:token', async (req, res) => {
+    try {
+        const payload = verifyDownloadToken(req.params.token, { secret: DOWNLOAD_LINK_SECRET });
+        if (!payload) {
+            return res.status(403).json({ error: 'Enlace de descarga inválido o caducado.' });
+        }
+
+        const findPurchase = async () => (await getPurchases(payload.user_id))
+            .find(p => String(p.item.id) === String(payload.order_item_id));
+        const purchase = await findPurchase();
+        if (!purchase) {
+            return res.status(403).json({ error: 'La compra de este enlace ya no está disponible.' });
+        }
+        if (purchase.downloads_remaining === 0) {
+            return res.status(403).json({ error: `Has agotado las ${DOWNLOAD_LIMIT} descargas de este producto.` });
+        }
+        const filename = getDownloadFilename(purchase.product);
+
+        const upstream = await fetch(purchase.product.file_url).catch(() => null);
+        if (!upstream || !upstream.ok || !upstream.body) {
+            console.error(`No se pudo obtener el archivo del producto ${purchase.product.id}: ${upstream ? upstream.status : 'sin respuesta'}`);
+            return res.status(502).json({ error: 'No se pudo obtener el archivo. Inténtalo de nuevo más tarde.' });
+        }
+
+        // Solo cuenta la descarga si el archivo está disponible
+        const recorded = await runDownloadExclusive(async () => {
+            const current = await findPurchase();
+            if (!current || current.downloads_remaining === 0) return false;
+            await createRecord('downloads', {
+                order_item_id: current.item.id,
+                order_id: current.order.id,
+                product_id: current.product.id,
+                user_id: payload.user_id,
+                ip: req.ip || '',
+            });
+            return true;
+        });
+        if (!recorded) {
+            await upstream.body.cancel();
+            return res.status(403).json({ error: `Has agotado las ${DOWNLOAD_LIMIT} descargas de este producto.` });
+        }
+
+        res.set('Content-Type', upstream.headers.get('content-type') || 'application/octet-stream');
+        res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+        if (upstream.headers.get('content-length')) res.set('Content-Length', upstream.headers.get('content-length'));
+        // Si la conexión con el origen se corta a mitad, se corta también la respuesta
+        pipeline(Readable.fromWeb(upstream.body), res, error => {
+            if (error) {
+                console.error(`Error al transferir el archivo del producto ${purchase.product.id}:`, error.message);
+                res.destroy(error);
+            }
+        });
+    } catch (error) {
+        console.error('Error al descargar el producto:', error);
+        res.status(500).json({ error: 'Error interno del servidor al descargar el producto.' });
+    }
+});
+
+// --- API para `nutrition_plans` (Protegidas para Creación/Actualización/Eliminación) ---
+// Cualquiera puede ver los planes activos; los administradores ven también los inactivos
+app.get('/api/nutrition-plans', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const query = req.user && req.user.role === 'admin' ? req.query : { ...req.query, is_active: 'true' };
+        const { value: listQuery, errors } = parseListQuery('nutrition_plans', query, LIST_OPTIONS.nutrition_plans);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        res.json(applyListQuery(await getActiveObjects('nutrition_plans'), listQuery));
+    } catch (error) {
+        console.error('Error al obtener planes nutricionales:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener planes nutricionales.' });
+    }
+});
+app.get('/api/nutrition-plans/:id', optionalAuthenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const isAdmin = req.user && req.user.role === 'admin';
+        const plan = (await getActiveObjects('nutrition_plans')).find(p => String(p.id) === String(id));
+        if (!plan || (!isAdmin && !isActiveRecord(plan))) {
+            return res.status(404).json({ error: 'Plan nutricional no encontrado.' });
+        }
+        res.json(plan);
+    } catch (error) {
+        console.error('Error al obtener plan nutricional por ID:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+// Solo administradores pueden añadir/actualizar/eliminar planes
+app.post('/api/nutrition-plans', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { value: planFields, errors } = validateRecord('nutrition_plans', req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const { name } = planFields;
+
+        const plans = await getSheetData('nutrition_plans');
+        const plansAsObjects = rowsToObjects(plans);
+
+        if (plansAsObjects.some(p => p.name === name)) {
+            return res.status(409).json({ error: 'Ya existe un plan nutricional con este nombre.' });
+        }
+
+        const { id: newId } = await createRecord('nutrition_plans', planFields);
+        res.status(201).json({ message: 'Plan nutricional añadido con éxito', plan: { id: newId, name } });
+    } catch (error) {
+        console.error('Error al añadir plan nutricional:', error);
+        res.status(500).json({ error: 'Error interno del servidor al añadir plan nutricional.' });
+    }
+});
+app.put('/api/nutrition-plans/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { value: updatedFields, errors } = validateRecord('nutrition_plans', req.body, { partial: true });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { version } = await updateRowById('nutrition_plans', id, updatedFields, { expectedVersion: getExpectedVersion(req) });
+        res.json({ message: 'Plan nutricional actualizado con éxito.', version });
+    } catch (error) {
+        console.error('Error al actualizar plan nutricional:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar plan nutricional.' });
+    }
+});
+app.delete('/api/nutrition-plans/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        await softDeleteRowById('nutrition_plans', id);
+        res.json({ message: 'Plan nutricional eliminado con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar plan nutricional:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar plan nutricional.' });
+    }
+});
+
+// --- API para `foods` (catálogo de alimentos; lo gestionan administradores y nutricionistas) ---
+
+app.get('/api/foods', authenticateToken, async (req, res) => {
+    try {
+        const { value: listQuery, errors } = parseListQuery('foods', req.query, LIST_OPTIONS.foods);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        res.json(applyListQuery(await getActiveObjects('foods'), listQuery));
+    } catch (error) {
+        console.error('Error al obtener alimentos:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener alimentos.' });
+    }
+});
+app.get('/api/foods/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const food = (await getActiveObjects('foods')).find(f => String(f.id) === String(id));
+        if (!food) {
+            return res.status(404).json({ error: 'Alimento no encontrado.' });
+        }
+        res.json(food);
+    } catch (error) {
+        console.error('Error al obtener alimento por ID:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+app.post('/api/foods', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        const { value: foodFields, errors } = validateRecord('foods', req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const { name } = foodFields;
+
+        if ((await getActiveObjects('foods')).some(f => f.name.toLowerCase() === name.toLowerCase())) {
+            return res.status(409).json({ error: 'Ya existe un alimento con este nombre.' });
+        }
+
+        const { id: newId } = await createRecord('foods', foodFields);
+        res.status(201).json({ message: 'Alimento añadido con éxito', food: { id: newId, name } });
+    } catch (error) {
+        console.error('Error al añadir alimento:', error);
+        res.status(500).json({ error: 'Error interno del servidor al añadir alimento.' });
+    }
+});
+app.put('/api/foods/:id', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { value: updatedFields, errors } = validateRecord('foods', req.body, { partial: true });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { version } = await updateRowById('foods', id, updatedFields, { expectedVersion: getExpectedVersion(req) });
+        res.json({ message: 'Alimento actualizado con éxito.', version });
+    } catch (error) {
+        console.error('Error al actualizar alimento:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar alimento.' });
+    }
+});
+// Los planes que ya usan el alimento lo siguen mostrando; solo deja de poder añadirse a planes nuevos
+app.delete('/api/foods/:id', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        await softDeleteRowById('foods', id);
+        res.json({ message: 'Alimento eliminado con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar alimento:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar alimento.' });
+    }
+});
+
+// --- API para `meal_plans` (planes de comidas de cada cliente) ---
+// Los crea y edita el personal (nutricionistas, solo para sus clientes asignados);
+// el cliente ve sus planes publicados.
+async function getSelectableFoods() {
+    return (await getActiveObjects('foods')).filter(isActiveRecord);
+}
+
+async function getMealPlanDocument(plan) {
+    const items = rowsToObjects(await getSheetData('meal_plan_items')).filter(item => String(item.meal_plan_id) === String(plan.id));
+    const foods = rowsToObjects(await getSheetData('foods'));
+    return buildMealPlanDocument(plan, items, foods);
+}
+
+// Sustituye el contenido del plan por las filas ya validadas
+async function replaceMealPlanItems(planId, rows) {
+    const existing = rowsToObjects(await getSheetData('meal_plan_items')).filter(item => String(item.meal_plan_id) === String(planId));
+    await deleteRowsByIds('meal_plan_items', existing.map(item => item.id));
+    await createRecords('meal_plan_items', rows.map(row => ({ ...row, meal_plan_id: planId })));
+}
+
+async function findMealPlan(req, res) {
+    const plan = (await getActiveObjects('meal_plans')).find(p => String(p.id) === String(req.params.id));
+    if (!plan || (req.user.role === 'client' && plan.status !== 'published')) {
+        res.status(404).json({ error: 'Plan de comidas no encontrado.' });
+        return null;
+    }
+    if (!(await canAccessClient(req.user, plan.user_id))) {
+        res.status(403).json({ error: 'No tienes permiso para acceder a este plan de comidas.' });
+        return null;
+    }
+    return plan;
+}
+
+app.get('/api/meal-plans', authenticateToken, async (req, res) => {
+    try {
+        const { value: listQuery, errors } = parseListQuery('meal_plans', req.query, LIST_OPTIONS.meal_plans);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        let plans = await getActiveObjects('meal_plans');
+        if (req.user.role === 'client') {
+            plans = plans.filter(p => String(p.user_id) === String(req.user.id) && p.status === 'published');
+        } else if (req.user.role === 'nutritionist') {
+            const clientIds = await getAssignedClientIds(req.user.id);
+            plans = plans.filter(p => clientIds.includes(String(p.user_id)));
+        }
+        res.json(applyListQuery(plans, listQuery));
+    } catch (error) {
+        console.error('Error al obtener planes de comidas:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener planes de comidas.' });
+    }
+});
+
+// Plan completo: días, comidas y alimentos con sus nutrientes, totales diarios y media diaria
+app.get('/api/meal-plans/:id', authenticateToken, async (req, res) => {
+    try {
+        const plan = await findMealPlan(req, res);
+        if (!plan) return;
+        res.json(await getMealPlanDocument(plan));
+    } catch (error) {
+        console.error('Error al obtener plan de comidas por ID:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+// Cuerpo: { user_id, title, start_date, notes, status, days: [{ day, meals: [{ meal, items: [{ food_id, grams, notes }] }] }] }
+app.post('/api/meal-plans', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        const { value: planFields, errors } = validateRecord('meal_plans', req.body);
+        const { value: rows, errors: dayErrors } = validateDays((req.body || {}).days || [], await getSelectableFoods());
+        errors.push(...dayErrors);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const client = (await getActiveObjects('users')).find(u => String(u.id) === String(planFields.user_id));
+        if (!client || client.role !== 'client') {
+            return sendValidationErrors(res, [{ field: 'user_id', message: 'no corresponde a ningún cliente' }]);
+        }
+        if (!(await canAccessClient(req.user, client.id))) {
+            return res.status(403).json({ error: 'Solo puedes crear planes de comidas para tus clientes asignados.' });
+        }
+
+        const { id: newId } = await createRecord('meal_plans', { ...planFields, created_by: req.user.id });
+        await replaceMealPlanItems(newId, rows);
+        res.status(201).json({ message: 'Plan de comidas creado con éxito.', id: newId });
+    } catch (error) {
+        console.error('Error al crear plan de comidas:', error);
+        res.status(500).json({ error: 'Error interno del servidor al crear plan de comidas.' });
+    }
+});
+
+// Actualiza los datos del plan; si llega `days`, sustituye todo su contenido
+app.put('/api/meal-plans/:id', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        const plan = await findMealPlan(req, res);
+        if (!plan) return;
+
+        const { value: updatedFields, errors } = validateRecord('meal_plans', req.body, { partial: true });
+        if (updatedFields.user_id !== undefined && String(updatedFields.user_id) !== String(plan.user_id)) {
+            errors.push({ field: 'user_id', message: 'no se puede cambiar el cliente de un plan' });
+        }
+        const { days } = req.body || {};
+        const replaceDays = days !== undefined;
+        const { value: rows, errors: dayErrors } = replaceDays ? validateDays(days, await getSelectableFoods()) : { value: [], errors: [] };
+        errors.push(...dayErrors);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        // La versión sube también cuando solo cambia el contenido, para detectar ediciones simultáneas
+        const { version } = await updateRowById('meal_plans', plan.id, updatedFields, { expectedVersion: getExpectedVersion(req) });
+        if (replaceDays) {
+            await replaceMealPlanItems(plan.id, rows);
+        }
+        res.json({ message: 'Plan de comidas actualizado con éxito.', version });
+    } catch (error) {
+        console.error('Error al actualizar plan de comidas:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar plan de comidas.' });
+    }
+});
+
+app.delete('/api/meal-plans/:id', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        const plan = await findMealPlan(req, res);
+        if (!plan) return;
+        await softDeleteRowById('meal_plans', plan.id);
+        res.json({ message: 'Plan de comidas eliminado con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar plan de comidas:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar plan de comidas.' });
+    }
+});
+
+// --- API para `plan_packages` ---
+// Un paquete son N sesiones de un plan para un cliente. El cliente lo compra con un
+// pedido (línea con plan_id, ver grantPlanPackages) o se lo da de alta el administrador
+// o su nutricionista; el saldo baja al completar cada cita del paquete.
+async function withBookableSessions(planPackages) {
+    const appointments = await getActiveObjects('appointments');
+    return planPackages.map(p => ({ ...p, sessions_bookable: getBookableSessions(p, appointments) }));
+}
+
+app.post('/api/plan-packages', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        const { value: packageFields, errors } = validateRecord('plan_packages', req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const { user_id, plan_id } = packageFields;
+
+        const client = (await getActiveObjects('users')).find(u => String(u.id) === String(user_id));
+        if (!client || client.role !== 'client') {
+            return sendValidationErrors(res, [{ field: 'user_id', message: 'no corresponde a ningún cliente' }]);
+        }
+        if (!(await canAccessClient(req.user, user_id))) {
+            return res.status(403).json({ error: 'No tienes permiso para gestionar este cliente.' });
+        }
+        const plan = (await getActiveObjects('nutrition_plans')).find(p => String(p.id) === String(plan_id));
+        if (!plan) {
+            return sendValidationErrors(res, [{ field: 'plan_id', message: 'el plan indicado no existe' }]);
+        }
+
+        const sessions_total = packageFields.sessions_total || parseInt(plan.sessions_included) || 1;
+        const planPackage = await createRecord('plan_packages', { user_id, plan_id, sessions_total, sessions_remaining: sessions_total });
+        res.status(201).json({ message: 'Paquete de sesiones creado con éxito', plan_package: planPackage });
+    } catch (error) {
+        console.error('Error al crear paquete de sesiones:', error);
+        res.status(500).json({ error: 'Error interno del servidor al crear paquete de sesiones.' });
+    }
+});
+
+// Clientes ven los suyos, nutricionistas los de sus clientes, administradores todos (filtrables por user_id)
+app.get('/api/plan-packages', authenticateToken, async (req, res) => {
+    try {
+        let planPackages = await getActiveObjects('plan_packages');
+        if (req.user.role === 'client') {
+            planPackages = planPackages.filter(p => String(p.user_id) === String(req.user.id));
+        } else if (req.user.role === 'nutritionist') {
+            const clientIds = await getAssignedClientIds(req.user.id);
+            planPackages = planPackages.filter(p => clientIds.includes(String(p.user_id)));
+        }
+        if (req.user.role !== 'client' && req.query.user_id) {
+            planPackages = planPackages.filter(p => String(p.user_id) === String(req.query.user_id));
+        }
+        res.json(await withBookableSessions(planPackages));
+    } catch (error) {
+        console.error('Error al obtener paquetes de sesiones:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener paquetes de sesiones.' });
+    }
+});
+
+app.get('/api/plan-packages/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const planPackage = (await getActiveObjects('plan_packages')).find(p => String(p.id) === String(id));
+        if (!planPackage) {
+            return res.status(404).json({ error: 'Paquete de sesiones no encontrado.' });
+        }
+        if (!(await canAccessClient(req.user, planPackage.user_id))) {
+            return res.status(403).json({ error: 'No tienes permiso para ver este paquete.' });
+        }
+        const [result] = await withBookableSessions([planPackage]);
+        res.json(result);
+    } catch (error) {
+        console.error('Error al obtener paquete de sesiones por ID:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+// --- API de disponibilidad ---
+// Huecos libres para un plan entre dos fechas (públicos, para mostrar el calendario de reservas)
+app.get('/api/availability/slots', async (req, res) => {
+    try {
+        const { plan_id, from, to } = req.query;
+        const errors = [];
+        if (!plan_id) errors.push({ field: 'plan_id', message: 'es obligatorio' });
+        const dateErrors = ['from', 'to'].flatMap(field => {
+            const { errors: fieldErrors } = validateRecord('appointments', { appointment_date: req.query[field] }, { fields: ['appointment_date'] });
+            return fieldErrors.map(error => ({ field, message: error.message }));
+        });
+        errors.push(...dateErrors);
+        if (dateErrors.length === 0) {
+            if (from > to) {
+                errors.push({ field: 'to', message: 'debe ser igual o posterior a from' });
+            } else if (addDays(from, MAX_AVAILABILITY_RANGE_DAYS - 1) < to) {
+                errors.push({ field: 'to', message: `el rango no puede superar ${MAX_AVAILABILITY_RANGE_DAYS} días` });
+            }
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const context = await getSchedulingContext();
+        const plan = context.plans.find(p => String(p.id) === String(plan_id) && isNotDeleted(p));
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan nutricional no encontrado.' });
+        }
+
+        const duration = parseInt(plan.duration_minutes) || 0;
+        const days = listFreeSlots({ from, to, duration, step: SLOT_INTERVAL_MINUTES }, context);
+        res.json({ plan_id: plan.id, duration_minutes: duration, days });
+    } catch (error) {
+        console.error('Error al obtener huecos libres:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener la disponibilidad.' });
+    }
+});
+
+app.get('/api/availability/working-hours', async (req, res) => {
+    try {
+        const rules = await getWorkingHours();
+        res.json(rules.map(({ weekday, start_time, end_time }) => ({ weekday: Number(weekday), start_time, end_time })));
+    } catch (error) {
+        console.error('Error al obtener el horario de atención:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener el horario de atención.' });
+    }
+});
+
+// Sustituye el horario completo: { working_hours: [{ weekday, start_time, end_time }, ...] }
+app.put('/api/availability/working-hours', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const input = (req.body || {}).working_hours;
+        if (!Array.isArray(input)) {
+            return sendValidationErrors(res, [{ field: 'working_hours', message: 'debe ser una lista de tramos' }]);
+        }
+
+        const rules = [];
+        const errors = [];
+        input.forEach((rule, index) => {
+            const prefix = `working_hours[${index}].`;
+            const { value, errors: ruleErrors } = validateRecord('working_hours', rule, { prefix });
+            if (ruleErrors.length === 0 && toMinutes(value.start_time) >= toMinutes(value.end_time)) {
+                ruleErrors.push({ field: `${prefix}end_time`, message: 'debe ser posterior a start_time' });
+            }
+            errors.push(...ruleErrors);
+            rules.push(value);
+        });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const existing = rowsToObjects(await getSheetData('working_hours'));
+        await deleteRowsByIds('working_hours', existing.map(rule => rule.id));
+        await createRecords('working_hours', rules);
+        res.json({ message: 'Horario de atención actualizado con éxito.', working_hours: rules });
+    } catch (error) {
+        console.error('Error al actualizar el horario de atención:', error);
+        res.status(500).json({ error: 'Error interno del servidor al actualizar el horario de atención.' });
+    }
+});
+
+app.get('/api/availability/blocked-periods', authenticateToken, authorizeRoles('admin', 'nutritionist'), async (req, res) => {
+    try {
+        res.json(rowsToObjects(await getSheetData('blocked_periods')));
+    } catch (error) {
+        console.error('Error al obtener periodos bloqueados:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener periodos bloqueados.' });
+    }
+});
+
+app.post('/api/availability/blocked-periods', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { value: periodFields, errors } = validateRecord('blocked_periods', req.body);
+        if (errors.length === 0 && periodFields.start_at >= periodFields.end_at) {
+            errors.push({ field: 'end_at', message: 'debe ser posterior a start_at' });
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const period = await createRecord('blocked_periods', periodFields);
+        res.status(201).json({ message: 'Periodo bloqueado con éxito.', blocked_period: period });
+    } catch (error) {
+        console.error('Error al bloquear periodo:', error);
+        res.status(500).json({ error: 'Error interno del servidor al bloquear periodo.' });
+    }
+});
+
+app.delete('/api/availability/blocked-periods/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const periods = rowsToObjects(await getSheetData('blocked_periods'));
+        if (!periods.some(p => String(p.id) === String(id))) {
+            return res.status(404).json({ error: 'Periodo bloqueado no encontrado.' });
+        }
+        await deleteRowById('blocked_periods', id);
+        res.json({ message: 'Periodo desbloqueado con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar periodo bloqueado:', error);
+        res.status(500).json({ error: 'Error interno del servidor al eliminar periodo bloqueado.' });
+    }
+});
+
+// --- API para `appointments` ---
+// Los usuarios autenticados pueden reservar citas. Los administradores pueden ver todas o las de un usuario específico.
+// Con `recurrence: { frequency: 'weekly' | 'biweekly', count }` se reserva una serie completa;
+// si alguna sesión no está disponible no se reserva ninguna.
+// Con `package_id` la cita descuenta de un paquete de sesiones del cliente.
+app.post('/api/appointments', authenticateToken, async (req, res) => {
+    try {
+        const user_id = req.user.id; // El ID del usuario viene del token JWT
+        const body = req.body || {};
+        const { value, errors } = validateRecord('appointments', body, { fields: ['plan_id', 'appointment_date', 'appointment_time', 'notes', 'package_id'] });
+        let recurrence = null;
+        if (body.recurrence !== undefined) {
+            const result = validateRecurrence(body.recurrence);
+            recurrence = result.value;
+            errors.push(...result.errors);
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const { plan_id, appointment_date, appointment_time, notes, package_id } = value;
+
+        const plans = await getActiveObjects('nutrition_plans');
+        const plan = plans.find(p => String(p.id) === String(plan_id));
+        if (!plan) {
+            return sendValidationErrors(res, [{ field: 'plan_id', message: 'el plan indicado no existe' }]);
+        }
+
+        let planPackage = null;
+        if (package_id) {
+            planPackage = (await getActiveObjects('plan_packages')).find(p => String(p.id) === String(package_id));
+            if (!planPackage || String(planPackage.user_id) !== String(user_id)) {
+                return sendValidationErrors(res, [{ field: 'package_id', message: 'el paquete indicado no existe' }]);
+            }
+            if (String(planPackage.plan_id) !== String(plan_id)) {
+                return sendValidationErrors(res, [{ field: 'package_id', message: 'el paquete no corresponde al plan indicado' }]);
+            }
+        }
+
+        const dates = recurrence ? getSeriesDates(appointment_date, recurrence) : [appointment_date];
+        const duration = parseInt(plan.duration_minutes) || 0;
+
+        await runBookingExclusive(async () => {
+            const context = await getSchedulingContext();
+
+            if (planPackage && getBookableSessions(planPackage, context.appointments) < dates.length) {
+                return res.status(409).json({ error: 'No quedan sesiones suficientes en el paquete.' });
+            }
+
+            const slotErrors = dates
+                .map(date => ({ date, slotError: checkSlot({ date, time: appointment_time, duration }, context) }))
+                .filter(({ slotError }) => slotError);
+            if (!recurrence && slotErrors.length > 0) {
+                return sendSlotError(res, slotErrors[0].slotError);
+            }
+            if (slotErrors.length > 0) {
+                return res.status(slotErrors.some(({ slotError }) => slotError.code === 'conflict') ? 409 : 400).json({
+                    error: 'Algunas sesiones de la serie no están disponibles.',
+                    details: slotErrors.map(({ date, slotError }) => ({ field: 'appointment_date', date, message: slotError.message })),
+                });
+            }
+
+            const series_id = recurrence ? uuidv4() : '';
+            const created = await createRecords('appointments', dates.map(date => ({
+                user_id, plan_id, appointment_date: date, appointment_time, status: 'pending', notes, series_id, package_id,
+            })));
+            for (const appointment of created) {
+                await recordAppointmentStatus(appointment.id, '', 'pending', req.user);
+            }
+
+            const user = (await getActiveObjects('users')).find(u => String(u.id) === String(user_id));
+            if (user) {
+                await notify([{
+                    user_id,
+                    type: 'appointment_booked',
+                    reference_id: series_id || created[0].id,
+                    dedupe_key: `appointment_booked:${series_id || created[0].id}`,
+                    ...notificationTemplates.appointmentBooked({ user, appointments: created, plan }),
+                }]);
+            }
+
+            const summaries = created.map(({ id, appointment_date: date }) => ({ id, user_id, plan_id, appointment_date: date, appointment_time, package_id }));
+            if (!recurrence) {
+                return res.status(201).json({ message: 'Cita reservada con éxito', appointment: summaries[0] });
+            }
+            res.status(201).json({ message: 'Serie de citas reservada con éxito', series_id, appointments: summaries });
+        });
+    } catch (error) {
+        console.error('Error al reservar cita:', error);
+        res.status(500).json({ error: 'Error interno del servidor al reservar cita.' });
+    }
+});
+
+// Obtener citas (clientes ven las suyas, nutricionistas las de sus clientes, administradores todas)
+app.get('/api/appointments', authenticateToken, async (req, res) => {
+    try {
+        const { value: listQuery, errors } = parseListQuery('appointments', req.query, LIST_OPTIONS.appointments);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        // Cada rol solo ve sus citas (o las de sus clientes); el filtro user_id actúa dentro de ese conjunto
+        res.json(applyListQuery(await getVisibleAppointments(req.user), listQuery));
+    } catch (error) {
+        console.error('Error al obtener citas:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener citas.' });
+    }
+});
+
+// Obtener una cita específica (clientes solo las suyas, nutricionistas las de sus clientes, administradores cualquiera)
+app.get('/api/appointments/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const appointment = (await getActiveObjects('appointments')).find(a => String(a.id) === String(id));
+
+        if (!appointment) {
+            return res.status(404).json({ error: 'Cita no encontrada.' });
+        }
+
+        if (!(await canAccessClient(req.user, appointment.user_id))) {
+            return res.status(403).json({ error: 'No tienes permiso para ver esta cita.' });
+        }
+
+        res.json(appointment);
+    } catch (error) {
+        console.error('Error al obtener cita por ID:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+// Actualizar una cita (clientes solo sus propias citas, nutricionistas las de sus clientes, administradores cualquiera)
+// El estado no se cambia aquí, sino con /confirm, /cancel, /complete y /no-show
+app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        if ((req.body || {}).status !== undefined) {
+            return sendValidationErrors(res, [{ field: 'status', message: 'usa /confirm, /cancel, /complete o /no-show para cambiar el estado' }]);
+        }
+        const { value: updatedFields, errors } = validateRecord('appointments', req.body, { fields: ['plan_id', 'appointment_date', 'appointment_time', 'notes'], partial: true });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const appointmentToUpdate = (await getActiveObjects('appointments')).find(a => String(a.id) === String(id));
+
+        if (!appointmentToUpdate) {
+            return res.status(404).json({ error: 'Cita no encontrada.' });
+        }
+
+        if (!(await canAccessClient(req.user, appointmentToUpdate.user_id))) {
+            return res.status(403).json({ error: 'No tienes permiso para actualizar esta cita.' });
+        }
+        if (updatedFields.plan_id && !(await getActiveObjects('nutrition_plans')).some(p => String(p.id) === String(updatedFields.plan_id))) {
+            return sendValidationErrors(res, [{ field: 'plan_id', message: 'el plan indicado no existe' }]);
+        }
+
+        // Solo se comprueba la agenda si cambia el hueco (fecha, hora o plan)
+        const merged = { ...appointmentToUpdate, ...updatedFields };
+        const isRescheduling = ['plan_id', 'appointment_date', 'appointment_time']
+            .some(field => updatedFields[field] !== undefined && String(updatedFields[field]) !== String(appointmentToUpdate[field]));
+
+        if (updatedFields.plan_id && appointmentToUpdate.package_id && String(updatedFields.plan_id) !== String(appointmentToUpdate.plan_id)) {
+            return res.status(409).json({ error: 'No se puede cambiar el plan de una cita que descuenta de un paquete.' });
+        }
+
+        if (isRescheduling) {
+            if (!appointmentStatus.isOpen(appointmentToUpdate)) {
+                return res.status(409).json({ error: 'Solo se pueden reprogramar citas pendientes o confirmadas.' });
+            }
+            // Para el cliente, cambiar una cita con poca antelación equivale a cancelarla
+            if (req.user.role === 'client' && appointmentStatus.isWithinWindow(appointmentToUpdate, CANCELLATION_WINDOW_HOURS)) {
+                return res.status(409).json({ error: `Las citas solo se pueden cambiar con al menos ${CANCELLATION_WINDOW_HOURS} horas de antelación.` });
+            }
+        }
+
+        await runBookingExclusive(async () => {
+            if (isRescheduling) {
+                const context = await getSchedulingContext();
+                const plan = context.plans.find(p => String(p.id) === String(merged.plan_id));
+                const slotError = checkSlot({
+                    date: merged.appointment_date,
+                    time: merged.appointment_time,
+                    duration: plan ? parseInt(plan.duration_minutes) || 0 : 0,
+                    excludeAppointmentId: id,
+                }, context);
+                if (slotError) {
+                    return sendSlotError(res, slotError);
+                }
+            }
+
+            const { version } = await updateRowById('appointments', id, updatedFields, { expectedVersion: getExpectedVersion(req) });
+            res.json({ message: 'Cita actualizada con éxito.', version });
+        });
+    } catch (error) {
+        console.error('Error al actualizar cita:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar cita.' });
+    }
+});
+
+// Cambios de estado. Confirmar, completar y marcar como no presentada es cosa del
+// administrador o del nutricionista del cliente; cancelar también lo puede hacer el
+// propio cliente, respetando CANCELLATION_WINDOW_HOURS.
+app.post('/api/appointments/:id/confirm', authenticateToken, authorizeRoles('admin', 'nutritionist'), (req, res) =>
+    handleAppointmentStatusChange(req, res, 'confirmed'));
+app.post('/api/appointments/:id/cancel', authenticateToken, (req, res) =>
+    handleAppointmentStatusChange(req, res, 'cancelled'));
+app.post('/api/appointments/:id/complete', authenticateToken, authorizeRoles('admin', 'nutritionist'), (req, res) =>
+    handleAppointmentStatusChange(req, res, 'completed'));
+app.post('/api/appointments/:id/no-show', authenticateToken, authorizeRoles('admin', 'nutritionist'), (req, res) =>
+    handleAppointmentStatusChange(req, res, 'no_show'));
+
+// Descarga de una cita como fichero .ics
+app.get('/api/appointments/:id/ics', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const appointment = (await getActiveObjects('appointments')).find(a => String(a.id) === String(id));
+        if (!appointment) {
+            return res.status(404).json({ error: 'Cita no encontrada.' });
+        }
+        if (!(await canAccessClient(req.user, appointment.user_id))) {
+            return res.status(403).json({ error: 'No tienes permiso para ver esta cita.' });
+        }
+
+        const calendar = await buildAppointmentsCalendar('Cita', [appointment], req.user);
+        sendCalendar(res, calendar, `cita-${appointment.id}.ics`);
+    } catch (error) {
+        console.error('Error al generar el .ics de la cita:', error);
+        res.status(500).json({ error: 'Error interno del servidor al generar el calendario.' });
+    }
+});
+
+// Historial de estados de una cita, del más antiguo al más reciente
+app.get('/api/appointments/:id/history', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const appointment = (await getActiveObjects('appointments')).find(a => String(a.id) === String(id));
+        if (!appointment) {
+            return res.status(404).json({ error: 'Cita no encontrada.' });
+        }
+        if (!(await canAccessClient(req.user, appointment.user_id))) {
+            return res.status(403).json({ error: 'No tienes permiso para ver esta cita.' });
+        }
+
+        const history = rowsToObjects(await getSheetData('appointment_status_history'))
+            .filter(entry => String(entry.appointment_id) === String(id))
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+        res.json(history);
+    } catch (error) {
+        console.error('Error al obtener el historial de la cita:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener el historial de la cita.' });
+    }
+});
+
+// Eliminar una cita (solo administradores; clientes y nutricionistas la cancelan con /cancel)
+app.delete('/api/appointments/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const appointmentToDelete = (await getActiveObjects('appointments')).find(a => String(a.id) === String(id));
+
+        if (!appointmentToDelete) {
+            return res.status(404).json({ error: 'Cita no encontrada.' });
+        }
+
+        await softDeleteRowById('appointments', id);
+        res.json({ message: 'Cita eliminada con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar cita:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar cita.' });
+    }
+});
+
+
+// --- API del calendario iCal ---
+// Cada usuario puede suscribirse a sus citas desde su aplicación de calendario con una
+// URL secreta. Solo se guarda el hash del token, así que la URL se muestra una única vez;
+// generar una nueva invalida la anterior.
+app.post('/api/calendar/feed', authenticateToken, async (req, res) => {
+    try {
+        const existing = rowsToObjects(await getSheetData('calendar_feeds')).filter(f => String(f.user_id) === String(req.user.id));
+        await deleteRowsByIds('calendar_feeds', existing.map(f => f.id));
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await createRecord('calendar_feeds', { user_id: req.user.id, token_hash: hashToken(token) });
+
+        const baseUrl = (API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+        res.status(201).json({
+            message: 'Enlace del calendario generado con éxito. Guárdalo: no se volverá a mostrar.',
+            url: `${baseUrl}/api/calendar/${token}.ics`,
+        });
+    } catch (error) {
+        console.error('Error al generar el enlace del calendario:', error);
+        res.status(500).json({ error: 'Error interno del servidor al generar el enlace del calendario.' });
+    }
+});
+
+app.delete('/api/calendar/feed', authenticateToken, async (req, res) => {
+    try {
+        const existing = rowsToObjects(await getSheetData('calendar_feeds')).filter(f => String(f.user_id) === String(req.user.id));
+        await deleteRowsByIds('calendar_feeds', existing.map(f => f.id));
+        res.json({ message: 'Enlace del calendario desactivado con éxito.' });
+    } catch (error) {
+        console.error('Error al desactivar el enlace del calendario:', error);
+        res.status(500).json({ error: 'Error interno del servidor al desactivar el enlace del calendario.' });
+    }
+});
+
+// Feed público (la autenticación es el propio token de la URL). Incluye las citas
+// canceladas para que el calendario las marque como tales en lugar de dejarlas colgadas.
+app.get('/api/calendar/:token.ics', async (req, res) => {
+    try {
+        const feed = rowsToObjects(await getSheetData('calendar_feeds')).find(f => f.token_hash === hashToken(req.params.token));
+        const user = feed && (await getActiveObjects('users')).find(u => String(u.id) === String(feed.user_id));
+        if (!user) {
+            return res.status(404).json({ error: 'Calendario no encontrado.' });
+        }
+
+        const appointments = await getVisibleAppointments(user);
+        const calendar = await buildAppointmentsCalendar(`Citas de ${user.full_name || user.username}`, appointments, user);
+        sendCalendar(res, calendar);
+    } catch (error) {
+        console.error('Error al generar el calendario:', error);
+        res.status(500).json({ error: 'Error interno del servidor al generar el calendario.' });
+    }
+});
+
+
+// --- API para `orders` y `order_items` ---
+// Los pedidos se crean `pending_payment` (compra directa o desde el carrito) y pasan a
+// `paid` o `payment_failed` cuando la pasarela avisa del resultado. El resto del ciclo
+// de vida está en orders/lifecycle.js; cada cambio queda en `order_status_history`.
+
+// Los cambios de estado de un mismo pedido (avisos de pago, cancelación, entrega y
+// reembolsos) se aplican de uno en uno, para que un aviso repetido no descuente el stock
+// dos veces ni duplique el historial.
+const runOrderExclusive = createKeyedLock();
+
+// `actor` es el usuario que hace el cambio, o PAYMENT_PROVIDER_ACTOR cuando avisa la pasarela
+const PAYMENT_PROVIDER_ACTOR = { id: paymentProvider.name, role: 'payment_provider' };
+
+async function recordOrderStatus(orderId, fromStatus, toStatus, actor, reason = '') {
+    return createRecord('order_status_history', {
+        order_id: orderId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: actor.id,
+        changed_by_role: actor.role,
+        reason,
+    });
+}
+
+// Valida las líneas de un pedido o del carrito contra el catálogo y calcula el total.
+// Cada línea es { product_id, quantity } o { plan_id, quantity } (paquetes de sesiones
+// de un plan); `plans` solo hace falta si se admiten planes. `fieldPrefix` se usa en
+// los errores (p. ej. 'items').
+function buildOrderLines(items, { products, plans = [] }, fieldPrefix) {
+    const lines = [];
+    const errors = [];
+
+    items.forEach((item, index) => {
+        const prefix = `${fieldPrefix}[${index}].`;
+        const { value, errors: itemErrors } = validateRecord('order_items', item, { fields: ['product_id', 'plan_id', 'quantity'], prefix });
+        if (!value.product_id === !value.plan_id) {
+            itemErrors.push({ field: `${prefix}product_id`, message: 'indica product_id o plan_id (solo uno de los dos)' });
+        }
+        if (itemErrors.length > 0) {
+            errors.push(...itemErrors);
+            return;
+        }
+        if (value.plan_id) {
+            const plan = plans.find(p => String(p.id) === String(value.plan_id));
+            const unitPrice = plan && isActiveRecord(plan) ? toMinor(plan.price) : NaN;
+            if (isNaN(unitPrice)) {
+                errors.push({ field: `${prefix}plan_id`, message: `plan ${value.plan_id} no encontrado o inactivo` });
+                return;
+            }
+            // Los planes tributan al tipo general
+            lines.push({ plan_id: value.plan_id, category: '', quantity: value.quantity, unit_price_minor: unitPrice });
+            return;
+        }
+        const product = products.find(p => String(p.id) === String(value.product_id));
+        if (!product || !isActiveRecord(product)) {
+            errors.push({ field: `${prefix}product_id`, message: `producto ${value.product_id} no encontrado o inactivo` });
+            return;
+        }
+        const unitPrice = toMinor(product.price);
+        if (isNaN(unitPrice)) {
+            errors.push({ field: `${prefix}product_id`, message: `el producto ${value.product_id} no tiene un precio válido` });
+            return;
+        }
+        lines.push({ product_id: value.product_id, category: product.category, quantity: value.quantity, unit_price_minor: unitPrice });
+    });
+
+    return { lines, errors };
+}
+
+// Inicia el cobro de un pedido en la pasarela y guarda el payment_id en el pedido
+async function startPayment(order) {
+    const payment = await paymentProvider.createPayment({
+        order,
+        amount: toMinor(order.total_amount),
+        currency: order.currency || CURRENCY,
+        description: `Pedido ${order.id}`,
+    });
+    await updateRowById('orders', order.id, { status: 'pending_payment', payment_id: payment.payment_id });
+    return payment;
+}
+
+async function getTaxRates() {
+    return rowsToObjects(await getSheetData('tax_rates'));
+}
+
+// --- Stock ---
+// Comprobar y mover stock se hace de una en una para que dos pedidos simultáneos no
+// puedan llevarse las mismas unidades.
+const runStockExclusive = createLock();
+
+// Aplica una acción de planStockChanges a las líneas de un pedido
+async function moveStock(action, lines) {
+    const products = rowsToObjects(await getSheetData('products'));
+    for (const { id, fields } of planStockChanges(action, lines, products)) {
+        await updateRowById('products', id, fields);
+    }
+}
+
+// Acción de stock al pasar un pedido a `status`, según lo que ya se hizo con él
+// (las devoluciones de unidades pagadas van con los reembolsos)
+const STOCK_TRANSITIONS = {
+    reserved: { paid: 'commit', cancelled: 'release' },
+};
+
+// Ajusta el stock de un pedido que cambia a `status`. Es idempotente: `orders.stock_status`
+// recuerda si las unidades están reservadas, descontadas o ya liberadas.
+async function syncOrderStock(orderId, status) {
+    return runStockExclusive(async () => {
+        const order = rowsToObjects(await getSheetData('orders')).find(o => String(o.id) === String(orderId));
+        const action = order && (STOCK_TRANSITIONS[order.stock_status] || {})[status];
+        if (!action) return;
+
+        const lines = rowsToObjects(await getSheetData('order_items'))
+            .filter(item => String(item.order_id) === String(order.id) && cellToBoolean(item.stock_tracked));
+        await moveStock(action, lines);
+        await updateRowById('orders', order.id, { stock_status: action === 'commit' ? 'committed' : 'released' });
+    });
+}
+
+// Tarea programada: cancela los pedidos sin pagar que llevan más de STOCK_RESERVATION_TTL_MINUTES
+// sin cambios y liberan su reserva, para que los pedidos abandonados no agoten los productos.
+// Si el pago llega después, se devuelve como el de cualquier pedido cancelado.
+async function expireStaleReservations(now) {
+    const cutoff = now.getTime() - STOCK_RESERVATION_TTL_MINUTES * 60 * 1000;
+    const stale = (await getActiveObjects('orders')).filter(order =>
+        order.stock_status === 'reserved'
+        && UNPAID_ORDER_STATUSES.includes(order.status)
+        && Date.parse(order.updated_at || order.created_at) <= cutoff
+    );
+    let expired = 0;
+
+    for (const { id } of stale) {
+        try {
+            const cancelled = await runOrderExclusive(id, async () => {
+                const order = (await getActiveObjects('orders')).find(o => String(o.id) === String(id));
+                if (!order || !UNPAID_ORDER_STATUSES.includes(order.status)) return false; // Se pagó o canceló mientras tanto
+                await updateRowById('orders', order.id, { status: 'cancelled' }, { expectedVersion: order.version });
+                await recordOrderStatus(order.id, order.status, 'cancelled', SYSTEM_ACTOR, 'reserva de stock caducada');
+                await syncOrderStock(order.id, 'cancelled');
+                return true;
+            });
+            if (cancelled) expired++;
+        } catch (error) {
+            console.error(`Error al cancelar el pedido ${id} con la reserva caducada:`, error);
+        }
+    }
+    return { expired };
+}
+
+// --- Paquetes de sesiones vendidos en pedidos ---
+// Cada línea con plan_id da lugar a un paquete al cobrarse el pedido: las sesiones
+// incluidas en el plan por cada unidad comprada. Es idempotente: la línea guarda el
+// paquete que generó.
+async function grantPlanPackages(order) {
+    const plans = rowsToObjects(await getSheetData('nutrition_plans'));
+    const lines = rowsToObjects(await getSheetData('order_items'))
+        .filter(item => String(item.order_id) === String(order.id) && item.plan_id && !item.plan_package_id);
+    for (const line of lines) {
+        const plan = plans.find(p => String(p.id) === String(line.plan_id));
+        const sessions_total = (parseInt(plan && plan.sessions_included) || 1) * (parseInt(line.quantity) || 1);
+        const planPackage = await createRecord('plan_packages', {
+            user_id: order.user_id,
+            plan_id: line.plan_id,
+            sessions_total,
+            sessions_remaining: sessions_total,
+        });
+        await updateRowById('order_items', line.id, { plan_package_id: planPackage.id });
+    }
+}
+
+// Al reembolsar unidades de un paquete se retiran sus sesiones. Las ya consumidas no
+// se recuperan: el paquete se queda como mucho a cero.
+async function revokePlanSessions(refundLines) {
+    const planPackages = rowsToObjects(await getSheetData('plan_packages'));
+    for (const { item, quantity } of refundLines) {
+        const planPackage = planPackages.find(p => String(p.id) === String(item.plan_package_id));
+        if (!planPackage) continue;
+        const sessionsPerUnit = Math.floor((parseInt(planPackage.sessions_total) || 0) / (parseInt(item.quantity) || 1));
+        const remaining = Math.max((parseInt(planPackage.sessions_remaining) || 0) - sessionsPerUnit * quantity, 0);
+        await updateRowById('plan_packages', planPackage.id, { sessions_remaining: remaining });
+    }
+}
+
+// Nombre de una línea de pedido: el del producto o el del plan que compra
+function getOrderItemName(item, products, plans) {
+    const source = item.plan_id
+        ? plans.find(p => String(p.id) === String(item.plan_id))
+        : products.find(p => String(p.id) === String(item.product_id));
+    return (source && source.name) || item.plan_id || item.product_id;
+}
+
+// Crea el pedido pendiente de pago con sus líneas y lanza el cobro. Cada línea lleva el
+// descuento del cupón que le toque y el impuesto de su categoría (incluido en el precio).
+// Las unidades de los productos con stock quedan reservadas; si no hay suficientes,
+// devuelve { stockErrors } sin crear nada.
+async function placeOrder(user, lines, { coupon_code = '' } = {}) {
+    const taxRates = await getTaxRates();
+    const totals = computeTotals(lines.map(line => ({ ...line, tax_rate: findTaxRate(taxRates, line.category, DEFAULT_TAX_RATE) })));
+
+    const result = await runStockExclusive(async () => {
+        const products = await getActiveObjects('products');
+        const stockErrors = getStockErrors(lines.filter(line => line.product_id), products);
+        if (stockErrors.length > 0) {
+            return { stockErrors };
+        }
+        const isTracked = line => {
+            const product = products.find(p => String(p.id) === String(line.product_id));
+            return Boolean(product && getStockLevel(product).tracked);
+        };
+        const trackedLines = lines.filter(isTracked);
+
+        const order = await createRecord('orders', {
+            user_id: user.id,
+            total_amount: fromMinor(totals.total_minor),
+            status: 'pending_payment',
+            payment_id: '',
+            coupon_code,
+            discount_amount: fromMinor(totals.discount_minor),
+            currency: CURRENCY,
+            tax_amount: fromMinor(totals.tax_minor),
+            stock_status: trackedLines.length > 0 ? 'reserved' : '',
+        });
+
+        // Añadir items del pedido a la hoja 'order_items' (una sola llamada para todos)
+        await createRecords('order_items', totals.lines.map(line => ({
+            order_id: order.id,
+            product_id: line.product_id || '',
+            plan_id: line.plan_id || '',
+            quantity: line.quantity,
+            price_at_purchase: fromMinor(line.unit_price_minor),
+            discount_amount: fromMinor(line.discount_minor),
+            tax_rate: line.tax_rate,
+            tax_amount: fromMinor(line.tax_minor),
+            stock_tracked: isTracked(line),
+        })));
+        await moveStock('reserve', trackedLines);
+        return { order };
+    });
+    if (result.stockErrors) return result;
+    await recordOrderStatus(result.order.id, '', 'pending_payment', user);
+
+    const payment = await startPayment(result.order);
+    return { order: result.order, payment };
+}
+
+// Respuesta para un pedido que placeOrder (o el cupón) rechaza
+function sendOrderRejection(res, result) {
+    if (result.stockErrors) {
+        return res.status(409).json({ error: 'No hay stock suficiente para completar el pedido.', details: result.stockErrors });
+    }
+    return sendValidationErrors(res, result.errors);
+}
+
+// --- Facturas ---
+// Numeración correlativa por año (F2026-000001, F2026-000002...). Se asigna de una en
+// una para que dos pagos simultáneos no reciban el mismo número.
+const runInvoiceExclusive = createLock();
+
+async function assignInvoiceNumber(orderId) {
+    return runInvoiceExclusive(async () => {
+        const orders = rowsToObjects(await getSheetData('orders'));
+        const order = orders.find(o => String(o.id) === String(orderId));
+        if (order.invoice_number) return order;
+
+        const invoicedAt = new Date();
+        const prefix = `${INVOICE_PREFIX}${invoicedAt.getFullYear()}-`;
+        const lastSequence = orders
+            .filter(o => o.invoice_number && o.invoice_number.startsWith(prefix))
+            .reduce((max, o) => Math.max(max, parseInt(o.invoice_number.slice(prefix.length)) || 0), 0);
+        const fields = { invoice_number: `${prefix}${String(lastSequence + 1).padStart(6, '0')}`, invoiced_at: invoicedAt.toISOString() };
+
+        await updateRowById('orders', order.id, fields);
+        return { ...order, ...fields };
+    });
+}
+
+// Líneas del pedido con el impuesto resuelto. Los pedidos anteriores a los impuestos
+// no lo tienen guardado: se calcula con el tipo vigente para la categoría del producto.
+async function getInvoiceItems(orderId, products) {
+    const taxRates = await getTaxRates();
+    const plans = rowsToObjects(await getSheetData('nutrition_plans'));
+    return rowsToObjects(await getSheetData('order_items'))
+        .filter(item => String(item.order_id) === String(orderId))
+        .map(item => ({ ...item, name: getOrderItemName(item, products, plans) }))
+        .map(item => {
+            if (item.tax_rate !== undefined && item.tax_rate !== '') return item;
+            const product = products.find(p => String(p.id) === String(item.product_id));
+            const taxRate = findTaxRate(taxRates, product && product.category, DEFAULT_TAX_RATE);
+            const total = toMinor(item.price_at_purchase) * (parseInt(item.quantity) || 0) - (toMinor(item.discount_amount) || 0);
+            return { ...item, tax_rate: taxRate, tax_amount: fromMinor(includedTax(total, taxRate)) };
+        });
+}
+
+// --- Cupones ---
+// Los usos se cuentan a partir de los pedidos cobrados que llevan el código: los pedidos
+// sin pagar, cancelados o borrados no gastan usos. Los pedidos con cupón se crean de uno en uno.
+const runCouponExclusive = createLock();
+
+// Comprueba el cupón para `userId` y calcula el descuento sobre `lines`.
+// Devuelve { coupon, lines, discount_minor } o { error }.
+async function evaluateCoupon(couponCode, userId, lines) {
+    const code = normalizeCode(couponCode);
+    const coupon = (await getActiveObjects('coupons')).find(c => normalizeCode(c.code) === code);
+    const uses = (await getActiveObjects('orders')).filter(o => o.coupon_code === code && PAID_ORDER_STATUSES.includes(o.status));
+    const couponError = getCouponError(coupon, {
+        usesTotal: uses.length,
+        usesByUser: uses.filter(o => String(o.user_id) === String(userId)).length,
+    });
+    if (couponError) return { error: couponError };
+
+    const products = rowsToObjects(await getSheetData('products'));
+    const applied = applyCoupon(coupon, lines, products);
+    if (applied.error) return { error: applied.error };
+    return { coupon, ...applied };
+}
+
+// Igual que placeOrder, pero aplicando antes el cupón si se indica.
+// Devuelve { order, payment } o { errors } si el cupón no es válido.
+async function placeOrderWithCoupon(user, lines, couponCode) {
+    if (!couponCode) return placeOrder(user, lines);
+    return runCouponExclusive(async () => {
+        const result = await evaluateCoupon(couponCode, user.id, lines);
+        if (result.error) {
+            return { errors: [{ field: 'coupon_code', message: result.error }] };
+        }
+        return placeOrder(user, result.lines, { coupon_code: normalizeCode(result.coupon.code) });
+    });
+}
+
+// Compra directa, sin pasar por el carrito (admite `coupon_code`). El pedido queda
+// `pending_payment` hasta que la pasarela avise del resultado en /api/payments/webhook.
+app.post('/api/orders', authenticateToken, async (req, res) => {
+    try {
+        const { items, coupon_code } = req.body || {}; // items: [{ product_id, quantity } | { plan_id, quantity }]
+        if (!Array.isArray(items) || items.length === 0) {
+            return sendValidationErrors(res, [{ field: 'items', message: 'el pedido debe contener al menos un producto o plan' }]);
+        }
+
+        const { lines, errors } = buildOrderLines(items, {
+            products: await getActiveObjects('products'),
+            plans: await getActiveObjects('nutrition_plans'),
+        }, 'items');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const result = await placeOrderWithCoupon(req.user, lines, coupon_code);
+        if (result.errors || result.stockErrors) {
+            return sendOrderRejection(res, result);
+        }
+        const { order, payment } = result;
+        res.status(201).json({
+            message: 'Pedido creado. Completa el pago para confirmarlo.',
+            order: { id: order.id, totalAmount: order.total_amount, discount: order.discount_amount, coupon_code: order.coupon_code, status: 'pending_payment' },
+            payment,
+        });
+    } catch (error) {
+        console.error('Error al realizar pedido:', error);
+        res.status(500).json({ error: 'Error interno del servidor al realizar el pedido.' });
+    }
+});
+
+// Reintenta el pago de un pedido propio que sigue pendiente o cuyo pago falló
+app.post('/api/orders/:id/pay', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        await runOrderExclusive(id, async () => {
+            const order = (await getActiveObjects('orders')).find(o => String(o.id) === String(id));
+            if (!order || String(order.user_id) !== String(req.user.id)) {
+                return res.status(404).json({ error: 'Pedido no encontrado.' });
+            }
+            if (!UNPAID_ORDER_STATUSES.includes(order.status)) {
+                return res.status(409).json({ error: 'Este pedido no está pendiente de pago.' });
+            }
+
+            const payment = await startPayment(order);
+            if (order.status !== 'pending_payment') {
+                await recordOrderStatus(order.id, order.status, 'pending_payment', req.user, 'reintento de pago');
+            }
+            res.json({ message: 'Pago iniciado. Complétalo en la pasarela.', payment });
+        });
+    } catch (error) {
+        console.error('Error al iniciar el pago del pedido:', error);
+        res.status(500).json({ error: 'Error interno del servidor al iniciar el pago.' });
+    }
+});
+
+// Obtener pedidos (clientes solo los suyos, administradores todos o por usuario)
+app.get('/api/orders', authenticateToken, async (req, res) => {
+    try {
+        const { value: listQuery, errors } = parseListQuery('orders', req.query, LIST_OPTIONS.orders);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        let ordersAsObjects = await getActiveObjects('orders');
+        if (req.user.role !== 'admin') {
+            ordersAsObjects = ordersAsObjects.filter(o => String(o.user_id) === String(req.user.id));
+        }
+
+        // Adjunta los items solo a los pedidos de la página
+        const orderItems = rowsToObjects(await getSheetData('order_items'));
+        res.json(applyListQuery(ordersAsObjects, listQuery, order => ({
+            ...order,
+            items: orderItems.filter(item => String(item.order_id) === String(order.id)),
+        })));
+    } catch (error) {
+        console.error('Error al obtener pedidos:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener pedidos.' });
+    }
+});
+
+app.get('/api/orders/:id', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const order = (await getActiveObjects('orders')).find(o => String(o.id) === String(id));
+
+        if (!order) {
+            return res.status(404).json({ error: 'Pedido no encontrado.' });
+        }
+
+        if (req.user.role !== 'admin' && String(order.user_id) !== String(req.user.id)) {
+            return res.status(403).json({ error: 'No tienes permiso para ver este pedido.' });
+        }
+
+        // Obtener y adjuntar los items del pedido
+        const orderItems = rowsToObjects(await getSheetData('order_items'));
+        order.items = orderItems.filter(item => String(item.order_id) === String(order.id));
+
+        res.json(order);
+    } catch (error) {
+        console.error('Error al obtener pedido por ID:', error);
+        res.status(500).json({ error: 'Error interno del servidor.' });
+    }
+});
+
+// Factura de un pedido pagado: ?format=pdf (por defecto) o ?format=html
+app.get('/api/orders/:id/invoice', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const format = req.query.format || 'pdf';
+        if (!['pdf', 'html'].includes(format)) {
+            return sendValidationErrors(res, [{ field: 'format', message: 'debe ser uno de: pdf, html' }]);
+        }
+
+        let order = (await getActiveObjects('orders')).find(o => String(o.id) === String(id));
+        if (!order) {
+            return res.status(404).json({ error: 'Pedido no encontrado.' });
+        }
+        if (req.user.role !== 'admin' && String(order.user_id) !== String(req.user.id)) {
+            return res.status(403).json({ error: 'No tienes permiso para ver este pedido.' });
+        }
+        // Los pedidos reembolsados conservan la factura que ya tuvieran
+        if (!order.invoice_number && !PAID_ORDER_STATUSES.includes(order.status)) {
+            return res.status(409).json({ error: 'Solo se emiten facturas de pedidos pagados.' });
+        }
+        // Los pedidos completados antes de la facturación reciben su número al pedirla
+        if (!order.invoice_number) {
+            order = await assignInvoiceNumber(order.id);
+        }
+
+        const products = rowsToObjects(await getSheetData('products'));
+        const customer = rowsToObjects(await getSheetData('users')).find(u => String(u.id) === String(order.user_id)) || { username: order.user_id };
+        const invoice = buildInvoice({
+            order,
+            items: await getInvoiceItems(order.id, products),
+            products,
+            customer,
+            issuer: INVOICE_ISSUER,
+        });
+
+        if (format === 'html') {
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            return res.send(renderInvoiceHtml(invoice));
+        }
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="factura-${invoice.number}.pdf"`);
+        res.send(renderInvoicePdf(invoice));
+    } catch (error) {
+        console.error('Error al generar la factura:', error);
+        res.status(500).json({ error: 'Error interno del servidor al generar la factura.' });
+    }
+});
+
+// Solo administradores pueden editar los pedidos (el estado cambia con /fulfill, /cancel y /refunds) o eliminarlos
+app.put('/api/orders/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if ((req.body || {}).status !== undefined) {
+            return sendValidationErrors(res, [{ field: 'status', message: 'usa /fulfill, /cancel o /refunds para cambiar el estado' }]);
+        }
+        const { value: updatedFields, errors } = validateRecord('orders', req.body, { fields: ['payment_id'], partial: true });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const { version } = await updateRowById('orders', id, updatedFields, { expectedVersion: getExpectedVersion(req) });
+        res.json({ message: 'Pedido actualizado con éxito.', version });
+    } catch (error) {
+        console.error('Error al actualizar pedido:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar pedido.' });
+    }
+});
+
+app.delete('/api/orders/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        // El pedido va a la papelera con sus items intactos; se borran definitivamente al vaciarla.
+        await softDeleteRowById('orders', id);
+        res.json({ message: 'Pedido enviado a la papelera con éxito.' });
+    } catch (error) {
+        console.error('Error al eliminar pedido:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar pedido.' });
+    }
+});
+
+// Pedido visible para el usuario (el propio cliente o un administrador), o undefined
+async function findAccessibleOrder(user, id) {
+    const order = (await getActiveObjects('orders')).find(o => String(o.id) === String(id));
+    if (!order || (user.role !== 'admin' && String(order.user_id) !== String(user.id))) return undefined;
+    return order;
+}
+
+function validateOrderReason(body) {
+    return validateRecord('order_status_history', body, { fields: ['reason'], partial: true });
+}
+
+// Marca como entregado un pedido pagado (solo administradores)
+app.post('/api/orders/:id/fulfill', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const users = await getSheetData('users');
-        const user = rowsToObjects(users).find(u => String(u.id) === String(req.user.id));
-        if (!user) {
-            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        const { value: { reason = '' }, errors } = validateOrderReason(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
-        // Quita el hash de contraseña
-        const { password_hash, ...safeUser } = user;
-        res.json(safeUser);
+        await runOrderExclusive(req.params.id, async () => {
+            const order = await findAccessibleOrder(req.user, req.params.id);
+            if (!order) {
+                return res.status(404).json({ error: 'Pedido no encontrado.' });
+            }
+            if (!orderLifecycle.canTransition(order.status, 'fulfilled')) {
+                return res.status(409).json({ error: `No se puede marcar como entregado un pedido en estado '${order.status}'.` });
+            }
+
+            const { version } = await updateRowById('orders', order.id, { status: 'fulfilled' }, { expectedVersion: getExpectedVersion(req) });
+            await recordOrderStatus(order.id, order.status, 'fulfilled', req.user, reason);
+            res.json({ message: 'Pedido marcado como entregado.', status: 'fulfilled', version });
+        });
     } catch (error) {
-        console.error('Error al obtener perfil del usuario:', error);
-        res.status(500).json({ error: 'Error interno del servidor.' });
+        console.error('Error al marcar el pedido como entregado:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Error interno del servidor al actualizar el pedido.' });
     }
 });
 
-// Solo administradores o el propio usuario pueden actualizar su perfil
-app.put('/api/users/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => { // Puedes añadir `|| String(req.user.id) === String(req.params.id)`
-    // Lógica para permitir al propio usuario actualizar su perfil:
-    // if (req.user.role !== 'admin' && String(req.user.id) !== String(req.params.id)) {
-    //     return res.status(403).json({ error: 'No tienes permisos para actualizar este usuario.' });
-    // }
+// Cancela un pedido sin pagar (el cliente los suyos, un administrador cualquiera) y libera su stock.
+// Los pedidos ya pagados no se cancelan: se reembolsan.
+app.post('/api/orders/:id/cancel', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { username, email, full_name, role } = req.body;
-        const updatedFields = { username, email, full_name, role };
-
-        Object.keys(updatedFields).forEach(key => updatedFields[key] === undefined && delete updatedFields[key]);
+        const { value: { reason = '' }, errors } = validateOrderReason(req.body);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        await runOrderExclusive(req.params.id, async () => {
+            const order = await findAccessibleOrder(req.user, req.params.id);
+            if (!order) {
+                return res.status(404).json({ error: 'Pedido no encontrado.' });
+            }
+            if (!orderLifecycle.canTransition(order.status, 'cancelled')) {
+                return res.status(409).json({ error: 'Solo se pueden cancelar pedidos pendientes de pago. Los pedidos pagados se reembolsan.' });
+            }
 
-        await updateRowById('users', id, updatedFields);
-        res.json({ message: 'Usuario actualizado con éxito.' });
+            const { version } = await updateRowById('orders', order.id, { status: 'cancelled' }, { expectedVersion: getExpectedVersion(req) });
+            await recordOrderStatus(order.id, order.status, 'cancelled', req.user, reason);
+            await syncOrderStock(order.id, 'cancelled');
+            res.json({ message: 'Pedido cancelado con éxito.', status: 'cancelled', version });
+        });
     } catch (error) {
-        console.error('Error al actualizar usuario:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al actualizar usuario.' });
+        console.error('Error al cancelar el pedido:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Error interno del servidor al cancelar el pedido.' });
     }
 });
 
-// Solo administradores pueden eliminar usuarios
-app.delete('/api/users/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+app.get('/api/orders/:id/history', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        await deleteRowById('users', id);
-        res.json({ message: 'Usuario eliminado con éxito.' });
+        const order = await findAccessibleOrder(req.user, req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: 'Pedido no encontrado.' });
+        }
+
+        const history = rowsToObjects(await getSheetData('order_status_history'))
+            .filter(entry => String(entry.order_id) === String(order.id))
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+        res.json(history);
     } catch (error) {
-        console.error('Error al eliminar usuario:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar usuario.' });
+        console.error('Error al obtener el historial del pedido:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener el historial del pedido.' });
     }
 });
 
+// --- Reembolsos ---
+// Van con runOrderExclusive para que dos peticiones no devuelvan dos veces las mismas unidades.
 
-// --- API para `products` (Protegidas para Creación/Actualización/Eliminación) ---
-// Cualquiera puede ver los productos
-app.get('/api/products', async (req, res) => {
-    try {
-        const products = await getSheetData('products');
-        res.json(rowsToObjects(products));
-    } catch (error) {
-        console.error('Error al obtener productos:', error);
-        res.status(500).json({ error: 'Error interno del servidor al obtener productos.' });
+// Devuelve en la pasarela el importe de `refund` (ver planRefund) y lo anota en
+// `order_refunds` y en las líneas del pedido. Devuelve el refund_id que agrupa las filas.
+async function executeRefund(order, refund, { reason = '', restockLines = [], actor }) {
+    const { refund_id: providerRefundId } = await paymentProvider.refundPayment({
+        payment_id: order.payment_id,
+        amount: refund.amount_minor,
+        currency: order.currency || CURRENCY,
+    });
+    const refundId = uuidv4();
+    await createRecords('order_refunds', refund.lines.map(line => ({
+        refund_id: refundId,
+        order_id: order.id,
+        order_item_id: line.item.id,
+        quantity: line.quantity,
+        amount: fromMinor(line.amount_minor),
+        reason,
+        provider_refund_id: providerRefundId,
+        restocked: restockLines.includes(line),
+        created_by: actor.id,
+    })));
+    for (const line of refund.lines) {
+        await updateRowById('order_items', line.item.id, {
+            refunded_quantity: (parseInt(line.item.refunded_quantity) || 0) + line.quantity,
+            refunded_amount: fromMinor((toMinor(line.item.refunded_amount) || 0) + line.amount_minor),
+        });
     }
-});
-app.get('/api/products/:id', async (req, res) => {
+    return refundId;
+}
+
+// Un pago que llega con el pedido ya cancelado (el cliente canceló mientras pagaba) se
+// devuelve entero en la pasarela. El pedido sigue cancelado; si el aviso se repite ya no
+// queda nada por devolver.
+async function refundCancelledOrderPayment(order) {
+    const items = rowsToObjects(await getSheetData('order_items')).filter(item => String(item.order_id) === String(order.id));
+    const refund = orderLifecycle.planRefund(items);
+    if (refund.errors.length > 0) return;
+    await executeRefund(order, refund, { reason: 'pago recibido para un pedido cancelado', actor: PAYMENT_PROVIDER_ACTOR });
+}
+app.get('/api/orders/:id/refunds', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        const products = await getSheetData('products');
-        const product = rowsToObjects(products).find(p => String(p.id) === String(id));
-        if (!product) {
-            return res.status(404).json({ error: 'Producto no encontrado.' });
+        const order = await findAccessibleOrder(req.user, req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: 'Pedido no encontrado.' });
         }
-        res.json(product);
+
+        const rows = rowsToObjects(await getSheetData('order_refunds')).filter(r => String(r.order_id) === String(order.id));
+        const refunds = [...new Set(rows.map(r => r.refund_id))].map(refundId => {
+            const lines = rows.filter(r => r.refund_id === refundId);
+            return {
+                refund_id: refundId,
+                amount: fromMinor(lines.reduce((sum, line) => sum + toMinor(line.amount), 0)),
+                reason: lines[0].reason,
+                provider_refund_id: lines[0].provider_refund_id,
+                created_by: lines[0].created_by,
+                created_at: lines[0].created_at,
+                items: lines.map(({ order_item_id, quantity, amount, restocked }) => ({ order_item_id, quantity: Number(quantity), amount, restocked: cellToBoolean(restocked) })),
+            };
+        }).sort((a, b) => a.created_at.localeCompare(b.created_at));
+        res.json(refunds);
     } catch (error) {
-        console.error('Error al obtener producto por ID:', error);
-        res.status(500).json({ error: 'Error interno del servidor.' });
+        console.error('Error al obtener los reembolsos del pedido:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener los reembolsos del pedido.' });
     }
 });
 
-// Solo administradores pueden añadir/actualizar/eliminar productos
-app.post('/api/products', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+// Reembolsa un pedido cobrado (solo administradores). Cuerpo: { items, reason, restock }
+//   items    [{ order_item_id, quantity }] (obligatorio): las unidades de cada línea a reembolsar
+//   restock  true para devolver al stock las unidades reembolsadas (productos con stock)
+app.post('/api/orders/:id/refunds', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const { name, description, price, file_url, category, image_url, is_active = true } = req.body;
-        if (!name || !price) {
-            return res.status(400).json({ error: 'Faltan campos obligatorios: name, price.' });
+        const body = req.body || {};
+        const { value: { reason = '' }, errors } = validateRecord('order_refunds', body, { fields: ['reason'], partial: true });
+        let requested = [];
+        if (!Array.isArray(body.items) || body.items.length === 0) {
+            errors.push({ field: 'items', message: 'debe ser una lista con al menos una línea' });
+        } else {
+            requested = body.items.map((entry, index) => {
+                const { value, errors: itemErrors } = validateRecord('order_refunds', entry, { fields: ['order_item_id', 'quantity'], prefix: `items[${index}].` });
+                errors.push(...itemErrors);
+                return value;
+            });
+        }
+        const restock = body.restock === undefined ? { value: false } : coerce({ type: 'boolean' }, body.restock);
+        if (restock.error) {
+            errors.push({ field: 'restock', message: restock.error });
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
 
-        const products = await getSheetData('products');
-        const productsAsObjects = rowsToObjects(products);
+        const result = await runOrderExclusive(req.params.id, async () => {
+            const order = await findAccessibleOrder(req.user, req.params.id);
+            if (!order) {
+                return { status: 404, error: 'Pedido no encontrado.' };
+            }
+            if (!orderLifecycle.canTransition(order.status, 'refunded')) {
+                return { status: 409, error: `No se puede reembolsar un pedido en estado '${order.status}'.` };
+            }
 
-        if (productsAsObjects.some(p => p.name === name)) {
-            return res.status(409).json({ error: 'Ya existe un producto con este nombre.' });
-        }
+            const items = rowsToObjects(await getSheetData('order_items')).filter(item => String(item.order_id) === String(order.id));
+            const refund = orderLifecycle.planRefund(items, requested);
+            if (refund.errors.length > 0) {
+                return { status: 400, errors: refund.errors };
+            }
 
-        const newId = productsAsObjects.length > 0 ? Math.max(...productsAsObjects.map(p => parseInt(p.id) || 0)) + 1 : 1;
-
-        const newProductData = [
-            newId,
-            name,
-            description || '',
-            parseFloat(price),
-            file_url || '',
-            category || '',
-            image_url || '',
-            is_active,
-            new Date().toISOString()
-        ];
-        await appendRow('products', newProductData);
-        res.status(201).json({ message: 'Producto añadido con éxito', product: { id: newId, name } });
+            const restockLines = restock.value ? refund.lines.filter(line => cellToBoolean(line.item.stock_tracked)) : [];
+            const refundId = await executeRefund(order, refund, { reason, restockLines, actor: req.user });
+
+            const newStatus = refund.fully_refunded ? 'refunded' : 'partially_refunded';
+            await updateRowById('orders', order.id, { status: newStatus });
+            await recordOrderStatus(order.id, order.status, newStatus, req.user, reason);
+            await revokePlanSessions(refund.lines.filter(line => line.item.plan_package_id));
+            if (restockLines.length > 0) {
+                await runStockExclusive(() => moveStock('restock', restockLines.map(line => ({ product_id: line.item.product_id, quantity: line.quantity }))));
+            }
+            return { refund_id: refundId, amount: fromMinor(refund.amount_minor), status: newStatus };
+        });
+
+        if (result.errors) {
+            return sendValidationErrors(res, result.errors);
+        }
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(201).json({ message: 'Reembolso realizado con éxito.', ...result });
     } catch (error) {
-        console.error('Error al añadir producto:', error);
-        res.status(500).json({ error: 'Error interno del servidor al añadir producto.' });
+        console.error('Error al reembolsar el pedido:', error);
+        res.status(500).json({ error: 'Error interno del servidor al reembolsar el pedido.' });
     }
 });
-app.put('/api/products/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { name, description, price, file_url, category, image_url, is_active } = req.body;
-        const updatedFields = { name, description, price: price ? parseFloat(price) : undefined, file_url, category, image_url, is_active };
 
-        Object.keys(updatedFields).forEach(key => updatedFields[key] === undefined && delete updatedFields[key]);
-
-        await updateRowById('products', id, updatedFields);
-        res.json({ message: 'Producto actualizado con éxito.' });
+// --- API de impuestos (solo administradores) ---
+app.get('/api/tax-rates', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const rates = await getTaxRates();
+        res.json({
+            default_rate: findTaxRate(rates, '', DEFAULT_TAX_RATE),
+            tax_rates: rates.map(({ category, rate }) => ({ category, rate: Number(rate) })),
+        });
     } catch (error) {
-        console.error('Error al actualizar producto:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al actualizar producto.' });
+        console.error('Error al obtener los tipos impositivos:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener los tipos impositivos.' });
     }
 });
-app.delete('/api/products/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+
+// Sustituye todos los tipos: { tax_rates: [{ category, rate }, ...] }. Categoría vacía = tipo general.
+app.put('/api/tax-rates', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const { id } = req.params;
-        await deleteRowById('products', id);
-        res.json({ message: 'Producto eliminado con éxito.' });
+        const input = (req.body || {}).tax_rates;
+        if (!Array.isArray(input)) {
+            return sendValidationErrors(res, [{ field: 'tax_rates', message: 'debe ser una lista de tipos' }]);
+        }
+
+        const rates = [];
+        const errors = [];
+        const seen = new Set();
+        input.forEach((rule, index) => {
+            const prefix = `tax_rates[${index}].`;
+            const { value, errors: ruleErrors } = validateRecord('tax_rates', rule, { prefix });
+            const key = String(value.category || '').trim().toLowerCase();
+            if (ruleErrors.length === 0 && seen.has(key)) {
+                ruleErrors.push({ field: `${prefix}category`, message: 'categoría repetida' });
+            }
+            seen.add(key);
+            errors.push(...ruleErrors);
+            rates.push(value);
+        });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const existing = await getTaxRates();
+        await deleteRowsByIds('tax_rates', existing.map(rule => rule.id));
+        await createRecords('tax_rates', rates);
+        res.json({ message: 'Tipos impositivos actualizados con éxito.', tax_rates: rates });
     } catch (error) {
-        console.error('Error al eliminar producto:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar producto.' });
+        console.error('Error al actualizar los tipos impositivos:', error);
+        res.status(500).json({ error: 'Error interno del servidor al actualizar los tipos impositivos.' });
     }
 });
 
-// --- API para `nutrition_plans` (Protegidas para Creación/Actualización/Eliminación) ---
-// Cualquiera puede ver los planes
-app.get('/api/nutrition-plans', async (req, res) => {
+// --- API para `coupons` (solo administradores) ---
+// Comprobaciones que el esquema no puede expresar. `current` es el cupón actual al editar.
+async function validateCouponRules(fields, current = {}, excludeId) {
+    const errors = [];
+    const merged = { ...current, ...fields };
+    if (merged.discount_type === 'percentage' && Number(merged.discount_value) > 100) {
+        errors.push({ field: 'discount_value', message: 'un porcentaje no puede superar 100' });
+    }
+    if (merged.valid_from && merged.valid_until && new Date(merged.valid_from) >= new Date(merged.valid_until)) {
+        errors.push({ field: 'valid_until', message: 'debe ser posterior a valid_from' });
+    }
+    if (fields.code !== undefined) {
+        const code = normalizeCode(fields.code);
+        const coupons = rowsToObjects(await getSheetData('coupons'));
+        if (coupons.some(c => normalizeCode(c.code) === code && String(c.id) !== String(excludeId))) {
+            errors.push({ field: 'code', message: 'ya existe un cupón con este código' });
+        }
+    }
+    return errors;
+}
+
+app.get('/api/coupons', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const plans = await getSheetData('nutrition_plans');
-        res.json(rowsToObjects(plans));
+        res.json(await getActiveObjects('coupons'));
     } catch (error) {
-        console.error('Error al obtener planes nutricionales:', error);
-        res.status(500).json({ error: 'Error interno del servidor al obtener planes nutricionales.' });
+        console.error('Error al obtener cupones:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener cupones.' });
     }
 });
-app.get('/api/nutrition-plans/:id', async (req, res) => {
+
+app.get('/api/coupons/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
         const { id } = req.params;
-        const plans = await getSheetData('nutrition_plans');
-        const plan = rowsToObjects(plans).find(p => String(p.id) === String(id));
-        if (!plan) {
-            return res.status(404).json({ error: 'Plan nutricional no encontrado.' });
+        const coupon = (await getActiveObjects('coupons')).find(c => String(c.id) === String(id));
+        if (!coupon) {
+            return res.status(404).json({ error: 'Cupón no encontrado.' });
         }
-        res.json(plan);
+        res.json(coupon);
     } catch (error) {
-        console.error('Error al obtener plan nutricional por ID:', error);
+        console.error('Error al obtener cupón por ID:', error);
         res.status(500).json({ error: 'Error interno del servidor.' });
     }
 });
 
-// Solo administradores pueden añadir/actualizar/eliminar planes
-app.post('/api/nutrition-plans', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+app.post('/api/coupons', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const { name, description, price, duration_minutes, is_active = true } = req.body;
-        if (!name || !price || !duration_minutes) {
-            return res.status(400).json({ error: 'Faltan campos obligatorios: name, price, duration_minutes.' });
+        const { value: couponFields, errors } = validateRecord('coupons', req.body);
+        if (errors.length === 0) {
+            errors.push(...await validateCouponRules(couponFields));
         }
-
-        const plans = await getSheetData('nutrition_plans');
-        const plansAsObjects = rowsToObjects(plans);
-
-        if (plansAsObjects.some(p => p.name === name)) {
-            return res.status(409).json({ error: 'Ya existe un plan nutricional con este nombre.' });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
 
-        const newId = plansAsObjects.length > 0 ? Math.max(...plansAsObjects.map(p => parseInt(p.id) || 0)) + 1 : 1;
-
-        const newPlanData = [
-            newId,
-            name,
-            description || '',
-            parseFloat(price),
-            parseInt(duration_minutes),
-            is_active,
-            new Date().toISOString()
-        ];
-        await appendRow('nutrition_plans', newPlanData);
-        res.status(201).json({ message: 'Plan nutricional añadido con éxito', plan: { id: newId, name } });
+        const coupon = await createRecord('coupons', { ...couponFields, code: normalizeCode(couponFields.code) });
+        res.status(201).json({ message: 'Cupón creado con éxito', coupon: { id: coupon.id, code: coupon.code } });
     } catch (error) {
-        console.error('Error al añadir plan nutricional:', error);
-        res.status(500).json({ error: 'Error interno del servidor al añadir plan nutricional.' });
+        console.error('Error al crear cupón:', error);
+        res.status(500).json({ error: 'Error interno del servidor al crear cupón.' });
     }
 });
-app.put('/api/nutrition-plans/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+
+app.put('/api/coupons/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description, price, duration_minutes, is_active } = req.body;
-        const updatedFields = { name, description, price: price ? parseFloat(price) : undefined, duration_minutes: duration_minutes ? parseInt(duration_minutes) : undefined, is_active };
-
-        Object.keys(updatedFields).forEach(key => updatedFields[key] === undefined && delete updatedFields[key]);
+        const { value: updatedFields, errors } = validateRecord('coupons', req.body, { partial: true });
+        const coupon = (await getActiveObjects('coupons')).find(c => String(c.id) === String(id));
+        if (!coupon) {
+            return res.status(404).json({ error: 'Cupón no encontrado.' });
+        }
+        if (errors.length === 0) {
+            errors.push(...await validateCouponRules(updatedFields, coupon, id));
+        }
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        if (updatedFields.code !== undefined) updatedFields.code = normalizeCode(updatedFields.code);
 
-        await updateRowById('nutrition_plans', id, updatedFields);
-        res.json({ message: 'Plan nutricional actualizado con éxito.' });
+        const { version } = await updateRowById('coupons', id, updatedFields, { expectedVersion: getExpectedVersion(req) });
+        res.json({ message: 'Cupón actualizado con éxito.', version });
     } catch (error) {
-        console.error('Error al actualizar plan nutricional:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al actualizar plan nutricional.' });
+        console.error('Error al actualizar cupón:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar cupón.' });
     }
 });
-app.delete('/api/nutrition-plans/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+
+app.delete('/api/coupons/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
         const { id } = req.params;
-        await deleteRowById('nutrition_plans', id);
-        res.json({ message: 'Plan nutricional eliminado con éxito.' });
+        await softDeleteRowById('coupons', id);
+        res.json({ message: 'Cupón eliminado con éxito.' });
     } catch (error) {
-        console.error('Error al eliminar plan nutricional:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar plan nutricional.' });
+        console.error('Error al eliminar cupón:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar cupón.' });
     }
 });
 
-// --- API para `appointments` ---
-// Los usuarios autenticados pueden reservar citas. Los administradores pueden ver todas o las de un usuario específico.
-app.post('/api/appointments', authenticateToken, async (req, res) => {
-    try {
-        const { plan_id, appointment_date, appointment_time, notes } = req.body;
-        const user_id = req.user.id; // El ID del usuario viene del token JWT
+// --- API del carrito ---
+// Cada usuario tiene un carrito persistente (hoja `cart_items`). Los precios no se
+// guardan: se toman siempre del catálogo, y al pagar se congelan en `order_items`.
+async function getCart(userId) {
+    const cartItems = rowsToObjects(await getSheetData('cart_items')).filter(item => String(item.user_id) === String(userId));
+    const products = rowsToObjects(await getSheetData('products'));
+
+    let total = 0;
+    const items = cartItems.map(item => {
+        const product = products.find(p => String(p.id) === String(item.product_id));
+        const available = Boolean(product && isNotDeleted(product) && isActiveRecord(product));
+        const price = product ? toMinor(product.price) || 0 : 0;
+        const quantity = parseInt(item.quantity) || 0;
+        const stockAvailable = product ? getStockLevel(product).available : null;
+        if (available) total += price * quantity;
+        return {
+            id: item.id,
+            product_id: item.product_id,
+            name: product ? product.name : '',
+            price: fromMinor(price),
+            quantity,
+            subtotal: fromMinor(price * quantity),
+            available, // Los productos retirados del catálogo no cuentan en el total ni se pueden pagar
+            stock_available: stockAvailable, // null si el producto no controla stock
+            in_stock: stockAvailable === null || quantity <= stockAvailable,
+            version: item.version,
+        };
+    });
+    return { items, total: fromMinor(total), currency: CURRENCY };
+}
 
-        if (!user_id || !plan_id || !appointment_date || !appointment_time) {
-            return res.status(400).json({ error: 'Faltan campos obligatorios: plan_id, appointment_date, appointment_time.' });
-        }
+async function findCartItem(userId, itemId) {
+    return rowsToObjects(await getSheetData('cart_items'))
+        .find(item => String(item.id) === String(itemId) && String(item.user_id) === String(userId));
+}
 
-        const plans = rowsToObjects(await getSheetData('nutrition_plans'));
-        if (!plans.some(p => String(p.id) === String(plan_id))) {
-            return res.status(400).json({ error: 'El plan_id proporcionado no existe.' });
+// Con ?coupon_code= se muestra además el descuento que se aplicaría al pagar
+app.get('/api/cart', authenticateToken, async (req, res) => {
+    try {
+        const cart = await getCart(req.user.id);
+        if (req.query.coupon_code) {
+            const lines = cart.items
+                .filter(item => item.available)
+                .map(item => ({ product_id: item.product_id, quantity: item.quantity, unit_price_minor: toMinor(item.price) }));
+            const result = await evaluateCoupon(req.query.coupon_code, req.user.id, lines);
+            cart.coupon = result.error
+                ? { code: normalizeCode(req.query.coupon_code), error: result.error }
+                : {
+                    code: normalizeCode(result.coupon.code),
+                    discount: fromMinor(result.discount_minor),
+                    total_after_discount: fromMinor(toMinor(cart.total) - result.discount_minor),
+                };
         }
-
-        const appointments = await getSheetData('appointments');
-        const appointmentsAsObjects = rowsToObjects(appointments);
-        const newId = appointmentsAsObjects.length > 0 ? Math.max(...appointmentsAsObjects.map(a => parseInt(a.id) || 0)) + 1 : 1;
-
-        const newAppointmentData = [
-            newId,
-            user_id,
-            plan_id,
-            appointment_date,
-            appointment_time,
-            'pending',
-            notes || '',
-            new Date().toISOString()
-        ];
-        await appendRow('appointments', newAppointmentData);
-        res.status(201).json({ message: 'Cita reservada con éxito', appointment: { id: newId, user_id, plan_id, appointment_date, appointment_time } });
+        res.json(cart);
     } catch (error) {
-        console.error('Error al reservar cita:', error);
-        res.status(500).json({ error: 'Error interno del servidor al reservar cita.' });
+        console.error('Error al obtener el carrito:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener el carrito.' });
     }
 });
 
-// Obtener citas (clientes ven las suyas, administradores ven todas o filtran)
-app.get('/api/appointments', authenticateToken, async (req, res) => {
+// Añade un producto; si ya estaba en el carrito, suma la cantidad
+app.post('/api/cart/items', authenticateToken, async (req, res) => {
     try {
-        const appointments = await getSheetData('appointments');
-        let appointmentsAsObjects = rowsToObjects(appointments);
-
-        // Los clientes solo ven sus propias citas
-        if (req.user.role === 'client') {
-            appointmentsAsObjects = appointmentsAsObjects.filter(a => String(a.user_id) === String(req.user.id));
+        const { value, errors } = validateRecord('cart_items', req.body, { fields: ['product_id', 'quantity'] });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
-        // Los administradores pueden ver todas o filtrar por user_id si se pasa como query param
-        else if (req.user.role === 'admin' && req.query.user_id) {
-            appointmentsAsObjects = appointmentsAsObjects.filter(a => String(a.user_id) === String(req.query.user_id));
+        const { product_id, quantity } = value;
+
+        const product = (await getActiveObjects('products')).find(p => String(p.id) === String(product_id));
+        if (!product || !isActiveRecord(product)) {
+            return sendValidationErrors(res, [{ field: 'product_id', message: `producto ${product_id} no encontrado o inactivo` }]);
         }
 
-        res.json(appointmentsAsObjects);
+        const existing = rowsToObjects(await getSheetData('cart_items'))
+            .find(item => String(item.user_id) === String(req.user.id) && String(item.product_id) === String(product_id));
+        if (existing) {
+            await updateRowById('cart_items', existing.id, { quantity: (parseInt(existing.quantity) || 0) + quantity });
+        } else {
+            await createRecord('cart_items', { user_id: req.user.id, product_id, quantity });
+        }
+        res.status(201).json({ message: 'Producto añadido al carrito.', cart: await getCart(req.user.id) });
     } catch (error) {
-        console.error('Error al obtener citas:', error);
-        res.status(500).json({ error: 'Error interno del servidor al obtener citas.' });
+        console.error('Error al añadir al carrito:', error);
+        res.status(500).json({ error: 'Error interno del servidor al añadir al carrito.' });
     }
 });
 
-// Obtener una cita específica (clientes solo las suyas, administradores cualquiera)
-app.get('/api/appointments/:id', authenticateToken, async (req, res) => {
+app.put('/api/cart/items/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const appointments = await getSheetData('appointments');
-        const appointment = rowsToObjects(appointments).find(a => String(a.id) === String(id));
-
-        if (!appointment) {
-            return res.status(404).json({ error: 'Cita no encontrada.' });
+        const { value, errors } = validateRecord('cart_items', req.body, { fields: ['quantity'] });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
-
-        // Si es cliente y no es su cita, denegar acceso
-        if (req.user.role === 'client' && String(appointment.user_id) !== String(req.user.id)) {
-            return res.status(403).json({ error: 'No tienes permiso para ver esta cita.' });
+        if (!(await findCartItem(req.user.id, id))) {
+            return res.status(404).json({ error: 'Producto no encontrado en el carrito.' });
         }
 
-        res.json(appointment);
+        await updateRowById('cart_items', id, { quantity: value.quantity }, { expectedVersion: getExpectedVersion(req) });
+        res.json({ message: 'Carrito actualizado con éxito.', cart: await getCart(req.user.id) });
     } catch (error) {
-        console.error('Error al obtener cita por ID:', error);
-        res.status(500).json({ error: 'Error interno del servidor.' });
+        console.error('Error al actualizar el carrito:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al actualizar el carrito.' });
     }
 });
 
-// Actualizar una cita (clientes solo sus propias citas, administradores cualquiera)
-app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
+app.delete('/api/cart/items/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { plan_id, appointment_date, appointment_time, status, notes } = req.body;
-        const updatedFields = { plan_id, appointment_date, appointment_time, status, notes };
+        if (!(await findCartItem(req.user.id, id))) {
+            return res.status(404).json({ error: 'Producto no encontrado en el carrito.' });
+        }
+        await deleteRowById('cart_items', id);
+        res.json({ message: 'Producto eliminado del carrito.', cart: await getCart(req.user.id) });
+    } catch (error) {
+        console.error('Error al eliminar del carrito:', error);
+        res.status(500).json({ error: 'Error interno del servidor al eliminar del carrito.' });
+    }
+});
 
-        const appointments = await getSheetData('appointments');
-        const appointmentToUpdate = rowsToObjects(appointments).find(a => String(a.id) === String(id));
+app.delete('/api/cart', authenticateToken, async (req, res) => {
+    try {
+        const { items } = await getCart(req.user.id);
+        await deleteRowsByIds('cart_items', items.map(item => item.id));
+        res.json({ message: 'Carrito vaciado con éxito.' });
+    } catch (error) {
+        console.error('Error al vaciar el carrito:', error);
+        res.status(500).json({ error: 'Error interno del servidor al vaciar el carrito.' });
+    }
+});
 
-        if (!appointmentToUpdate) {
-            return res.status(404).json({ error: 'Cita no encontrada.' });
+// Convierte el carrito en un pedido pendiente de pago (admite `coupon_code`) y lo vacía
+app.post('/api/cart/checkout', authenticateToken, async (req, res) => {
+    try {
+        const { items } = await getCart(req.user.id);
+        if (items.length === 0) {
+            return sendValidationErrors(res, [{ field: 'cart', message: 'el carrito está vacío' }]);
         }
 
-        // Si es cliente y no es su cita, o intenta cambiar el user_id, denegar acceso
-        if (req.user.role === 'client' && String(appointmentToUpdate.user_id) !== String(req.user.id)) {
-            return res.status(403).json({ error: 'No tienes permiso para actualizar esta cita.' });
-        }
-        // Clientes no pueden cambiar el estado o el user_id
-        if (req.user.role === 'client') {
-            delete updatedFields.status; // No pueden cambiar el estado
-            delete updatedFields.user_id; // No pueden cambiar el usuario asociado
+        const { lines, errors } = buildOrderLines(items, { products: await getActiveObjects('products') }, 'cart');
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
 
-        Object.keys(updatedFields).forEach(key => updatedFields[key] === undefined && delete updatedFields[key]);
-
-        await updateRowById('appointments', id, updatedFields);
-        res.json({ message: 'Cita actualizada con éxito.' });
+        const result = await placeOrderWithCoupon(req.user, lines, (req.body || {}).coupon_code);
+        if (result.errors || result.stockErrors) {
+            return sendOrderRejection(res, result);
+        }
+        const { order, payment } = result;
+        await deleteRowsByIds('cart_items', items.map(item => item.id));
+        res.status(201).json({
+            message: 'Pedido creado. Completa el pago para confirmarlo.',
+            order: { id: order.id, totalAmount: order.total_amount, discount: order.discount_amount, coupon_code: order.coupon_code, status: 'pending_payment' },
+            payment,
+        });
     } catch (error) {
-        console.error('Error al actualizar cita:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al actualizar cita.' });
+        console.error('Error al confirmar el carrito:', error);
+        res.status(500).json({ error: 'Error interno del servidor al confirmar el carrito.' });
     }
 });
 
-// Eliminar una cita (clientes solo sus propias citas, administradores cualquiera)
-app.delete('/api/appointments/:id', authenticateToken, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const appointments = await getSheetData('appointments');
-        const appointmentToDelete = rowsToObjects(appointments).find(a => String(a.id) === String(id));
+// --- API de pagos ---
+// Aplica el resultado que comunica la pasarela. Es idempotente: los avisos repetidos
+// o que llegan cuando el pedido ya está pagado no cambian nada.
+async function applyPaymentResult({ payment_id, status }) {
+    const found = (await getActiveObjects('orders')).find(o => o.payment_id && o.payment_id === payment_id);
+    if (!found) return null;
+    return runOrderExclusive(found.id, () => applyOrderPayment(found.id, status));
+}
 
-        if (!appointmentToDelete) {
-            return res.status(404).json({ error: 'Cita no encontrada.' });
+// Se vuelve a leer el pedido dentro del cerrojo: otro aviso puede haberlo cambiado ya
+async function applyOrderPayment(orderId, status) {
+    const order = (await getActiveObjects('orders')).find(o => String(o.id) === String(orderId));
+    if (!UNPAID_ORDER_STATUSES.includes(order.status)) {
+        if (status === 'paid' && order.status === 'cancelled') {
+            await refundCancelledOrderPayment(order);
         }
+        return order;
+    }
 
-        // Si es cliente y no es su cita, denegar acceso
-        if (req.user.role === 'client' && String(appointmentToDelete.user_id) !== String(req.user.id)) {
-            return res.status(403).json({ error: 'No tienes permiso para eliminar esta cita.' });
+    const newStatus = status === 'paid' ? 'paid' : 'payment_failed';
+    if (newStatus === order.status) return order;
+    await updateRowById('orders', order.id, { status: newStatus });
+    await recordOrderStatus(order.id, order.status, newStatus, PAYMENT_PROVIDER_ACTOR);
+
+    if (newStatus === 'paid') {
+        await syncOrderStock(order.id, 'paid');
+        await grantPlanPackages(order);
+        await assignInvoiceNumber(order.id);
+        const user = (await getActiveObjects('users')).find(u => String(u.id) === String(order.user_id));
+        if (user) {
+            const products = rowsToObjects(await getSheetData('products'));
+            const plans = rowsToObjects(await getSheetData('nutrition_plans'));
+            const items = rowsToObjects(await getSheetData('order_items'))
+                .filter(item => String(item.order_id) === String(order.id))
+                .map(item => ({ ...item, name: getOrderItemName(item, products, plans) }));
+            await notify([{
+                user_id: user.id,
+                type: 'order_confirmation',
+                reference_id: order.id,
+                dedupe_key: `order_confirmation:${order.id}`,
+                ...notificationTemplates.orderConfirmation({ user, order, items }),
+            }]);
         }
+    }
+    return { ...order, status: newStatus };
+}
 
-        await deleteRowById('appointments', id);
-        res.json({ message: 'Cita eliminada con éxito.' });
+// Aviso de la pasarela (público; la autenticidad la comprueba el proveedor con la firma)
+app.post('/api/payments/webhook', async (req, res) => {
+    try {
+        const result = paymentProvider.parseWebhook({ headers: req.headers, rawBody: req.rawBody, body: req.body });
+        const order = await runAsActor(PAYMENT_PROVIDER_ACTOR, () => applyPaymentResult(result));
+        if (!order) {
+            return res.status(404).json({ error: 'No hay ningún pedido con ese pago.' });
+        }
+        res.json({ received: true, order_id: order.id, status: order.status });
     } catch (error) {
-        console.error('Error al eliminar cita:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar cita.' });
+        console.error('Error al procesar el aviso de pago:', error.message);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Error interno del servidor al procesar el aviso de pago.' });
     }
 });
 
+// Solo con PAYMENT_PROVIDER=mock (desarrollo): hace de "página de pago" y envía el aviso
+// firmado al webhook como lo haría el proveedor. Cuerpo: { status: 'paid' | 'failed' }.
+// No pide autenticación, así que nunca debe estar disponible en producción.
+if (paymentProvider.buildWebhook) {
+    app.post('/api/payments/mock/:paymentId', async (req, res) => {
+        try {
+            const { status } = req.body || {};
+            if (!WEBHOOK_STATUSES.includes(status)) {
+                return sendValidationErrors(res, [{ field: 'status', message: `debe ser uno de: ${WEBHOOK_STATUSES.join(', ')}` }]);
+            }
+            const webhook = paymentProvider.buildWebhook({ payment_id: req.params.paymentId, status });
+            const order = await runAsActor(PAYMENT_PROVIDER_ACTOR, () => applyPaymentResult(paymentProvider.parseWebhook(webhook)));
+            if (!order) {
+                return res.status(404).json({ error: 'No hay ningún pedido con ese pago.' });
+            }
+            res.json({ order_id: order.id, status: order.status });
+        } catch (error) {
+            console.error('Error en la pasarela simulada:', error);
+            res.status(500).json({ error: 'Error interno del servidor en la pasarela simulada.' });
+        }
+    });
+}
 
-// --- API para `orders` y `order_items` ---
-// Implementación básica, esto es más complejo y necesita más lógica para el "carrito de compras" real
-// y la integración con pasarelas de pago.
-
-app.post('/api/orders', authenticateToken, async (req, res) => {
+// --- API de notificaciones ---
+// Cada usuario ve las suyas; el administrador, todas. Paginadas con la capa de listados
+// (filtros user_id, status, type, channel y rango created_at), más recientes primero.
+app.get('/api/notifications', authenticateToken, async (req, res) => {
     try {
-        const { items } = req.body; // items: [{ product_id, quantity }]
-        const user_id = req.user.id;
-        if (!items || items.length === 0) {
-            return res.status(400).json({ error: 'El pedido debe contener al menos un producto.' });
+        const { value: listQuery, errors } = parseListQuery('notifications', req.query, LIST_OPTIONS.notifications);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
 
-        const products = rowsToObjects(await getSheetData('products'));
-        let totalAmount = 0;
-        const orderItemsData = [];
-
-        // Validar productos y calcular el total
-        for (const item of items) {
-            const product = products.find(p => String(p.id) === String(item.product_id));
-            if (!product || !product.is_active) {
-                return res.status(400).json({ error: `Producto con ID ${item.product_id} no encontrado o inactivo.` });
-            }
-            const itemPrice = parseFloat(product.price);
-            const quantity = parseInt(item.quantity);
-            if (isNaN(itemPrice) || isNaN(quantity) || quantity <= 0) {
-                return res.status(400).json({ error: `Cantidad o precio inválido para el producto ID ${item.product_id}.` });
-            }
-            totalAmount += itemPrice * quantity;
-            orderItemsData.push({ product_id: item.product_id, quantity, price_at_purchase: itemPrice });
-        }
-
-        const orders = await getSheetData('orders');
-        const ordersAsObjects = rowsToObjects(orders);
-        const newOrderId = ordersAsObjects.length > 0 ? Math.max(...ordersAsObjects.map(o => parseInt(o.id) || 0)) + 1 : 1;
-
-        const newOrderData = [
-            newOrderId,
-            user_id,
-            totalAmount,
-            'completed', // O 'pending_payment' si tuvieras integración de pago real
-            `PAYMENT_ID_${Date.now()}`, // Placeholder para el ID de pago
-            new Date().toISOString()
-        ];
-        await appendRow('orders', newOrderData);
-
-        // Añadir items del pedido a la hoja 'order_items'
-        const existingOrderItems = await getSheetData('order_items');
-        let currentOrderItemMaxId = existingOrderItems.length > 0 ? Math.max(...rowsToObjects(existingOrderItems).map(oi => parseInt(oi.id) || 0)) : 0;
-
-        for (const item of orderItemsData) {
-            currentOrderItemMaxId++;
-            await appendRow('order_items', [
-                currentOrderItemMaxId,
-                newOrderId,
-                item.product_id,
-                item.quantity,
-                item.price_at_purchase,
-                new Date().toISOString()
-            ]);
-        }
-
-        res.status(201).json({ message: 'Pedido realizado con éxito', order: { id: newOrderId, totalAmount } });
+        let notifications = rowsToObjects(await getSheetData('notifications'));
+        if (req.user.role !== 'admin') {
+            notifications = notifications.filter(n => String(n.user_id) === String(req.user.id));
+        }
+        res.json(applyListQuery(notifications, listQuery));
     } catch (error) {
-        console.error('Error al realizar pedido:', error);
-        res.status(500).json({ error: 'Error interno del servidor al realizar el pedido.' });
+        console.error('Error al obtener notificaciones:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener notificaciones.' });
     }
 });
 
-// Obtener pedidos (clientes solo los suyos, administradores todos o por usuario)
-app.get('/api/orders', authenticateToken, async (req, res) => {
+// Ejecuta ahora las tareas programadas (recordatorios y envíos) sin esperar al siguiente ciclo
+app.post('/api/admin/notifications/run', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const orders = await getSheetData('orders');
-        let ordersAsObjects = rowsToObjects(orders);
+        res.json(await notificationScheduler.runOnce());
+    } catch (error) {
+        console.error('Error al ejecutar las tareas de notificaciones:', error);
+        res.status(500).json({ error: 'Error interno del servidor al ejecutar las tareas de notificaciones.' });
+    }
+});
 
-        if (req.user.role === 'client') {
-            ordersAsObjects = ordersAsObjects.filter(o => String(o.user_id) === String(req.user.id));
-        } else if (req.user.role === 'admin' && req.query.user_id) {
-            ordersAsObjects = ordersAsObjects.filter(o => String(o.user_id) === String(req.query.user_id));
-        }
+// --- API de administración: papelera (registros con borrado lógico) ---
+// Recursos de la URL -> pestaña de la hoja
+const TRASHABLE_RESOURCES = {
+    users: 'users',
+    products: 'products',
+    'nutrition-plans': 'nutrition_plans',
+    appointments: 'appointments',
+    orders: 'orders',
+    coupons: 'coupons',
+    foods: 'foods',
+    'meal-plans': 'meal_plans',
+};
+
+function resolveTrashSheet(req, res) {
+    const sheetName = TRASHABLE_RESOURCES[req.params.resource];
+    if (!sheetName) {
+        res.status(404).json({ error: `Recurso desconocido: ${req.params.resource}. Usa ${Object.keys(TRASHABLE_RESOURCES).join(', ')}.` });
+    }
+    return sheetName;
+}
 
-        // Opcional: Adjuntar items de pedido a cada pedido
-        const orderItems = rowsToObjects(await getSheetData('order_items'));
-        ordersAsObjects = ordersAsObjects.map(order => {
-            order.items = orderItems.filter(item => String(item.order_id) === String(order.id));
-            return order;
-        });
+async function findTrashedRecord(sheetName, id) {
+    return rowsToObjects(await getSheetData(sheetName)).find(r => String(r.id) === String(id) && !isNotDeleted(r));
+}
+
+app.get('/api/admin/trash/:resource', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+        const sheetName = resolveTrashSheet(req, res);
+        if (!sheetName) return;
 
-        res.json(ordersAsObjects);
+        const trashed = rowsToObjects(await getSheetData(sheetName))
+            .filter(r => !isNotDeleted(r))
+            .map(({ password_hash, ...rest }) => rest);
+        res.json(trashed);
     } catch (error) {
-        console.error('Error al obtener pedidos:', error);
-        res.status(500).json({ error: 'Error interno del servidor al obtener pedidos.' });
+        console.error('Error al obtener la papelera:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener la papelera.' });
     }
 });
 
-app.get('/api/orders/:id', authenticateToken, async (req, res) => {
+app.post('/api/admin/trash/:resource/:id/restore', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const orders = await getSheetData('orders');
-        const order = rowsToObjects(orders).find(o => String(o.id) === String(id));
-
-        if (!order) {
-            return res.status(404).json({ error: 'Pedido no encontrado.' });
-        }
+        const sheetName = resolveTrashSheet(req, res);
+        if (!sheetName) return;
 
-        if (req.user.role === 'client' && String(order.user_id) !== String(req.user.id)) {
-            return res.status(403).json({ error: 'No tienes permiso para ver este pedido.' });
+        const { id } = req.params;
+        if (!await findTrashedRecord(sheetName, id)) {
+            return res.status(404).json({ error: 'Registro no encontrado en la papelera.' });
         }
 
-        // Obtener y adjuntar los items del pedido
-        const orderItems = rowsToObjects(await getSheetData('order_items'));
-        order.items = orderItems.filter(item => String(item.order_id) === String(order.id));
-
-        res.json(order);
+        const { version } = await updateRowById(sheetName, id, { deleted_at: '' });
+        res.json({ message: 'Registro restaurado con éxito.', version });
     } catch (error) {
-        console.error('Error al obtener pedido por ID:', error);
-        res.status(500).json({ error: 'Error interno del servidor.' });
+        console.error('Error al restaurar registro:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Error interno del servidor al restaurar registro.' });
     }
 });
 
-// Solo administradores pueden actualizar el estado de los pedidos o eliminarlos
-app.put('/api/orders/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+// Vaciar un registro de la papelera lo elimina definitivamente (en pedidos, también sus items)
+app.delete('/api/admin/trash/:resource/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
+        const sheetName = resolveTrashSheet(req, res);
+        if (!sheetName) return;
+
         const { id } = req.params;
-        const { status, payment_id } = req.body;
-        const updatedFields = { status, payment_id };
+        if (!await findTrashedRecord(sheetName, id)) {
+            return res.status(404).json({ error: 'Registro no encontrado en la papelera.' });
+        }
 
-        Object.keys(updatedFields).forEach(key => updatedFields[key] === undefined && delete updatedFields[key]);
+        if (sheetName === 'orders') {
+            const orderItems = rowsToObjects(await getSheetData('order_items'));
+            const itemsToDelete = orderItems.filter(item => String(item.order_id) === String(id));
+            await deleteRowsByIds('order_items', itemsToDelete.map(item => item.id));
+        }
 
-        await updateRowById('orders', id, updatedFields);
-        res.json({ message: 'Pedido actualizado con éxito.' });
+        await deleteRowById(sheetName, id);
+        res.json({ message: 'Registro eliminado definitivamente.' });
     } catch (error) {
-        console.error('Error al actualizar pedido:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al actualizar pedido.' });
+        console.error('Error al eliminar registro de la papelera:', error);
+        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar registro.' });
     }
 });
 
-app.delete('/api/orders/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+// --- API de administración: registro de auditoría ---
+// Filtros habituales: resource (nombre de la hoja, p. ej. nutrition_plans), resource_id,
+// actor_id, action y el rango created_at_from / created_at_to. Más recientes primero.
+app.get('/api/admin/audit', authenticateToken, authorizeRoles('admin'), async (req, res) => {
     try {
-        const { id } = req.params;
-        // Opcional: Eliminar también los order_items asociados
-        const orderItems = rowsToObjects(await getSheetData('order_items'));
-        const itemsToDelete = orderItems.filter(item => String(item.order_id) === String(id));
-        for (const item of itemsToDelete) {
-            await deleteRowById('order_items', item.id);
+        const { value: listQuery, errors } = parseListQuery('audit_log', req.query, LIST_OPTIONS.audit_log);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
         }
-
-        await deleteRowById('orders', id);
-        res.json({ message: 'Pedido y sus items asociados eliminados con éxito.' });
+        const entries = rowsToObjects(await getSheetData('audit_log'));
+        res.json(applyListQuery(entries, listQuery, entry => ({ ...entry, changes: JSON.parse(entry.changes || '{}') })));
     } catch (error) {
-        console.error('Error al eliminar pedido:', error);
-        res.status(500).json({ error: error.message || 'Error interno del servidor al eliminar pedido.' });
+        console.error('Error al obtener el registro de auditoría:', error);
+        res.status(500).json({ error: 'Error interno del servidor al obtener el registro de auditoría.' });
     }
 });
 
 
-// Iniciar el servidor
-app.listen(PORT, () => {
-    console.log(`Servidor escuchando en el puerto ${PORT}`);
-});
\ No newline at end of file
+// Iniciar el servidor (solo si se ejecuta directamente; los tests importan `app`)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Servidor escuchando en el puerto ${PORT} (almacenamiento: ${storage.name})`);
+    });
+    if (process.env.NOTIFICATIONS_ENABLED !== 'false') {
+        notificationScheduler.start();
+    }
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,69 @@
+// backend/storage/cachedAdapter.js
+// Caché de lectura sobre cualquier adaptador: guarda el contenido de cada hoja
+// durante `ttlMs` y lo invalida en cuanto se escribe en ella.
+function cloneRows(data) {
+    return data.map(row => [...row]);
+}
+
+function withCache(adapter, { ttlMs = 30000 } = {}) {
+    const entries = new Map(); // sheetName -> { data, expiresAt }
+    const inFlight = new Map(); // sheetName -> Promise (lecturas concurrentes comparten la misma llamada)
+
+    function invalidate(sheetName) {
+        if (sheetName === undefined) {
+            entries.clear();
+        } else {
+            entries.delete(sheetName);
+        }
+    }
+
+    async function getSheetData(sheetName) {
+        const cached = entries.get(sheetName);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cloneRows(cached.data);
+        }
+
+        if (!inFlight.has(sheetName)) {
+            const request = adapter.getSheetData(sheetName)
+                .then(data => {
+                    // Si hubo una escritura mientras se leía, el resultado ya no es fiable.
+                    if (inFlight.get(sheetName) === request) {
+                        entries.set(sheetName, { data, expiresAt: Date.now() + ttlMs });
+                    }
+                    return data;
+                })
+                .finally(() => {
+                    if (inFlight.get(sheetName) === request) inFlight.delete(sheetName);
+                });
+            inFlight.set(sheetName, request);
+        }
+        return cloneRows(await inFlight.get(sheetName));
+    }
+
+    // Envuelve una escritura para invalidar la hoja afectada (haya ido bien o no).
+    function invalidating(method) {
+        return async (sheetName, ...args) => {
+            try {
+                return await adapter[method](sheetName, ...args);
+            } finally {
+                inFlight.delete(sheetName);
+                invalidate(sheetName);
+            }
+        };
+    }
+
+    return {
+        ...adapter,
+        getSheetData,
+        appendRow: invalidating('appendRow'),
+        appendRows: invalidating('appendRows'),
+        updateRowById: invalidating('updateRowById'),
+        deleteRowById: invalidating('deleteRowById'),
+        deleteRowsByIds: invalidating('deleteRowsByIds'),
+        createSheet: invalidating('createSheet'),
+        replaceSheetData: invalidating('replaceSheetData'),
+        invalidate,
+    };
+}
+
+module.exports = { withCache };
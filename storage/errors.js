@@ -0,0 +1,13 @@
+// backend/storage/errors.js
+// Errores del almacenamiento que las rutas traducen a un código HTTP concreto.
+
+// Se lanza cuando se intenta escribir sobre una versión de la fila que ya no es la actual.
+class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+        this.status = 409;
+    }
+}
+
+module.exports = { ConflictError };
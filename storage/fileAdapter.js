@@ -0,0 +1,37 @@
+// backend/storage/fileAdapter.js
+// Adaptador de almacenamiento sobre un fichero JSON local. Mantiene los datos en
+// memoria y vuelca el contenido completo al fichero tras cada escritura.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAdapter } = require('./memoryAdapter');
+
+function createFileAdapter({ filePath = process.env.STORAGE_FILE || 'data/local-db.json' } = {}) {
+    const absolutePath = path.resolve(filePath);
+    let initialData = {};
+
+    if (fs.existsSync(absolutePath)) {
+        try {
+            initialData = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`No se pudo leer el fichero de datos ${absolutePath}: ${error.message}`);
+        }
+    }
+
+    // Las escrituras se encadenan para que dos peticiones no pisen el fichero a la vez.
+    let pendingWrite = Promise.resolve();
+
+    function persist(data) {
+        pendingWrite = pendingWrite.then(async () => {
+            const tmpPath = `${absolutePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tmpPath, absolutePath);
+        });
+        return pendingWrite;
+    }
+
+    const adapter = createMemoryAdapter({ initialData, onChange: persist });
+    return { ...adapter, name: 'file', filePath: absolutePath };
+}
+
+module.exports = { createFileAdapter };
@@ -0,0 +1,12 @@
+// backend/storage/headers.js
+// Fila de cabecera de cada pestaña, derivada de los esquemas. Los adaptadores
+// locales la usan para crear las "hojas" vacías con el mismo formato que el
+// Google Sheet real.
+const { SCHEMAS, getHeaders } = require('../schemas');
+
+const SHEET_HEADERS = {};
+for (const sheetName in SCHEMAS) {
+    SHEET_HEADERS[sheetName] = getHeaders(sheetName);
+}
+
+module.exports = { SHEET_HEADERS };
@@ -0,0 +1,32 @@
+// backend/storage/index.js
+// Selecciona el adaptador de almacenamiento según STORAGE_DRIVER:
+//   sheets (por defecto) -> Google Sheets
+//   memory              -> en memoria, se pierde al reiniciar (tests)
+//   file                -> fichero JSON local (STORAGE_FILE)
+// Las lecturas pasan por una caché con TTL de STORAGE_CACHE_TTL_MS milisegundos
+// (30 s por defecto, 0 la desactiva).
+const { createSheetsAdapter } = require('./sheetsAdapter');
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createFileAdapter } = require('./fileAdapter');
+const { withCache } = require('./cachedAdapter');
+
+function createAdapter(driver, options) {
+    switch (driver) {
+        case 'sheets':
+            return createSheetsAdapter(options);
+        case 'memory':
+            return createMemoryAdapter(options);
+        case 'file':
+            return createFileAdapter(options);
+        default:
+            throw new Error(`STORAGE_DRIVER desconocido: '${driver}'. Usa sheets, memory o file.`);
+    }
+}
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'sheets', options = {}) {
+    const adapter = createAdapter(driver, options);
+    const ttlMs = parseInt(process.env.STORAGE_CACHE_TTL_MS ?? '30000');
+    return ttlMs > 0 ? withCache(adapter, { ttlMs }) : adapter;
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,147 @@
+// backend/storage/memoryAdapter.js
+// Adaptador de almacenamiento en memoria. Guarda cada pestaña como un array de
+// filas (la primera es la cabecera), igual que lo devuelve la API de Sheets,
+// para que las rutas funcionen sin cambios en local y en los tests.
+const { SHEET_HEADERS } = require('./headers');
+const { applyRowUpdate } = require('./rowUpdate');
+
+// Sheets devuelve todas las celdas como texto; replicamos ese comportamiento.
+function toCell(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+function cloneSheets(data) {
+    const copy = {};
+    for (const sheetName in data) {
+        copy[sheetName] = data[sheetName].map(row => [...row]);
+    }
+    return copy;
+}
+
+function createMemoryAdapter({ initialData, onChange } = {}) {
+    const store = cloneSheets(initialData || {});
+    for (const sheetName in SHEET_HEADERS) {
+        if (!store[sheetName] || store[sheetName].length === 0) {
+            store[sheetName] = [[...SHEET_HEADERS[sheetName]]];
+        }
+    }
+
+    async function changed() {
+        if (onChange) await onChange(cloneSheets(store));
+    }
+
+    function findRowIndex(sheetName, id) {
+        const data = store[sheetName];
+        if (!data || data.length === 0) {
+            throw new Error(`Hoja '${sheetName}' vacía o no encontrada.`);
+        }
+
+        const idColumnIndex = data[0].indexOf('id');
+        if (idColumnIndex === -1) {
+            throw new Error(`La hoja '${sheetName}' no tiene una columna "id".`);
+        }
+
+        const rowIndex = data.findIndex((row, index) => index > 0 && String(row[idColumnIndex]) === String(id));
+        if (rowIndex === -1) {
+            throw new Error(`Registro con ID ${id} no encontrado en la hoja '${sheetName}'.`);
+        }
+        return rowIndex;
+    }
+
+    async function getSheetData(sheetName) {
+        const data = store[sheetName];
+        if (!data) {
+            throw new Error(`No se pudo leer la hoja ${sheetName}`);
+        }
+        return data.map(row => [...row]);
+    }
+
+    async function appendRow(sheetName, rowData) {
+        if (!store[sheetName]) {
+            throw new Error(`No se pudo añadir la fila a ${sheetName}`);
+        }
+        store[sheetName].push(rowData.map(toCell));
+        await changed();
+        return { updates: { updatedRows: 1 } };
+    }
+
+    async function appendRows(sheetName, rows) {
+        if (!store[sheetName]) {
+            throw new Error(`No se pudieron añadir las filas a ${sheetName}`);
+        }
+        if (rows.length === 0) return {};
+        rows.forEach(rowData => store[sheetName].push(rowData.map(toCell)));
+        await changed();
+        return { updates: { updatedRows: rows.length } };
+    }
+
+    async function updateRowById(sheetName, id, newFields, options = {}) {
+        const rowIndex = findRowIndex(sheetName, id);
+        const headers = store[sheetName][0];
+        const { updatedRow, version } = applyRowUpdate(sheetName, id, headers, store[sheetName][rowIndex], newFields, options);
+
+        store[sheetName][rowIndex] = updatedRow.map(toCell);
+        await changed();
+        return { updatedRows: 1, version };
+    }
+
+    async function deleteRowById(sheetName, id) {
+        const rowIndex = findRowIndex(sheetName, id);
+        store[sheetName].splice(rowIndex, 1);
+        await changed();
+        return { deletedRows: 1 };
+    }
+
+    async function deleteRowsByIds(sheetName, ids) {
+        if (ids.length === 0) return {};
+        const rowIndexes = ids.map(id => findRowIndex(sheetName, id)).sort((a, b) => b - a);
+        rowIndexes.forEach(rowIndex => store[sheetName].splice(rowIndex, 1));
+        await changed();
+        return { deletedRows: rowIndexes.length };
+    }
+
+    async function listSheets() {
+        return Object.keys(store);
+    }
+
+    async function createSheet(sheetName, headers) {
+        if (store[sheetName]) {
+            throw new Error(`No se pudo crear la hoja ${sheetName}.`);
+        }
+        store[sheetName] = [headers.map(toCell)];
+        await changed();
+        return {};
+    }
+
+    async function replaceSheetData(sheetName, data) {
+        if (!store[sheetName]) {
+            throw new Error(`No se pudo reescribir la hoja ${sheetName}.`);
+        }
+        store[sheetName] = data.map(row => row.map(toCell));
+        await changed();
+        return {};
+    }
+
+    // Solo para tests: devuelve una copia del contenido completo.
+    function dump() {
+        return cloneSheets(store);
+    }
+
+    return {
+        name: 'memory',
+        getSheetData,
+        appendRow,
+        appendRows,
+        updateRowById,
+        deleteRowById,
+        deleteRowsByIds,
+        listSheets,
+        createSheet,
+        replaceSheetData,
+        dump,
+    };
+}
+
+module.exports = { createMemoryAdapter, toCell };
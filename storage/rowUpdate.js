@@ -0,0 +1,38 @@
+// backend/storage/rowUpdate.js
+// Lógica común a todos los adaptadores para aplicar cambios a una fila.
+const { ConflictError } = require('./errors');
+
+// Devuelve la fila actualizada con los campos nuevos. Si la hoja tiene columna
+// `version` se comprueba `expectedVersion` (si se indica) y se incrementa; si
+// tiene `updated_at` se refresca con la hora actual.
+function applyRowUpdate(sheetName, id, headers, existingRow, newFields, { expectedVersion } = {}) {
+    const updatedRow = [...existingRow];
+    while (updatedRow.length < headers.length) updatedRow.push('');
+
+    for (const key in newFields) {
+        const headerIndex = headers.indexOf(key);
+        if (headerIndex !== -1) {
+            updatedRow[headerIndex] = newFields[key];
+        }
+    }
+
+    const versionIndex = headers.indexOf('version');
+    let version;
+    if (versionIndex !== -1) {
+        const currentVersion = parseInt(existingRow[versionIndex]) || 0;
+        if (expectedVersion !== undefined && expectedVersion !== null && String(expectedVersion) !== '' && parseInt(expectedVersion) !== currentVersion) {
+            throw new ConflictError(`El registro con ID ${id} de '${sheetName}' ha sido modificado por otra petición (versión actual: ${currentVersion}).`);
+        }
+        version = currentVersion + 1;
+        updatedRow[versionIndex] = version;
+    }
+
+    const updatedAtIndex = headers.indexOf('updated_at');
+    if (updatedAtIndex !== -1) {
+        updatedRow[updatedAtIndex] = new Date().toISOString();
+    }
+
+    return { updatedRow, version };
+}
+
+module.exports = { applyRowUpdate };
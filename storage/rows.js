@@ -0,0 +1,29 @@
+// backend/storage/rows.js
+// Conversión entre el formato de la hoja (array de filas con cabecera) y objetos.
+function rowsToObjects(sheetData) {
+    if (!sheetData || sheetData.length === 0) return [];
+    const headers = sheetData[0];
+    return sheetData.slice(1).map(row => {
+        const obj = {};
+        headers.forEach((header, index) => {
+            obj[header] = row[index];
+        });
+        return obj;
+    });
+}
+
+function objectsToRows(headers, objects) {
+    return [headers, ...objects.map(obj => headers.map(header => (obj[header] === undefined || obj[header] === null ? '' : obj[header])))];
+}
+
+// Sheets devuelve los booleanos como texto ('TRUE'/'FALSE'); una celda vacía toma `defaultValue`.
+// Nunca se debe comprobar un booleano leído de la hoja con `!valor`: 'FALSE' es un texto no vacío.
+function cellToBoolean(value, defaultValue = false) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value === undefined || value === null ? '' : value).trim().toUpperCase();
+    if (text === 'TRUE') return true;
+    if (text === 'FALSE') return false;
+    return defaultValue;
+}
+
+module.exports = { rowsToObjects, objectsToRows, cellToBoolean };
@@ -0,0 +1,334 @@
+// backend/storage/sheetsAdapter.js
+// Adaptador de almacenamiento sobre la API de Google Sheets.
+const { google } = require('googleapis');
+const { applyRowUpdate } = require('./rowUpdate');
+
+let sheetsClient = null;
+
+// El cliente se crea la primera vez que se usa, así el módulo se puede cargar
+// sin credenciales (por ejemplo, cuando se trabaja con el adaptador en memoria).
+function getClient() {
+    if (!sheetsClient) {
+        if (!process.env.GOOGLE_PRIVATE_KEY || !process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL) {
+            throw new Error('Faltan las credenciales de Google (GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_PRIVATE_KEY).');
+        }
+        const auth = new google.auth.GoogleAuth({
+            credentials: {
+                client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+                private_key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+            },
+            scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+        });
+        sheetsClient = google.sheets({ version: 'v4', auth });
+    }
+    return sheetsClient;
+}
+
+function createSheetsAdapter({ spreadsheetId = process.env.GOOGLE_SHEET_ID } = {}) {
+    // Las operaciones que leen una hoja y luego escriben según lo leído (actualizar,
+    // borrar) se ejecutan de una en una por hoja para que no se pisen entre sí.
+    const sheetLocks = new Map();
+
+    function withSheetLock(sheetName, task) {
+        const previous = sheetLocks.get(sheetName) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        sheetLocks.set(sheetName, current);
+        current.finally(() => {
+            if (sheetLocks.get(sheetName) === current) sheetLocks.delete(sheetName);
+        }).catch(() => {});
+        return current;
+    }
+
+    // Los borrados de filas necesitan el sheetId numérico de la pestaña, no su nombre.
+    const sheetIds = new Map();
+
+    async function getSheetId(sheetName) {
+        if (!sheetIds.has(sheetName)) {
+            await listSheets();
+        }
+        if (!sheetIds.has(sheetName)) {
+            throw new Error(`No existe la pestaña '${sheetName}' en la hoja de cálculo.`);
+        }
+        return sheetIds.get(sheetName);
+    }
+
+    async function getSheetData(sheetName) {
+        try {
+            const response = await getClient().spreadsheets.values.get({
+                spreadsheetId,
+                range: sheetName,
+            });
+            return response.data.values || [];
+        } catch (error) {
+            console.error(`Error al leer la hoja ${sheetName}:`, error.message);
+            throw new Error(`No se pudo leer la hoja ${sheetName}`);
+        }
+    }
+
+    async function appendRow(sheetName, rowData) {
+        try {
+            const response = await getClient().spreadsheets.values.append({
+                spreadsheetId,
+                range: sheetName,
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: {
+                    values: [rowData],
+                },
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`Error al añadir fila a ${sheetName}:`, error.message);
+            throw new Error(`No se pudo añadir la fila a ${sheetName}`);
+        }
+    }
+
+    // Añade varias filas con una sola llamada a la API.
+    async function appendRows(sheetName, rows) {
+        if (rows.length === 0) return {};
+        try {
+            const response = await getClient().spreadsheets.values.append({
+                spreadsheetId,
+                range: sheetName,
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: {
+                    values: rows,
+                },
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`Error al añadir filas a ${sheetName}:`, error.message);
+            throw new Error(`No se pudieron añadir las filas a ${sheetName}`);
+        }
+    }
+
+    async function updateRowById(sheetName, id, newFields, options = {}) {
+        return withSheetLock(sheetName, () => updateRowUnlocked(sheetName, id, newFields, options));
+    }
+
+    async function updateRowUnlocked(sheetName, id, newFields, options) {
+        const data = await getSheetData(sheetName);
+        if (data.length === 0) {
+            throw new Error(`Hoja '${sheetName}' vacía o no encontrada.`);
+        }
+
+        const headers = data[0];
+        const rows = data.slice(1);
+        const idColumnIndex = headers.indexOf('id');
+
+        if (idColumnIndex === -1) {
+            throw new Error(`La hoja '${sheetName}' no tiene una columna "id".`);
+        }
+
+        const rowIndexInRowsArray = rows.findIndex(row => String(row[idColumnIndex]) === String(id));
+
+        if (rowIndexInRowsArray === -1) {
+            throw new Error(`Registro con ID ${id} no encontrado en la hoja '${sheetName}'.`);
+        }
+
+        const actualRowInSheet = rowIndexInRowsArray + 2;
+
+        const existingRow = rows[rowIndexInRowsArray];
+        const { updatedRow, version } = applyRowUpdate(sheetName, id, headers, existingRow, newFields, options);
+
+        const range = `${sheetName}!A${actualRowInSheet}`;
+
+        try {
+            const response = await getClient().spreadsheets.values.update({
+                spreadsheetId,
+                range,
+                valueInputOption: 'RAW',
+                resource: {
+                    values: [updatedRow],
+                },
+            });
+            return { ...response.data, version };
+        } catch (error) {
+            console.error(`Error al actualizar fila en ${sheetName} (ID: ${id}):`, error.message);
+            throw new Error(`No se pudo actualizar la fila en ${sheetName}.`);
+        }
+    }
+
+    async function deleteRowById(sheetName, id) {
+        return withSheetLock(sheetName, () => deleteRowUnlocked(sheetName, id));
+    }
+
+    async function deleteRowUnlocked(sheetName, id) {
+        const data = await getSheetData(sheetName);
+        if (data.length === 0) {
+            throw new Error(`Hoja '${sheetName}' vacía o no encontrada.`);
+        }
+
+        const headers = data[0];
+        const rows = data.slice(1);
+        const idColumnIndex = headers.indexOf('id');
+
+        if (idColumnIndex === -1) {
+            throw new Error(`La hoja '${sheetName}' no tiene una columna "id".`);
+        }
+
+        const rowIndexInRowsArray = rows.findIndex(row => String(row[idColumnIndex]) === String(id));
+
+        if (rowIndexInRowsArray === -1) {
+            throw new Error(`Registro con ID ${id} no encontrado en la hoja '${sheetName}'.`);
+        }
+
+        const actualRowInSheet = rowIndexInRowsArray + 2;
+        const sheetId = await getSheetId(sheetName);
+
+        try {
+            const response = await getClient().spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    requests: [{
+                        deleteDimension: {
+                            range: {
+                                sheetId,
+                                dimension: 'ROWS',
+                                startIndex: actualRowInSheet - 1,
+                                endIndex: actualRowInSheet
+                            }
+                        }
+                    }]
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`Error al eliminar fila en ${sheetName} (ID: ${id}):`, error.message);
+            throw new Error(`No se pudo eliminar la fila en ${sheetName}.`);
+        }
+    }
+
+    // Elimina varias filas con un único batchUpdate. Se borran de abajo hacia
+    // arriba para que los índices no se desplacen entre un borrado y el siguiente.
+    async function deleteRowsByIds(sheetName, ids) {
+        if (ids.length === 0) return {};
+        return withSheetLock(sheetName, () => deleteRowsUnlocked(sheetName, ids));
+    }
+
+    async function deleteRowsUnlocked(sheetName, ids) {
+        const data = await getSheetData(sheetName);
+        if (data.length === 0) {
+            throw new Error(`Hoja '${sheetName}' vacía o no encontrada.`);
+        }
+
+        const headers = data[0];
+        const idColumnIndex = headers.indexOf('id');
+        if (idColumnIndex === -1) {
+            throw new Error(`La hoja '${sheetName}' no tiene una columna "id".`);
+        }
+
+        const wanted = new Set(ids.map(String));
+        const rowIndexes = [];
+        data.forEach((row, index) => {
+            if (index > 0 && wanted.has(String(row[idColumnIndex]))) rowIndexes.push(index);
+        });
+        if (rowIndexes.length !== wanted.size) {
+            throw new Error(`Algún registro a eliminar no existe en la hoja '${sheetName}'.`);
+        }
+        rowIndexes.sort((a, b) => b - a);
+        const sheetId = await getSheetId(sheetName);
+
+        try {
+            const response = await getClient().spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    requests: rowIndexes.map(rowIndex => ({
+                        deleteDimension: {
+                            range: {
+                                sheetId,
+                                dimension: 'ROWS',
+                                startIndex: rowIndex,
+                                endIndex: rowIndex + 1
+                            }
+                        }
+                    }))
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error(`Error al eliminar filas en ${sheetName}:`, error.message);
+            throw new Error(`No se pudieron eliminar las filas en ${sheetName}.`);
+        }
+    }
+
+    async function listSheets() {
+        try {
+            const response = await getClient().spreadsheets.get({
+                spreadsheetId,
+                fields: 'sheets.properties(sheetId,title)',
+            });
+            sheetIds.clear();
+            (response.data.sheets || []).forEach(sheet => sheetIds.set(sheet.properties.title, sheet.properties.sheetId));
+            return [...sheetIds.keys()];
+        } catch (error) {
+            console.error('Error al obtener las pestañas de la hoja de cálculo:', error.message);
+            throw new Error('No se pudieron obtener las pestañas de la hoja de cálculo.');
+        }
+    }
+
+    // Crea una pestaña nueva con su fila de cabecera.
+    async function createSheet(sheetName, headers) {
+        try {
+            await getClient().spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    requests: [{ addSheet: { properties: { title: sheetName } } }]
+                }
+            });
+            sheetIds.clear();
+            await getClient().spreadsheets.values.update({
+                spreadsheetId,
+                range: `${sheetName}!A1`,
+                valueInputOption: 'RAW',
+                resource: {
+                    values: [headers],
+                },
+            });
+            return {};
+        } catch (error) {
+            console.error(`Error al crear la hoja ${sheetName}:`, error.message);
+            throw new Error(`No se pudo crear la hoja ${sheetName}.`);
+        }
+    }
+
+    // Sustituye todo el contenido de una pestaña (cabecera incluida). Lo usan las migraciones.
+    async function replaceSheetData(sheetName, data) {
+        return withSheetLock(sheetName, async () => {
+            try {
+                await getClient().spreadsheets.values.clear({
+                    spreadsheetId,
+                    range: sheetName,
+                });
+                const response = await getClient().spreadsheets.values.update({
+                    spreadsheetId,
+                    range: `${sheetName}!A1`,
+                    valueInputOption: 'RAW',
+                    resource: {
+                        values: data,
+                    },
+                });
+                return response.data;
+            } catch (error) {
+                console.error(`Error al reescribir la hoja ${sheetName}:`, error.message);
+                throw new Error(`No se pudo reescribir la hoja ${sheetName}.`);
+            }
+        });
+    }
+
+    return {
+        name: 'sheets',
+        getSheetData,
+        appendRow,
+        appendRows,
+        updateRowById,
+        deleteRowById,
+        deleteRowsByIds,
+        listSheets,
+        createSheet,
+        replaceSheetData,
+    };
+}
+
+module.exports = { createSheetsAdapter };
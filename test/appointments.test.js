@@ -0,0 +1,73 @@
+// backend/test/appointments.test.js
+// Reserva de citas y su ciclo de estados.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('citas', () => {
+    let api;
+    let admin;
+    let client;
+    let planId;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('lola');
+        const plan = await api.request('POST', '/api/nutrition-plans', {
+            token: admin.token,
+            body: { name: 'Consulta', price: 40, duration_minutes: 60 },
+        });
+        planId = plan.body.plan.id;
+    });
+    after(() => api.close());
+
+    // Lunes laborables lejanos, dentro del horario por defecto
+    async function book(date, time = '10:00') {
+        const res = await api.request('POST', '/api/appointments', {
+            token: client.token,
+            body: { plan_id: planId, appointment_date: date, appointment_time: time },
+        });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body.appointment.id;
+    }
+
+    it('no deja reservar dos citas solapadas', async () => {
+        await book('2030-01-07');
+        const overlap = await api.request('POST', '/api/appointments', {
+            token: client.token,
+            body: { plan_id: planId, appointment_date: '2030-01-07', appointment_time: '10:30' },
+        });
+        assert.equal(overlap.status, 409);
+    });
+
+    it('confirma y cancela sin cuerpo en la petición y guarda el historial', async () => {
+        const id = await book('2030-01-14');
+        const confirmed = await api.request('POST', `/api/appointments/${id}/confirm`, { token: admin.token });
+        assert.equal(confirmed.status, 200);
+        const cancelled = await api.request('POST', `/api/appointments/${id}/cancel`, { token: client.token });
+        assert.equal(cancelled.status, 200);
+
+        const history = await api.request('GET', `/api/appointments/${id}/history`, { token: client.token });
+        assert.deepEqual(history.body.map(entry => entry.to_status), ['pending', 'confirmed', 'cancelled']);
+    });
+
+    it('rechaza los cambios de estado no permitidos con 409', async () => {
+        const id = await book('2030-01-21');
+        await api.request('POST', `/api/appointments/${id}/confirm`, { token: admin.token });
+        const early = await api.request('POST', `/api/appointments/${id}/complete`, { token: admin.token });
+        assert.equal(early.status, 409);
+        assert.equal(early.body.error, 'La cita todavía no ha empezado.');
+
+        await api.request('POST', `/api/appointments/${id}/cancel`, { token: client.token });
+        const noShow = await api.request('POST', `/api/appointments/${id}/no-show`, { token: admin.token });
+        assert.equal(noShow.status, 409);
+    });
+
+    it('no cambia el estado desde la edición de la cita', async () => {
+        const id = await book('2030-01-28');
+        const res = await api.request('PUT', `/api/appointments/${id}`, { token: client.token, body: { status: 'confirmed' } });
+        assert.equal(res.status, 400);
+        assert.notEqual((await api.request('PUT', `/api/appointments/${id}`, { token: client.token })).status, 500);
+    });
+});
@@ -0,0 +1,51 @@
+// backend/test/audit.test.js
+// Registro de auditoría: quién cambió qué en las hojas principales.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffRecords } = require('../audit');
+const { startServer } = require('./helpers');
+
+describe('diffRecords', () => {
+    it('anota solo los campos que cambian y oculta el hash de la contraseña', () => {
+        const changes = diffRecords(
+            { id: '1', name: 'A', price: '30', password_hash: 'x', version: '1' },
+            { id: '1', name: 'A', price: 35, password_hash: 'y', version: '2' }
+        );
+        assert.deepEqual(changes, {
+            price: { before: '30', after: '35' },
+            password_hash: { before: '[oculto]', after: '[oculto]' },
+        });
+    });
+});
+
+describe('registro de auditoría', () => {
+    let api;
+    let admin;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+    });
+    after(() => api.close());
+
+    it('atribuye los cambios al usuario que hace la petición', async () => {
+        const created = await api.request('POST', '/api/products', { token: admin.token, body: { name: 'Báscula', price: 30 } });
+        const productId = created.body.product.id;
+        await api.request('PUT', `/api/products/${productId}`, { token: admin.token, body: { price: 35 } });
+        await api.request('DELETE', `/api/products/${productId}`, { token: admin.token });
+
+        const res = await api.request('GET', `/api/admin/audit?resource=products&resource_id=${productId}`, { token: admin.token });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.map(entry => entry.action).sort(), ['create', 'delete', 'update']);
+        assert.ok(res.body.data.every(entry => entry.actor_id === admin.id && entry.actor_role === 'admin'));
+        const update = res.body.data.find(entry => entry.action === 'update');
+        assert.deepEqual(update.changes.price, { before: '30', after: '35' });
+    });
+
+    it('solo lo consultan los administradores', async () => {
+        const client = await api.createUser('ursula');
+        assert.equal((await api.request('GET', '/api/admin/audit', { token: client.token })).status, 403);
+        const own = await api.request('GET', `/api/admin/audit?resource=users&resource_id=${client.id}&action=create`, { token: admin.token });
+        assert.equal(own.body.data[0].actor_role, 'anonymous');
+    });
+});
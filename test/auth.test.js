@@ -0,0 +1,87 @@
+// backend/test/auth.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, extractToken, TEST_PASSWORD } = require('./helpers');
+
+describe('auth', () => {
+    let api;
+    before(async () => { api = await startServer(); });
+    after(() => api.close());
+
+    it('registra como cliente aunque se pida otro rol y envía el email de verificación', async () => {
+        const res = await api.request('POST', '/api/auth/register', {
+            body: { username: 'ana', email: 'ana@example.com', password: TEST_PASSWORD, role: 'admin' },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.user.role, 'client');
+        assert.ok(res.body.token);
+
+        const mail = api.lastMailTo('ana@example.com');
+        assert.ok(mail, 'no se envió el email de verificación');
+        const verified = await api.request('POST', '/api/auth/verify-email', { body: { token: extractToken(mail.text) } });
+        assert.equal(verified.status, 200);
+        const reused = await api.request('POST', '/api/auth/verify-email', { body: { token: extractToken(mail.text) } });
+        assert.equal(reused.status, 400);
+    });
+
+    it('rechaza emails repetidos', async () => {
+        await api.createUser('bruno');
+        const sameEmail = await api.request('POST', '/api/auth/register', {
+            body: { username: 'otro', email: 'bruno@example.com', password: TEST_PASSWORD },
+        });
+        assert.equal(sameEmail.status, 409);
+    });
+
+    it('rota el refresh token y detecta la reutilización de uno revocado', async () => {
+        const user = await api.createUser('carla');
+        const first = await api.request('POST', '/api/auth/refresh', { body: { refresh_token: user.refresh_token } });
+        assert.equal(first.status, 200);
+
+        const reused = await api.request('POST', '/api/auth/refresh', { body: { refresh_token: user.refresh_token } });
+        assert.equal(reused.status, 401);
+        const afterReuse = await api.request('POST', '/api/auth/refresh', { body: { refresh_token: first.body.refresh_token } });
+        assert.equal(afterReuse.status, 401);
+    });
+
+    it('el logout revoca el access token usado', async () => {
+        const user = await api.createUser('lucas');
+        const logout = await api.request('POST', '/api/auth/logout', { token: user.token });
+        assert.equal(logout.status, 200);
+        assert.equal((await api.request('GET', '/api/users/me', { token: user.token })).status, 401);
+    });
+
+    it('valida el registro y el login sin cuerpo', async () => {
+        const register = await api.request('POST', '/api/auth/register');
+        assert.equal(register.status, 400);
+        assert.ok(register.body.details.some(detail => detail.field === 'password'));
+        const login = await api.request('POST', '/api/auth/login');
+        assert.deepEqual(login.body.details.map(detail => detail.field), ['email', 'password']);
+    });
+
+    it('pide el refresh token si la petición llega sin cuerpo', async () => {
+        const res = await api.request('POST', '/api/auth/refresh');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.details[0].field, 'refresh_token');
+    });
+
+    it('cambia la contraseña con el enlace de recuperación', async () => {
+        const user = await api.createUser('dani');
+        await api.request('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+        const token = extractToken(api.lastMailTo(user.email).text);
+
+        const reset = await api.request('POST', '/api/auth/reset-password', { body: { token, password: 'nueva-clave-1' } });
+        assert.equal(reset.status, 200);
+        const oldLogin = await api.request('POST', '/api/auth/login', { body: { email: user.email, password: TEST_PASSWORD } });
+        assert.equal(oldLogin.status, 400);
+        const newLogin = await api.request('POST', '/api/auth/login', { body: { email: user.email, password: 'nueva-clave-1' } });
+        assert.equal(newLogin.status, 200);
+        assert.equal((await api.request('POST', '/api/auth/refresh', { body: { refresh_token: user.refresh_token } })).status, 401);
+    });
+
+    it('valida la recuperación de contraseña sin cuerpo', async () => {
+        assert.equal((await api.request('POST', '/api/auth/forgot-password')).status, 400);
+        const reset = await api.request('POST', '/api/auth/reset-password');
+        assert.equal(reset.status, 400);
+        assert.deepEqual(reset.body.details.map(detail => detail.field), ['token', 'password']);
+    });
+});
@@ -0,0 +1,62 @@
+// backend/test/availability.test.js
+// Horario de atención, periodos bloqueados y huecos libres para reservar.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('disponibilidad', () => {
+    let api;
+    let admin;
+    let client;
+    let planId;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('vera');
+        const plan = await api.request('POST', '/api/nutrition-plans', {
+            token: admin.token,
+            body: { name: 'Consulta', price: 40, duration_minutes: 60 },
+        });
+        planId = plan.body.plan.id;
+    });
+    after(() => api.close());
+
+    it('sustituye el horario de atención', async () => {
+        assert.equal((await api.request('PUT', '/api/availability/working-hours', { token: admin.token })).status, 400);
+        const res = await api.request('PUT', '/api/availability/working-hours', {
+            token: admin.token,
+            body: { working_hours: [{ weekday: 1, start_time: '09:00', end_time: '11:00' }] },
+        });
+        assert.equal(res.status, 200);
+    });
+
+    it('ofrece los huecos libres sin los ocupados ni los bloqueados', async () => {
+        // Lunes 2030-04-01 y 2030-04-08
+        const slots = async date => {
+            const res = await api.request('GET', `/api/availability/slots?plan_id=${planId}&from=${date}&to=${date}`);
+            return res.body.days[0].slots.map(slot => slot.start_time);
+        };
+        assert.deepEqual(await slots('2030-04-01'), ['09:00', '09:30', '10:00']);
+
+        await api.request('POST', '/api/appointments', {
+            token: client.token,
+            body: { plan_id: planId, appointment_date: '2030-04-01', appointment_time: '09:00' },
+        });
+        assert.deepEqual(await slots('2030-04-01'), ['10:00']);
+
+        await api.request('POST', '/api/availability/blocked-periods', {
+            token: admin.token,
+            body: { start_at: '2030-04-08T00:00', end_at: '2030-04-08T23:59', reason: 'festivo' },
+        });
+        assert.deepEqual(await slots('2030-04-08'), []);
+    });
+
+    it('no reserva fuera del horario', async () => {
+        const res = await api.request('POST', '/api/appointments', {
+            token: client.token,
+            body: { plan_id: planId, appointment_date: '2030-04-02', appointment_time: '09:00' },
+        });
+        assert.equal(res.status, 400);
+    });
+});
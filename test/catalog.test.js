@@ -0,0 +1,46 @@
+// backend/test/catalog.test.js
+// Listados del catálogo: búsqueda, filtros, orden y paginación, y qué ve el público.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('catálogo', () => {
+    let api;
+    let admin;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        for (const [name, price, category] of [['Avena', 3, 'cereales'], ['Arroz', 2, 'cereales'], ['Aceite', 8, 'grasas'], ['Lentejas', 4, 'legumbres']]) {
+            await api.request('POST', '/api/products', { token: admin.token, body: { name, price, category } });
+        }
+    });
+    after(() => api.close());
+
+    it('filtra, ordena y pagina los productos', async () => {
+        const first = await api.request('GET', '/api/products?category=cereales,grasas&sort=-price&limit=2');
+        assert.deepEqual(first.body.data.map(p => p.name), ['Aceite', 'Avena']);
+        assert.equal(first.body.pagination.total, 3);
+
+        const cursor = encodeURIComponent(first.body.pagination.next_cursor);
+        const second = await api.request('GET', `/api/products?category=cereales,grasas&sort=-price&limit=2&cursor=${cursor}`);
+        assert.deepEqual(second.body.data.map(p => p.name), ['Arroz']);
+
+        const search = await api.request('GET', '/api/products?q=lente&price_min=1&price_max=5');
+        assert.deepEqual(search.body.data.map(p => p.name), ['Lentejas']);
+        assert.equal((await api.request('GET', '/api/products?sort=file_url')).status, 400);
+    });
+
+    it('oculta los planes inactivos fuera de la administración', async () => {
+        const created = await api.request('POST', '/api/nutrition-plans', {
+            token: admin.token,
+            body: { name: 'Retirado', price: 40, duration_minutes: 45, is_active: false },
+        });
+        const planId = created.body.plan.id;
+
+        assert.equal((await api.request('GET', `/api/nutrition-plans/${planId}`)).status, 404);
+        assert.equal((await api.request('GET', `/api/nutrition-plans/${planId}`, { token: admin.token })).status, 200);
+        const list = await api.request('GET', '/api/nutrition-plans');
+        assert.ok(!list.body.data.some(plan => plan.id === planId));
+    });
+});
@@ -0,0 +1,87 @@
+// backend/test/coupons.test.js
+// Cupones: reparto del descuento entre líneas, a qué productos o planes se aplican y sus límites de uso.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCoupon } = require('../pricing/coupons');
+const { startServer } = require('./helpers');
+
+describe('applyCoupon', () => {
+    const products = [{ id: 'p1', category: 'libros' }, { id: 'p2', category: 'material' }];
+    const lines = [
+        { product_id: 'p1', quantity: 1, unit_price_minor: 1000 },
+        { product_id: 'p2', quantity: 2, unit_price_minor: 500 },
+        { plan_id: 'plan1', quantity: 1, unit_price_minor: 5000 },
+    ];
+
+    it('reparte un descuento fijo entre todas las líneas sin perder céntimos', () => {
+        const result = applyCoupon({ discount_type: 'fixed', discount_value: '10' }, lines, products);
+        assert.equal(result.discount_minor, 1000);
+        assert.equal(result.lines.reduce((sum, line) => sum + line.discount_minor, 0), 1000);
+    });
+
+    it('limita por categoría de producto o por plan', () => {
+        const byCategory = applyCoupon({ discount_type: 'percentage', discount_value: '50', categories: 'Libros' }, lines, products);
+        assert.deepEqual(byCategory.lines.map(line => line.discount_minor), [500, 0, 0]);
+
+        const byPlan = applyCoupon({ discount_type: 'percentage', discount_value: '10', plan_ids: 'plan1' }, lines, products);
+        assert.deepEqual(byPlan.lines.map(line => line.discount_minor), [0, 0, 500]);
+    });
+
+    it('falla si no se aplica a ninguna línea', () => {
+        assert.ok(applyCoupon({ discount_type: 'fixed', discount_value: '5', product_ids: 'otro' }, lines, products).error);
+    });
+});
+
+describe('cupones en los pedidos', () => {
+    let api;
+    let admin;
+    let client;
+    let productId;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('pau');
+        const product = await api.request('POST', '/api/products', { token: admin.token, body: { name: 'Guía', price: 20 } });
+        productId = product.body.product.id;
+    });
+    after(() => api.close());
+
+    async function createCoupon(fields) {
+        const res = await api.request('POST', '/api/coupons', { token: admin.token, body: { discount_type: 'percentage', discount_value: 10, ...fields } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+    }
+
+    function order(items, couponCode) {
+        return api.request('POST', '/api/orders', { token: client.token, body: { items, coupon_code: couponCode } });
+    }
+
+    it('aplica a un plan un cupón limitado a ese plan', async () => {
+        const plan = await api.request('POST', '/api/nutrition-plans', {
+            token: admin.token,
+            body: { name: 'Bono', price: 100, duration_minutes: 60, sessions_included: 4 },
+        });
+        await createCoupon({ code: 'PLAN10', plan_ids: plan.body.plan.id });
+
+        const res = await order([{ plan_id: plan.body.plan.id, quantity: 2 }, { product_id: productId, quantity: 1 }], 'plan10');
+        assert.equal(res.status, 201);
+        assert.equal(res.body.order.totalAmount, '200.00');
+        assert.equal(res.body.order.discount, '20.00');
+    });
+
+    it('solo gastan usos los pedidos cobrados', async () => {
+        await createCoupon({ code: 'UNAVEZ', max_uses_per_user: 1 });
+
+        const abandoned = await order([{ product_id: productId, quantity: 1 }], 'UNAVEZ');
+        assert.equal(abandoned.status, 201);
+        await api.request('POST', `/api/payments/mock/${abandoned.body.payment.payment_id}`, { body: { status: 'failed' } });
+
+        const paid = await order([{ product_id: productId, quantity: 1 }], 'UNAVEZ');
+        assert.equal(paid.status, 201);
+        await api.request('POST', `/api/payments/mock/${paid.body.payment.payment_id}`, { body: { status: 'paid' } });
+
+        const third = await order([{ product_id: productId, quantity: 1 }], 'UNAVEZ');
+        assert.equal(third.status, 400);
+        assert.equal(third.body.details[0].message, 'ya has usado este cupón el número máximo de veces');
+    });
+});
@@ -0,0 +1,88 @@
+// backend/test/downloads.test.js
+// Productos digitales: el archivo solo se sirve con un enlace firmado y por la propia API.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer } = require('./helpers');
+
+const FILE_CONTENT = 'contenido del ebook';
+
+describe('descargas', () => {
+    let api;
+    let admin;
+    let client;
+    let origin;
+    let originUrl;
+
+    before(async () => {
+        // Origen de los archivos: /broken.pdf corta la conexión a mitad de la transferencia
+        origin = http.createServer((req, res) => {
+            if (req.url === '/broken.pdf') {
+                res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': '1000' });
+                res.write('parte');
+                setTimeout(() => res.destroy(), 20);
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/pdf' });
+            res.end(FILE_CONTENT);
+        });
+        await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+        originUrl = `http://127.0.0.1:${origin.address().port}`;
+
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('rosa');
+    });
+    after(async () => {
+        await api.close();
+        origin.closeAllConnections();
+        await new Promise(resolve => origin.close(resolve));
+    });
+
+    async function buyProduct(fileName) {
+        const created = await api.request('POST', '/api/products', {
+            token: admin.token,
+            body: { name: `Ebook ${fileName}`, price: 9, file_url: `${originUrl}/${fileName}` },
+        });
+        const productId = created.body.product.id;
+        const placed = await api.request('POST', '/api/orders', { token: client.token, body: { items: [{ product_id: productId, quantity: 1 }] } });
+        await api.request('POST', `/api/payments/mock/${placed.body.payment.payment_id}`, { body: { status: 'paid' } });
+        return productId;
+    }
+
+    async function downloadPath(productId) {
+        const link = await api.request('POST', `/api/products/${productId}/download-link`, { token: client.token });
+        assert.equal(link.status, 201, JSON.stringify(link.body));
+        return new URL(link.body.url).pathname;
+    }
+
+    it('no expone la ubicación del archivo', async () => {
+        const created = await api.request('POST', '/api/products', {
+            token: admin.token,
+            body: { name: 'Guía', price: 9, file_url: `${originUrl}/guia.pdf` },
+        });
+        const res = await api.request('GET', `/api/products/${created.body.product.id}`);
+        assert.equal(res.body.file_url, undefined);
+        assert.equal(res.body.has_download, true);
+
+        const link = await api.request('POST', `/api/products/${created.body.product.id}/download-link`, { token: client.token });
+        assert.equal(link.status, 403);
+    });
+
+    it('sirve el archivo comprado con su nombre y cuenta la descarga', async () => {
+        const productId = await buyProduct('ebook.pdf');
+        const res = await api.request('GET', await downloadPath(productId));
+        assert.equal(res.status, 200);
+        assert.equal(res.body, FILE_CONTENT);
+        assert.match(res.headers.get('content-disposition'), /filename="ebook\.pdf"/);
+
+        const downloads = (await api.request('GET', '/api/downloads', { token: client.token })).body;
+        assert.equal(downloads.find(d => d.product_id === productId).downloads_used, 1);
+    });
+
+    it('sobrevive a un corte del origen durante la transferencia', async () => {
+        const productId = await buyProduct('broken.pdf');
+        await assert.rejects(api.request('GET', await downloadPath(productId)));
+        assert.equal((await api.request('GET', '/api/downloads', { token: client.token })).status, 200);
+    });
+});
@@ -0,0 +1,49 @@
+// backend/test/emailVerification.test.js
+// Con REQUIRE_EMAIL_VERIFICATION no se abre sesión por ninguna vía hasta verificar el email.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, extractToken, TEST_PASSWORD } = require('./helpers');
+
+describe('verificación de email obligatoria', () => {
+    let api;
+    before(async () => { api = await startServer({ REQUIRE_EMAIL_VERIFICATION: 'true' }); });
+    after(() => api.close());
+
+    it('el registro no devuelve tokens y el login exige verificar', async () => {
+        const res = await api.request('POST', '/api/auth/register', {
+            body: { username: 'eva', email: 'eva@example.com', password: TEST_PASSWORD },
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.token, undefined);
+        assert.equal(res.body.refresh_token, undefined);
+
+        const blocked = await api.request('POST', '/api/auth/login', { body: { email: 'eva@example.com', password: TEST_PASSWORD } });
+        assert.equal(blocked.status, 403);
+
+        const token = extractToken(api.lastMailTo('eva@example.com').text);
+        await api.request('POST', '/api/auth/verify-email', { body: { token } });
+        const login = await api.request('POST', '/api/auth/login', { body: { email: 'eva@example.com', password: TEST_PASSWORD } });
+        assert.equal(login.status, 200);
+    });
+
+    it('no renueva la sesión de un usuario sin verificar', async () => {
+        await api.request('POST', '/api/auth/register', {
+            body: { username: 'fede', email: 'fede@example.com', password: TEST_PASSWORD },
+        });
+        const users = await api.app.locals.storage.getSheetData('users');
+        const userId = users.find(row => row.includes('fede@example.com'))[users[0].indexOf('id')];
+        // Refresh token emitido antes de activarse la verificación obligatoria
+        const refreshToken = 'token-anterior';
+        const [headers] = await api.app.locals.storage.getSheetData('refresh_tokens');
+        const row = {
+            id: 'rt-1',
+            user_id: userId,
+            token_hash: require('crypto').createHash('sha256').update(refreshToken).digest('hex'),
+            expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        };
+        await api.app.locals.storage.appendRow('refresh_tokens', headers.map(header => row[header] || ''));
+
+        const res = await api.request('POST', '/api/auth/refresh', { body: { refresh_token: refreshToken } });
+        assert.equal(res.status, 403);
+    });
+});
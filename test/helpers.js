@@ -0,0 +1,80 @@
+// backend/test/helpers.js
+// Arranca la API en un puerto libre con almacenamiento y email en memoria y la
+// pasarela de pago simulada, para probar las rutas sin Google Sheets ni red.
+// Cada fichero de test se ejecuta en su propio proceso: tiene sus propios datos.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.MAIL_DRIVER = 'memory';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.NOTIFICATIONS_ENABLED = 'false';
+
+const TEST_PASSWORD = 'password123';
+
+// `env`: variables que cambian el comportamiento del servidor al cargarse
+// (p. ej. REQUIRE_EMAIL_VERIFICATION); hay que indicarlas antes del primer startServer.
+async function startServer(env = {}) {
+    Object.assign(process.env, env);
+    const app = require('../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Devuelve { status, headers, body } con el cuerpo ya convertido desde JSON si lo es
+    async function request(method, url, { body, token, headers = {} } = {}) {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers,
+            },
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // No es JSON (HTML, PDF...): se devuelve el texto tal cual
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    // Registra un usuario y abre sesión. El rol se cambia directamente en el almacenamiento
+    // porque la API solo crea clientes.
+    async function createUser(username, role = 'client') {
+        const email = `${username}@example.com`;
+        const registered = await request('POST', '/api/auth/register', { body: { username, email, password: TEST_PASSWORD } });
+        if (registered.status !== 201) {
+            throw new Error(`No se pudo registrar ${username}: ${JSON.stringify(registered.body)}`);
+        }
+        const { id } = registered.body.user;
+        if (role !== 'client') {
+            await app.locals.storage.updateRowById('users', id, { role });
+        }
+        const login = await request('POST', '/api/auth/login', { body: { email, password: TEST_PASSWORD } });
+        return { id, email, token: login.body.token, refresh_token: login.body.refresh_token };
+    }
+
+    // Último email enviado a `to` (transporte en memoria)
+    function lastMailTo(to) {
+        return [...app.locals.mailer.outbox].reverse().find(message => message.to === to);
+    }
+
+    async function close() {
+        server.closeAllConnections(); // fetch mantiene las conexiones abiertas
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    return { app, request, createUser, lastMailTo, close };
+}
+
+// Token de un enlace de los emails (…?token=XXX)
+function extractToken(text) {
+    const match = /[?&]token=([^\s&]+)/.exec(text);
+    return match && decodeURIComponent(match[1]);
+}
+
+module.exports = { startServer, extractToken, TEST_PASSWORD };
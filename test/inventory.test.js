@@ -0,0 +1,75 @@
+// backend/test/inventory.test.js
+// Stock de productos: reserva al pedir, descuento al cobrar y liberación de las reservas abandonadas.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('stock', () => {
+    let api;
+    let admin;
+    let client;
+
+    // Sin margen: cualquier pedido sin pagar caduca en la siguiente ejecución de las tareas
+    before(async () => {
+        api = await startServer({ STOCK_RESERVATION_TTL_MINUTES: '0' });
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('sara');
+    });
+    after(() => api.close());
+
+    async function createProduct(fields) {
+        const res = await api.request('POST', '/api/products', { token: admin.token, body: fields });
+        assert.equal(res.status, 201);
+        return res.body.product.id;
+    }
+
+    async function getProduct(id) {
+        return (await api.request('GET', `/api/products/${id}`, { token: admin.token })).body;
+    }
+
+    function placeOrder(productId, quantity) {
+        return api.request('POST', '/api/orders', { token: client.token, body: { items: [{ product_id: productId, quantity }] } });
+    }
+
+    it('reserva el stock al pedir y lo descuenta al cobrar', async () => {
+        const productId = await createProduct({ name: 'Báscula', price: 30, stock_quantity: 3 });
+        const placed = await placeOrder(productId, 2);
+        assert.equal(placed.status, 201);
+        assert.equal((await getProduct(productId)).stock_reserved, '2');
+        assert.equal((await placeOrder(productId, 2)).status, 409);
+
+        await api.request('POST', `/api/payments/mock/${placed.body.payment.payment_id}`, { body: { status: 'paid' } });
+        const product = await getProduct(productId);
+        assert.equal(product.stock_quantity, '1');
+        assert.equal(product.stock_reserved, '0');
+
+        const lowStock = await api.request('GET', '/api/admin/products/low-stock', { token: admin.token });
+        assert.ok(lowStock.body.some(p => p.id === productId));
+    });
+
+    it('no deja bajar el stock por debajo de lo reservado', async () => {
+        const productId = await createProduct({ name: 'Cinta', price: 12, stock_quantity: 5 });
+        await placeOrder(productId, 4);
+        const res = await api.request('PUT', `/api/products/${productId}`, { token: admin.token, body: { stock_quantity: 3 } });
+        assert.equal(res.status, 400);
+        assert.equal((await api.request('PUT', `/api/products/${productId}`, { token: admin.token })).status, 200);
+    });
+
+    it('cancela los pedidos sin pagar que retienen stock y libera la reserva', async () => {
+        const productId = await createProduct({ name: 'Pesas', price: 20, stock_quantity: 2 });
+        const abandoned = await placeOrder(productId, 2);
+        const failed = await placeOrder(await createProduct({ name: 'Esterilla', price: 15, stock_quantity: 1 }), 1);
+        await api.request('POST', `/api/payments/mock/${failed.body.payment.payment_id}`, { body: { status: 'failed' } });
+        const digital = await placeOrder(await createProduct({ name: 'Guía', price: 5 }), 1);
+
+        const run = await api.request('POST', '/api/admin/notifications/run', { token: admin.token });
+        assert.ok(run.body.expire_stock_reservations.expired >= 2);
+        assert.equal((await getProduct(productId)).stock_reserved, '0');
+
+        for (const [placed, status] of [[abandoned, 'cancelled'], [failed, 'cancelled'], [digital, 'pending_payment']]) {
+            const order = await api.request('GET', `/api/orders/${placed.body.order.id}`, { token: client.token });
+            assert.equal(order.body.status, status);
+        }
+        assert.equal((await placeOrder(productId, 2)).status, 201);
+    });
+});
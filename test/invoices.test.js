@@ -0,0 +1,56 @@
+// backend/test/invoices.test.js
+// Impuestos por categoría (incluidos en el precio) y facturas de los pedidos cobrados.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('impuestos y facturas', () => {
+    let api;
+    let admin;
+    let client;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('quim');
+    });
+    after(() => api.close());
+
+    it('valida y sustituye los tipos impositivos', async () => {
+        assert.equal((await api.request('PUT', '/api/tax-rates', { token: admin.token })).status, 400);
+        const repeated = await api.request('PUT', '/api/tax-rates', {
+            token: admin.token,
+            body: { tax_rates: [{ category: 'libros', rate: 4 }, { category: 'Libros', rate: 10 }] },
+        });
+        assert.equal(repeated.status, 400);
+
+        const res = await api.request('PUT', '/api/tax-rates', {
+            token: admin.token,
+            body: { tax_rates: [{ category: '', rate: 21 }, { category: 'libros', rate: 4 }] },
+        });
+        assert.equal(res.status, 200);
+    });
+
+    it('desglosa el impuesto de cada línea y factura solo los pedidos pagados', async () => {
+        const book = await api.request('POST', '/api/products', { token: admin.token, body: { name: 'Recetario', price: 10.40, category: 'libros' } });
+        const scale = await api.request('POST', '/api/products', { token: admin.token, body: { name: 'Báscula', price: 12.10 } });
+        const placed = await api.request('POST', '/api/orders', {
+            token: client.token,
+            body: { items: [{ product_id: book.body.product.id, quantity: 1 }, { product_id: scale.body.product.id, quantity: 1 }] },
+        });
+        const orderId = placed.body.order.id;
+        const order = (await api.request('GET', `/api/orders/${orderId}`, { token: client.token })).body;
+        assert.equal(order.total_amount, '22.50');
+        assert.equal(order.tax_amount, '2.50');
+        assert.deepEqual(order.items.map(item => item.tax_amount).sort(), ['0.40', '2.10']);
+
+        assert.equal((await api.request('GET', `/api/orders/${orderId}/invoice`, { token: client.token })).status, 409);
+        await api.request('POST', `/api/payments/mock/${placed.body.payment.payment_id}`, { body: { status: 'paid' } });
+
+        const html = await api.request('GET', `/api/orders/${orderId}/invoice?format=html`, { token: client.token });
+        assert.equal(html.status, 200);
+        assert.match(html.body, /Recetario/);
+        const pdf = await api.request('GET', `/api/orders/${orderId}/invoice`, { token: client.token });
+        assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    });
+});
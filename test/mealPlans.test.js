@@ -0,0 +1,55 @@
+// backend/test/mealPlans.test.js
+// Planes de comidas: contenido por días y comidas con los nutrientes de cada ración.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('planes de comidas', () => {
+    let api;
+    let admin;
+    let client;
+    let oatsId;
+    let planId;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('wanda');
+        const oats = await api.request('POST', '/api/foods', {
+            token: admin.token,
+            body: { name: 'Avena', kcal: 380, protein_g: 13, carbs_g: 60, fat_g: 7 },
+        });
+        oatsId = oats.body.food.id;
+    });
+    after(() => api.close());
+
+    it('calcula los nutrientes de cada comida, día y la media diaria', async () => {
+        const created = await api.request('POST', '/api/meal-plans', {
+            token: admin.token,
+            body: {
+                user_id: client.id,
+                title: 'Semana 1',
+                status: 'published',
+                days: [
+                    { day: 1, meals: [{ meal: 'breakfast', items: [{ food_id: oatsId, grams: 50 }] }] },
+                    { day: 2, meals: [{ meal: 'breakfast', items: [{ food_id: oatsId, grams: 100 }] }] },
+                ],
+            },
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        planId = created.body.id;
+
+        const plan = (await api.request('GET', `/api/meal-plans/${planId}`, { token: client.token })).body;
+        assert.equal(plan.days[0].meals[0].totals.kcal, 190);
+        assert.equal(plan.days[1].totals.kcal, 380);
+        assert.equal(plan.daily_average.kcal, 285);
+    });
+
+    it('valida las peticiones sin cuerpo y conserva el contenido si no llega `days`', async () => {
+        assert.equal((await api.request('POST', '/api/meal-plans', { token: admin.token })).status, 400);
+        const updated = await api.request('PUT', `/api/meal-plans/${planId}`, { token: admin.token });
+        assert.equal(updated.status, 200);
+        const plan = (await api.request('GET', `/api/meal-plans/${planId}`, { token: admin.token })).body;
+        assert.equal(plan.days.length, 2);
+    });
+});
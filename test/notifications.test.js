@@ -0,0 +1,53 @@
+// backend/test/notifications.test.js
+// Cola de notificaciones: listado paginado y envío con el transporte de email en memoria.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('notificaciones', () => {
+    let api;
+    let admin;
+    let client;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('nico');
+        const plan = await api.request('POST', '/api/nutrition-plans', {
+            token: admin.token,
+            body: { name: 'Consulta', price: 40, duration_minutes: 30 },
+        });
+        for (const date of ['2030-03-04', '2030-03-05', '2030-03-06']) {
+            await api.request('POST', '/api/appointments', {
+                token: client.token,
+                body: { plan_id: plan.body.plan.id, appointment_date: date, appointment_time: '09:00' },
+            });
+        }
+    });
+    after(() => api.close());
+
+    it('lista las notificaciones propias por páginas', async () => {
+        const first = await api.request('GET', '/api/notifications?limit=2', { token: client.token });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.data.length, 2);
+        assert.equal(first.body.pagination.total, 3);
+        assert.ok(first.body.data.every(n => n.user_id === client.id && n.type === 'appointment_booked'));
+
+        const cursor = encodeURIComponent(first.body.pagination.next_cursor);
+        const second = await api.request('GET', `/api/notifications?limit=2&cursor=${cursor}`, { token: client.token });
+        assert.equal(second.body.data.length, 1);
+        assert.equal(second.body.pagination.next_cursor, null);
+
+        const others = await api.request('GET', `/api/notifications?user_id=${admin.id}`, { token: client.token });
+        assert.equal(others.body.data.length, 0);
+        assert.equal((await api.request('GET', '/api/notifications?status=unknown', { token: client.token })).status, 400);
+    });
+
+    it('envía las pendientes al ejecutar el programador', async () => {
+        const run = await api.request('POST', '/api/admin/notifications/run', { token: admin.token });
+        assert.equal(run.status, 200);
+        assert.ok(api.lastMailTo(client.email));
+        const sent = await api.request('GET', `/api/notifications?user_id=${client.id}&status=sent`, { token: admin.token });
+        assert.equal(sent.body.pagination.total, 3);
+    });
+});
@@ -0,0 +1,40 @@
+// backend/test/nutritionists.test.js
+// Asignación de clientes a nutricionistas y lo que cada nutricionista puede ver.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('nutricionistas', () => {
+    let api;
+    let admin;
+    let nutritionist;
+    let client;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        nutritionist = await api.createUser('nuria', 'nutritionist');
+        client = await api.createUser('kike');
+    });
+    after(() => api.close());
+
+    it('asigna y desasigna el nutricionista de un cliente', async () => {
+        const path = `/api/users/${client.id}/nutritionist`;
+        const assigned = await api.request('PUT', path, { token: admin.token, body: { nutritionist_id: nutritionist.id } });
+        assert.equal(assigned.status, 200);
+        const clients = await api.request('GET', '/api/nutritionists/me/clients', { token: nutritionist.token });
+        assert.deepEqual(clients.body.map(user => user.id), [client.id]);
+
+        const notANutritionist = await api.request('PUT', path, { token: admin.token, body: { nutritionist_id: admin.id } });
+        assert.equal(notANutritionist.status, 400);
+
+        await api.request('PUT', path, { token: admin.token, body: { nutritionist_id: null } });
+        assert.equal((await api.request('GET', '/api/nutritionists/me/clients', { token: nutritionist.token })).body.length, 0);
+    });
+
+    it('exige nutritionist_id en vez de desasignar si la petición llega sin cuerpo', async () => {
+        const res = await api.request('PUT', `/api/users/${client.id}/nutritionist`, { token: admin.token });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.details[0].field, 'nutritionist_id');
+    });
+});
@@ -0,0 +1,113 @@
+// backend/test/orders.test.js
+// Ciclo de vida de los pedidos: cancelación, entrega, reembolsos por líneas e historial.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { planRefund } = require('../orders/lifecycle');
+const { startServer } = require('./helpers');
+
+describe('planRefund', () => {
+    const items = [{ id: 'i1', quantity: '3', price_at_purchase: '3.33', discount_amount: '0', refunded_quantity: '0', refunded_amount: '0' }];
+
+    it('la última unidad se lleva el resto para cuadrar con lo cobrado', () => {
+        const first = planRefund(items, [{ order_item_id: 'i1', quantity: 2 }]);
+        assert.equal(first.amount_minor, 666);
+        assert.equal(first.fully_refunded, false);
+
+        const rest = planRefund([{ ...items[0], refunded_quantity: '2', refunded_amount: '6.66' }]);
+        assert.equal(rest.amount_minor, 333);
+        assert.equal(rest.fully_refunded, true);
+    });
+
+    it('no deja reembolsar más unidades de las que quedan', () => {
+        const result = planRefund(items, [{ order_item_id: 'i1', quantity: 4 }]);
+        assert.equal(result.errors[0].field, 'items[0].quantity');
+    });
+});
+
+describe('pedidos', () => {
+    let api;
+    let admin;
+    let client;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('tomas');
+    });
+    after(() => api.close());
+
+    async function createProduct(fields) {
+        const res = await api.request('POST', '/api/products', { token: admin.token, body: fields });
+        assert.equal(res.status, 201);
+        return res.body.product.id;
+    }
+
+    async function placeOrder(items) {
+        const res = await api.request('POST', '/api/orders', { token: client.token, body: { items } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body;
+    }
+
+    function pay(paymentId) {
+        return api.request('POST', `/api/payments/mock/${paymentId}`, { body: { status: 'paid' } });
+    }
+
+    it('cancela sin cuerpo en la petición y libera el stock', async () => {
+        const productId = await createProduct({ name: 'Cinta', price: 12, stock_quantity: 4 });
+        const { order } = await placeOrder([{ product_id: productId, quantity: 4 }]);
+
+        const cancelled = await api.request('POST', `/api/orders/${order.id}/cancel`, { token: client.token });
+        assert.equal(cancelled.status, 200);
+        assert.equal((await api.request('GET', `/api/products/${productId}`, { token: admin.token })).body.stock_reserved, '0');
+
+        const again = await api.request('POST', `/api/orders/${order.id}/cancel`, { token: client.token });
+        assert.equal(again.status, 409);
+    });
+
+    it('devuelve el pago que llega para un pedido ya cancelado', async () => {
+        const { order, payment } = await placeOrder([{ product_id: await createProduct({ name: 'Comba', price: 12 }), quantity: 4 }]);
+        await api.request('POST', `/api/orders/${order.id}/cancel`, { token: client.token, body: { reason: 'me equivoqué' } });
+
+        assert.equal((await pay(payment.payment_id)).body.status, 'cancelled');
+        await pay(payment.payment_id);
+        const refunds = await api.request('GET', `/api/orders/${order.id}/refunds`, { token: client.token });
+        assert.equal(refunds.body.length, 1);
+        assert.equal(refunds.body[0].amount, '48.00');
+    });
+
+    it('reembolsa por líneas hasta dejar el pedido reembolsado', async () => {
+        const { order, payment } = await placeOrder([{ product_id: await createProduct({ name: 'Libro', price: 3.33 }), quantity: 3 }]);
+        await pay(payment.payment_id);
+        const [item] = (await api.request('GET', `/api/orders/${order.id}`, { token: client.token })).body.items;
+        const refund = quantity => api.request('POST', `/api/orders/${order.id}/refunds`, {
+            token: admin.token,
+            body: { items: [{ order_item_id: item.id, quantity }], reason: 'no le gustó' },
+        });
+
+        const partial = await refund(1);
+        assert.equal(partial.status, 201);
+        assert.equal(partial.body.status, 'partially_refunded');
+        assert.equal((await refund(3)).status, 400);
+
+        const rest = await refund(2);
+        assert.equal(rest.body.status, 'refunded');
+        assert.equal(Number(partial.body.amount) + Number(rest.body.amount), 9.99);
+
+        const history = await api.request('GET', `/api/orders/${order.id}/history`, { token: client.token });
+        assert.deepEqual(history.body.map(entry => entry.to_status), ['pending_payment', 'paid', 'partially_refunded', 'refunded']);
+    });
+
+    it('exige las líneas del reembolso y valida las peticiones sin cuerpo', async () => {
+        const { order, payment } = await placeOrder([{ product_id: await createProduct({ name: 'Taza', price: 6 }), quantity: 1 }]);
+        await pay(payment.payment_id);
+
+        const refund = await api.request('POST', `/api/orders/${order.id}/refunds`, { token: admin.token });
+        assert.equal(refund.status, 400);
+        assert.equal(refund.body.details[0].field, 'items');
+        assert.equal((await api.request('PUT', `/api/orders/${order.id}`, { token: admin.token })).status, 200);
+
+        const fulfilled = await api.request('POST', `/api/orders/${order.id}/fulfill`, { token: admin.token });
+        assert.equal(fulfilled.status, 200);
+        assert.equal((await api.request('POST', `/api/orders/${order.id}/cancel`, { token: client.token })).status, 409);
+    });
+});
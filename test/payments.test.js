@@ -0,0 +1,69 @@
+// backend/test/payments.test.js
+// Carrito y cobro con la pasarela simulada: avisos firmados, repetidos o simultáneos.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+
+describe('carrito y pagos', () => {
+    let api;
+    let admin;
+    let client;
+    let productId;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('olga');
+        const product = await api.request('POST', '/api/products', { token: admin.token, body: { name: 'Botella', price: 8 } });
+        productId = product.body.product.id;
+    });
+    after(() => api.close());
+
+    async function checkout(quantity) {
+        await api.request('POST', '/api/cart/items', { token: client.token, body: { product_id: productId, quantity } });
+        const res = await api.request('POST', '/api/cart/checkout', { token: client.token });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body;
+    }
+
+    function pay(paymentId, status = 'paid') {
+        return api.request('POST', `/api/payments/mock/${paymentId}`, { body: { status } });
+    }
+
+    it('convierte el carrito en un pedido pendiente de pago y lo vacía', async () => {
+        const { order } = await checkout(3);
+        assert.equal(order.totalAmount, '24.00');
+        assert.equal(order.status, 'pending_payment');
+        assert.equal((await api.request('GET', '/api/cart', { token: client.token })).body.items.length, 0);
+    });
+
+    it('aplica una sola vez los avisos de pago repetidos o simultáneos', async () => {
+        const { order, payment } = await checkout(1);
+        await Promise.all([pay(payment.payment_id), pay(payment.payment_id), pay(payment.payment_id)]);
+        const history = await api.request('GET', `/api/orders/${order.id}/history`, { token: client.token });
+        assert.deepEqual(history.body.map(entry => entry.to_status), ['pending_payment', 'paid']);
+    });
+
+    it('un pago fallido no cambia un pedido ya pagado', async () => {
+        const { payment } = await checkout(1);
+        assert.equal((await pay(payment.payment_id, 'failed')).body.status, 'payment_failed');
+        assert.equal((await pay(payment.payment_id)).body.status, 'paid');
+        assert.equal((await pay(payment.payment_id, 'failed')).body.status, 'paid');
+    });
+
+    it('rechaza los avisos de pago sin firma válida', async () => {
+        const { payment } = await checkout(1);
+        const rawBody = JSON.stringify({ payment_id: payment.payment_id, status: 'paid' });
+        const forged = crypto.createHmac('sha256', 'otro-secreto').update(rawBody).digest('hex');
+        const res = await api.request('POST', '/api/payments/webhook', { body: rawBody, headers: { 'X-Mock-Signature': forged } });
+        assert.equal(res.status, 400);
+    });
+
+    it('la pasarela simulada exige un estado válido', async () => {
+        const { payment } = await checkout(1);
+        assert.equal((await api.request('POST', `/api/payments/mock/${payment.payment_id}`)).status, 400);
+        assert.equal((await pay(payment.payment_id, 'refunded')).status, 400);
+        assert.equal((await api.request('POST', '/api/orders', { token: client.token })).status, 400);
+    });
+});
@@ -0,0 +1,59 @@
+// backend/test/planPackages.test.js
+// Series de citas y paquetes de sesiones: se venden con un pedido y se crean al cobrarlo.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('series y paquetes de sesiones', () => {
+    let api;
+    let admin;
+    let client;
+    let planId;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        client = await api.createUser('marta');
+        const plan = await api.request('POST', '/api/nutrition-plans', {
+            token: admin.token,
+            body: { name: 'Bono 4 sesiones', price: 100, duration_minutes: 60, sessions_included: 4 },
+        });
+        planId = plan.body.plan.id;
+    });
+    after(() => api.close());
+
+    it('reserva una serie semanal completa o ninguna cita', async () => {
+        const series = await api.request('POST', '/api/appointments', {
+            token: client.token,
+            body: { plan_id: planId, appointment_date: '2030-02-04', appointment_time: '12:00', recurrence: { frequency: 'weekly', count: 3 } },
+        });
+        assert.equal(series.status, 201);
+        assert.deepEqual(series.body.appointments.map(a => a.appointment_date), ['2030-02-04', '2030-02-11', '2030-02-18']);
+
+        const clash = await api.request('POST', '/api/appointments', {
+            token: client.token,
+            body: { plan_id: planId, appointment_date: '2030-01-28', appointment_time: '12:00', recurrence: { frequency: 'weekly', count: 2 } },
+        });
+        assert.equal(clash.status, 409);
+        const booked = await api.request('GET', '/api/appointments', { token: client.token });
+        assert.equal(booked.body.data.length, 3);
+    });
+
+    it('valida la reserva sin cuerpo', async () => {
+        const res = await api.request('POST', '/api/appointments', { token: client.token });
+        assert.equal(res.status, 400);
+    });
+
+    it('crea el paquete al cobrar el pedido, con las sesiones de todas las unidades', async () => {
+        const placed = await api.request('POST', '/api/orders', { token: client.token, body: { items: [{ plan_id: planId, quantity: 2 }] } });
+        assert.equal(placed.status, 201, JSON.stringify(placed.body));
+        assert.equal(placed.body.order.totalAmount, '200.00');
+        assert.equal((await api.request('GET', '/api/plan-packages', { token: client.token })).body.length, 0);
+
+        await api.request('POST', `/api/payments/mock/${placed.body.payment.payment_id}`, { body: { status: 'paid' } });
+        await api.request('POST', `/api/payments/mock/${placed.body.payment.payment_id}`, { body: { status: 'paid' } });
+        const packages = (await api.request('GET', '/api/plan-packages', { token: client.token })).body;
+        assert.equal(packages.length, 1);
+        assert.equal(packages[0].sessions_total, '8');
+    });
+});
@@ -0,0 +1,57 @@
+// backend/test/storage.test.js
+// Adaptadores locales: se comportan como Google Sheets (celdas de texto, cabecera en la fila 0).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryAdapter } = require('../storage/memoryAdapter');
+const { createFileAdapter } = require('../storage/fileAdapter');
+const { SHEET_HEADERS } = require('../storage/headers');
+
+describe('adaptador en memoria', () => {
+    it('crea las pestañas con su cabecera y guarda las celdas como texto', async () => {
+        const storage = createMemoryAdapter();
+        const headers = SHEET_HEADERS.products;
+        assert.deepEqual(await storage.getSheetData('products'), [headers]);
+
+        const row = headers.map(header => ({ id: 'p1', name: 'Báscula', price: 30, is_active: true }[header]));
+        await storage.appendRow('products', row);
+        const [, stored] = await storage.getSheetData('products');
+        assert.equal(stored[headers.indexOf('price')], '30');
+        assert.equal(stored[headers.indexOf('is_active')], 'TRUE');
+        assert.equal(stored[headers.indexOf('description')], '');
+    });
+
+    it('actualiza y borra por id, y dump devuelve una copia', async () => {
+        const storage = createMemoryAdapter();
+        const headers = SHEET_HEADERS.foods;
+        await storage.appendRows('foods', ['f1', 'f2'].map(id => headers.map(header => (header === 'id' ? id : ''))));
+
+        await storage.updateRowById('foods', 'f1', { name: 'Avena' });
+        await storage.deleteRowById('foods', 'f2');
+        const snapshot = storage.dump();
+        assert.equal(snapshot.foods.length, 2);
+        assert.equal(snapshot.foods[1][headers.indexOf('name')], 'Avena');
+
+        snapshot.foods.pop();
+        assert.equal((await storage.getSheetData('foods')).length, 2);
+        await assert.rejects(storage.updateRowById('foods', 'f2', { name: 'x' }), /no encontrado/);
+    });
+});
+
+describe('adaptador de fichero', () => {
+    it('conserva los datos al volver a abrir el fichero', async () => {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nutri-storage-')), 'db.json');
+        try {
+            const headers = SHEET_HEADERS.foods;
+            await createFileAdapter({ filePath }).appendRow('foods', headers.map(header => ({ id: 'f1', name: 'Arroz' }[header])));
+
+            const reopened = createFileAdapter({ filePath });
+            const [, row] = await reopened.getSheetData('foods');
+            assert.equal(row[headers.indexOf('name')], 'Arroz');
+        } finally {
+            fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,56 @@
+// backend/test/users.test.js
+// Autogestión del perfil: datos, contraseña y baja de la cuenta.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, TEST_PASSWORD } = require('./helpers');
+
+describe('perfil propio', () => {
+    let api;
+    before(async () => { api = await startServer(); });
+    after(() => api.close());
+
+    it('cambiar la contraseña cierra las demás sesiones y devuelve tokens nuevos', async () => {
+        const user = await api.createUser('gala');
+        const wrong = await api.request('PUT', '/api/users/me/password', {
+            token: user.token,
+            body: { current_password: 'otra-clave', new_password: 'nueva-clave-1' },
+        });
+        assert.equal(wrong.status, 400);
+
+        const res = await api.request('PUT', '/api/users/me/password', {
+            token: user.token,
+            body: { current_password: TEST_PASSWORD, new_password: 'nueva-clave-1' },
+        });
+        assert.equal(res.status, 200);
+        assert.equal((await api.request('GET', '/api/users/me', { token: user.token })).status, 401);
+        assert.equal((await api.request('GET', '/api/users/me', { token: res.body.token })).status, 200);
+    });
+
+    it('un email nuevo vuelve a quedar sin verificar', async () => {
+        const user = await api.createUser('hugo');
+        const res = await api.request('PUT', '/api/users/me', { token: user.token, body: { email: 'hugo2@example.com', role: 'admin' } });
+        assert.equal(res.status, 200);
+        const me = (await api.request('GET', '/api/users/me', { token: user.token })).body;
+        assert.equal(me.email, 'hugo2@example.com');
+        assert.equal(me.role, 'client');
+        assert.equal(me.email_verified_at, '');
+        assert.ok(api.lastMailTo('hugo2@example.com'));
+    });
+
+    it('dar de baja la cuenta exige la contraseña', async () => {
+        const user = await api.createUser('iris');
+        assert.equal((await api.request('DELETE', '/api/users/me', { token: user.token })).status, 400);
+        const res = await api.request('DELETE', '/api/users/me', { token: user.token, body: { password: TEST_PASSWORD } });
+        assert.equal(res.status, 200);
+        const login = await api.request('POST', '/api/auth/login', { body: { email: user.email, password: TEST_PASSWORD } });
+        assert.equal(login.status, 400);
+    });
+
+    it('valida las peticiones sin cuerpo', async () => {
+        const user = await api.createUser('jon');
+        const password = await api.request('PUT', '/api/users/me/password', { token: user.token });
+        assert.equal(password.status, 400);
+        assert.deepEqual(password.body.details.map(detail => detail.field), ['current_password', 'new_password']);
+        assert.equal((await api.request('POST', '/api/auth/verify-email')).status, 400);
+    });
+});
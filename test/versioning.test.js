@@ -0,0 +1,38 @@
+// backend/test/versioning.test.js
+// Bloqueo optimista: una edición con una versión antigua se rechaza con 409.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('versiones de las filas', () => {
+    let api;
+    let admin;
+    let foodId;
+
+    before(async () => {
+        api = await startServer();
+        admin = await api.createUser('admin', 'admin');
+        const created = await api.request('POST', '/api/foods', {
+            token: admin.token,
+            body: { name: 'Avena', kcal: 389, protein_g: 17, carbs_g: 66, fat_g: 7 },
+        });
+        foodId = created.body.food.id;
+    });
+    after(() => api.close());
+
+    it('rechaza la edición hecha sobre una versión anterior', async () => {
+        const first = await api.request('PUT', `/api/foods/${foodId}`, { token: admin.token, body: { kcal: 380, version: 1 } });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.version, 2);
+
+        const stale = await api.request('PUT', `/api/foods/${foodId}`, { token: admin.token, body: { kcal: 370, version: 1 } });
+        assert.equal(stale.status, 409);
+        const ifMatch = await api.request('PUT', `/api/foods/${foodId}`, { token: admin.token, body: { kcal: 370 }, headers: { 'If-Match': '"2"' } });
+        assert.equal(ifMatch.status, 200);
+    });
+
+    it('acepta peticiones sin cuerpo, sin comprobar la versión', async () => {
+        const res = await api.request('PUT', `/api/foods/${foodId}`, { token: admin.token });
+        assert.equal(res.status, 200);
+    });
+});